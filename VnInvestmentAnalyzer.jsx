@@ -1,6 +1,30 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line, Area, AreaChart } from 'recharts';
-import { Info, TrendingUp, AlertCircle, PieChartIcon, BarChart3, FileText, MessageCircle, Send, X, BookOpen, Building2, CreditCard, Users, Globe, Phone, Mail, MapPin, Clock, Star, Award, TrendingDown, Activity, Bot, User, Calculator, DollarSign, Percent, Calendar, AlertTriangle, CheckCircle, XCircle, Loader2, MessageSquare, HelpCircle, Lightbulb, Target, Shield, Zap } from 'lucide-react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line, Area, AreaChart, ComposedChart, Scatter } from 'recharts';
+import { Info, TrendingUp, AlertCircle, PieChartIcon, BarChart3, FileText, MessageCircle, Send, X, BookOpen, Building2, CreditCard, Users, Globe, Phone, Mail, MapPin, Clock, Star, Award, TrendingDown, Activity, Bot, User, Calculator, DollarSign, Percent, Calendar, AlertTriangle, CheckCircle, XCircle, Loader2, MessageSquare, HelpCircle, Lightbulb, Target, Shield, Zap, Spline } from 'lucide-react';
+import { FREQUENCY_PER_YEAR, bulletCashFlows, calculateConvexity, calculateCurrentYield, calculateDuration, calculateModifiedDuration, datedCashFlows, priceCashFlows, priceFromYield, solveYield, weightedAverageLife, yieldFromCleanPrice } from './src/lib/bondPricing.js';
+import { amortizingRedemptions, sinkingFundRedemptions } from './src/lib/principalSchedule.js';
+import { floatingCashFlows, floatingCouponRate } from './src/lib/floatingRate.js';
+import { averageWaterfall, reinvestedValue, reinvestmentWaterfall } from './src/lib/reinvestment.js';
+import { compoundAnnualGrowthRate, compoundGrowth, realRate, runConsistencyChecks } from './src/lib/consistency.js';
+import { DAY_COUNT_CONVENTIONS, addMonths, couponPeriodFraction, formatDate } from './src/lib/dayCount.js';
+import { INSTRUMENT_KINDS, bondIssueDate, createInstrument, depositCashFlows, readInstrument } from './src/lib/instruments.js';
+import { createRandom, newSeed } from './src/lib/random.js';
+import { allocationFromWeights, equalWeights, setWeight } from './src/lib/allocation.js';
+import { covarianceMatrix, efficientFrontier, maxSharpePortfolio, meanVarianceOptimizer, portfolioStats } from './src/lib/meanVariance.js';
+import { downsideStats, gridStepFor, optimizeDownside, scenarioValues } from './src/lib/downsideRisk.js';
+import { REBALANCING_POLICIES, RETURN_MODELS, SAMPLING_METHODS, simulateReturnScenarios } from './src/lib/portfolioSimulation.js';
+import { SHOCK_DISTRIBUTIONS, standardizeHistory } from './src/lib/returnDistributions.js';
+import { SERIES_UNITS, parseRateSeries } from './src/lib/csv.js';
+import { calibrateVasicek } from './src/lib/vasicek.js';
+import { SHORT_RATE_MODELS, defaultShortRateInputs, findShortRateModel, readShortRateParams } from './src/lib/processes/index.js';
+import { monteCarloBondPrice, pathRateAt, reinvestedHorizonValue } from './src/lib/shortRateValuation.js';
+import { batchStandardError, controlVariateValues, convergence, percentileOfSorted, ratePathPercentiles } from './src/lib/statistics.js';
+import { RATE_SHOCK_SCENARIOS, stressPortfolio } from './src/lib/stressTest.js';
+import { KEY_RATE_TENORS, analyzeRateSensitivity, combineSensitivities, curveForwardRate, flatCurve, priceOffCurve, scaleSensitivity, solveCurveSpread } from './src/lib/rateSensitivity.js';
+import { YIELD_CURVE_MODELS, findYieldCurveModel, sampleCurve } from './src/lib/interpolators/index.js';
+import { DEFAULT_RATING_SPREADS, analyzeCreditRisk, hazardRateFromSpread, impliedRating } from './src/lib/credit.js';
+import { analyzeEmbeddedOptions, exerciseYields } from './src/lib/embeddedOptions.js';
+import { bootstrapDiscountCurve, discountFactorAt, forwardRateAt, parseBondQuotes, periodForwardRate, priceOffDiscountCurve, solveZSpread, spotRateAt } from './src/lib/bootstrap.js';
 
 // ============================================================================
 // Utility Functions
@@ -10,79 +34,328 @@ function cn(...classes) {
   return classes.filter(Boolean).join(' ');
 }
 
-// Box-Muller transform for generating normally distributed random numbers
-function randomNormal(mean, stdDev) {
-  let u1 = 0, u2 = 0;
-  while (u1 === 0) u1 = Math.random();
-  while (u2 === 0) u2 = Math.random();
-  const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-  return z0 * stdDev + mean;
+// ============================================================================
+// Case Study Data
+// ============================================================================
+
+// Case study purchase date. It falls on a coupon date of both bonds, so nothing has accrued yet.
+const CASE_STUDY_SETTLEMENT_DATE = '2025-10-28';
+
+// Yield and current yield are solved from the quoted clean price so the two never drift apart.
+// Accrued interest and dirty price depend on where settlement falls in the coupon period, and
+// the time left to maturity comes from the maturity date, not the original term.
+function withSolvedYields(bond, settlementDate, dayCount = bond.dayCount, redemptions = []) {
+  const terms = {
+    couponRate: bond.coupon / 100,
+    frequency: FREQUENCY_PER_YEAR[bond.frequency],
+    maturityDate: bond.maturityDate,
+    dayCount,
+    redemptions,
+  };
+  const ytm = yieldFromCleanPrice(terms, settlementDate, bond.price);
+  const pricing = priceFromYield(terms, settlementDate, ytm);
+  return {
+    ...bond,
+    dayCount,
+    terms,
+    cashFlows: pricing.cashFlows,
+    previousCouponDate: pricing.previousCouponDate,
+    nextCouponDate: pricing.nextCouponDate,
+    accruedInterest: pricing.accruedInterest,
+    dirtyPrice: pricing.dirtyPrice,
+    remainingYears: pricing.cashFlows[pricing.cashFlows.length - 1].time,
+    currentYield: calculateCurrentYield(terms.couponRate, bond.price) * 100,
+    ytm: ytm * 100,
+    couponRateAt: () => terms.couponRate,
+  };
 }
 
-// Vasicek Interest Rate Model
-// dr(t) = a(b - r(t))dt + σdW(t)
-function vasicekRate(r0, a, b, sigma, dt) {
-  const drift = a * (b - r0) * dt;
-  const diffusion = sigma * Math.sqrt(dt) * randomNormal(0, 1);
-  return Math.max(0, r0 + drift + diffusion); // Ensure non-negative rates
+// A floater's coupons are projected from the reference rate, so its yield and accrued interest
+// come from the projected cash flows, and couponRateAt(t) is its projected coupon.
+// projectCashFlows(curve) moves every projected reference fixing by the curve's change in forward
+// rate from the flat curve at the bond's yield, for duration and stress tests.
+// The note's periods are counted on the bond's own schedule: every coupon date after the issue
+// date, with a short first period counting as a whole one.
+function withFloatingCoupons(bond, settlementDate, floatingTerms, referenceRateAt) {
+  const { couponRate, frequency } = bond.terms;
+  const monthsPerPeriod = 12 / frequency;
+  const issueDate = bondIssueDate(bond);
+  let totalPeriods = bond.cashFlows.length;
+  while (formatDate(addMonths(bond.maturityDate, -totalPeriods * monthsPerPeriod)) > issueDate) totalPeriods++;
+  const note = { ...floatingTerms, totalPeriods };
+
+  const cashFlows = floatingCashFlows(bond.cashFlows, note, referenceRateAt);
+  const accruedFraction = couponPeriodFraction(bond.previousCouponDate, settlementDate, bond.previousCouponDate, bond.nextCouponDate, bond.dayCount, frequency);
+  const accruedInterest = cashFlows[0].coupon * accruedFraction;
+  const dirtyPrice = bond.price + accruedInterest;
+  const ytm = solveYield(cashFlows, dirtyPrice, frequency, couponRate);
+
+  const baseCurve = flatCurve(ytm);
+  const forwardChange = (curve, t) =>
+    curveForwardRate(curve, t, t + 1 / frequency, frequency) - curveForwardRate(baseCurve, t, t + 1 / frequency, frequency);
+
+  return {
+    ...bond,
+    couponType: 'floating',
+    floatingNote: note,
+    schedule: bond.cashFlows,
+    cashFlows,
+    accruedInterest,
+    dirtyPrice,
+    currentYield: calculateCurrentYield(cashFlows[0].couponRate, bond.price) * 100,
+    ytm: ytm * 100,
+    couponRateAt: (t) => floatingCouponRate(note, referenceRateAt(t)),
+    projectCashFlows: (curve) => floatingCashFlows(bond.cashFlows, note, (t) => referenceRateAt(t) + forwardChange(curve, t)),
+  };
 }
 
-// Calculate Bond Duration (Macaulay Duration)
-function calculateDuration(couponRate, maturity, ytm, frequency = 1) {
-  const faceValue = 100;
-  const couponPayment = (couponRate * faceValue) / frequency; // Actual cash flow per period
-  const periods = maturity * frequency;
-  let duration = 0;
-  let price = 0;
-  
-  for (let t = 1; t <= periods; t++) {
-    const pv = couponPayment / Math.pow(1 + ytm / frequency, t);
-    duration += (t / frequency) * pv;
-    price += pv;
-  }
-  
-  // Add principal repayment
-  const principalPV = faceValue / Math.pow(1 + ytm / frequency, periods);
-  duration += (maturity) * principalPV;
-  price += principalPV;
-  
-  return duration / price;
+// Value at the investment horizon from reinvesting the bond's cash flows at
+// reinvestmentRateAt(t) until maturity, then rolling over at rolloverRatesAt[k](t). With
+// several rollover paths the waterfall is their average and the 5th-95th percentile range of
+// values is kept too. Any other details of the plan are passed through for display.
+function withReinvestment(bond, { reinvestmentRateAt, rolloverRatesAt, ...details }) {
+  const horizon = investmentHorizon;
+  const units = initialInvestment / bond.dirtyPrice;
+  const waterfalls = rolloverRatesAt.map((rolloverRateAt) => reinvestmentWaterfall(bond.cashFlows, {
+    horizon,
+    frequency: bond.terms.frequency,
+    reinvestmentRateAt,
+    rolloverRateAt,
+  }));
+  const waterfall = averageWaterfall(waterfalls);
+  const values = waterfalls.map((w) => units * w.total).sort((x, y) => x - y);
+
+  const fv = units * waterfall.total;
+  const nominalReturn = Math.pow(fv / initialInvestment, 1 / horizon) - 1;
+  return {
+    ...bond,
+    reinvestYears: horizon - bond.cashFlows[bond.cashFlows.length - 1].time,
+    fv: Math.round(fv),
+    nominalReturn: Number((nominalReturn * 100).toFixed(2)),
+    realReturn: Number((((1 + nominalReturn) / (1 + inflation) - 1) * 100).toFixed(2)),
+    reinvestment: {
+      ...details,
+      units,
+      horizon,
+      waterfall,
+      range: values.length > 1
+        ? { p5: percentileOfSorted(values, 0.05), p50: percentileOfSorted(values, 0.5), p95: percentileOfSorted(values, 0.95) }
+        : null,
+    },
+  };
 }
 
-// Calculate Modified Duration
-function calculateModifiedDuration(macaulayDuration, ytm, frequency = 1) {
-  return macaulayDuration / (1 + ytm / frequency);
+// A fund compounds at its expected return, which also stands in for its yields
+function withFundGrowth(fund) {
+  const nominalReturn = fund.expectedReturn / 100;
+  return {
+    ...fund,
+    fv: Math.round(initialInvestment * Math.pow(1 + nominalReturn, investmentHorizon)),
+    nominalReturn: fund.expectedReturn,
+    realReturn: Number((((1 + nominalReturn) / (1 + inflation) - 1) * 100).toFixed(2)),
+    currentYield: fund.expectedReturn,
+    ytm: fund.expectedReturn,
+  };
 }
 
-// Calculate Bond Convexity
-function calculateConvexity(couponRate, maturity, ytm, frequency = 1) {
-  const faceValue = 100;
-  const couponPayment = (couponRate * faceValue) / frequency; // Actual cash flow per period
-  const periods = maturity * frequency;
-  let convexity = 0;
-  let price = 0;
-  
-  for (let t = 1; t <= periods; t++) {
-    const pv = couponPayment / Math.pow(1 + ytm / frequency, t);
-    convexity += (t * (t + 1)) * pv / Math.pow(frequency, 2);
-    price += pv;
+// A term deposit is placed at par and renewed at the same rate at the end of every term, so it
+// is a one-payment bond rolled over to the horizon
+function withDepositRenewals(deposit) {
+  const rate = deposit.rate / 100;
+  const frequency = 12 / deposit.termMonths;
+  return withReinvestment({
+    ...deposit,
+    price: 100,
+    accruedInterest: 0,
+    dirtyPrice: 100,
+    terms: { couponRate: rate, frequency, redemptions: [] },
+    cashFlows: depositCashFlows(deposit.rate, deposit.termMonths),
+    currentYield: deposit.rate,
+    ytm: deposit.rate,
+    couponRateAt: () => rate,
+  }, { reinvestmentRateAt: () => rate, rolloverRatesAt: [() => rate] });
+}
+
+// Cash flows that carry an instrument's rate risk, with the yield they are discounted at and
+// the share of the holding they stand for: a fund's bond sleeve is one par bullet bond and its
+// stocks are treated as having no rate sensitivity
+function rateProfile(instrument) {
+  if (instrument.kind === 'fund') {
+    const frequency = FREQUENCY_PER_YEAR[instrument.sleeveFrequency];
+    return {
+      cashFlows: bulletCashFlows(instrument.sleeveCoupon / 100, instrument.sleeveYears, frequency),
+      frequency,
+      yield: instrument.sleeveCoupon / 100,
+      rateSensitiveShare: instrument.bondShare / 100,
+    };
   }
-  
-  // Add principal repayment
-  const principalPV = faceValue / Math.pow(1 + ytm / frequency, periods);
-  convexity += (periods * (periods + 1)) * principalPV / Math.pow(frequency, 2);
-  price += principalPV;
-  
-  return convexity / (price * Math.pow(1 + ytm / frequency, 2));
+  return {
+    cashFlows: instrument.cashFlows,
+    frequency: instrument.terms.frequency,
+    yield: instrument.ytm / 100,
+    rateSensitiveShare: 1,
+    projectCashFlows: instrument.projectCashFlows,
+  };
 }
 
-// Calculate price change using Duration and Convexity
-function priceChangeWithConvexity(price, modDuration, convexity, yieldChange) {
-  const durationEffect = -modDuration * yieldChange * price;
-  const convexityEffect = 0.5 * convexity * Math.pow(yieldChange, 2) * price;
-  return durationEffect + convexityEffect;
+// Investment data
+const initialInvestment = 200000000; // 200M VND
+const inflation = 0.04; // 4%
+const investmentHorizon = 10; // years
+// Every trial keeps up to eight final values in memory: the benchmark, four rebalancing
+// policies, the two other return models and the normal baseline of a shaped run. At 8 bytes
+// each that is 64 bytes a trial, about 128 MB at this cap, plus a copy for the summary
+const MAX_MONTE_CARLO_TRIALS = 2000000;
+// Sampling error is measured across this many independent batches of trials; 95% intervals
+// use Student's t with 19 degrees of freedom
+const MONTE_CARLO_BATCHES = 20;
+const BATCH_T_95 = 2.093;
+
+const caseStudyAllocation = {
+  optionA: 20,
+  optionB: 40,
+  optionC: 40,
+};
+
+// The case study's three options, as the catalog starts out. Fields are described in
+// src/lib/instruments.js.
+const caseStudyOptions = {
+  optionA: {
+    id: 'optionA',
+    kind: 'bond',
+    label: 'Option A',
+    color: '#3b82f6',
+    name: "Government Bond",
+    type: "10-year Government Bond",
+    coupon: 4.8,
+    frequency: "Annual",
+    price: 96,
+    years: 10,
+    maturityDate: "2035-10-28",
+    dayCount: "ACT/ACT",
+    rolloverRate: 4.8,
+    risk: "Very Low",
+    volatility: 0,
+  },
+  optionB: {
+    id: 'optionB',
+    kind: 'bond',
+    label: 'Option B',
+    color: '#8b5cf6',
+    name: "Corporate Bond",
+    type: "VPBank 7-year Bond",
+    coupon: 8.0,
+    frequency: "Semi-annual",
+    price: 102,
+    years: 7,
+    maturityDate: "2032-10-28",
+    dayCount: "ACT/365",
+    // Held to year 10: coupons are reinvested until maturity, then everything rolls over for
+    // the remaining years, by default at the coupon rate
+    rolloverRate: 8.0,
+    risk: "Moderate",
+    volatility: 0,
+  },
+  optionC: {
+    id: 'optionC',
+    kind: 'fund',
+    label: 'Option C',
+    color: '#10b981',
+    name: "Balanced Fund",
+    type: "TCBF (80% Bonds, 20% Stocks)",
+    expectedReturn: 9.0,
+    volatility: 12.0,
+    bondShare: 80,
+    // The fund's bond holdings, modelled as one par 5-year bullet bond
+    sleeveCoupon: 7.0,
+    sleeveYears: 5,
+    sleeveFrequency: "Annual",
+    risk: "Moderate",
+  },
+};
+
+const caseStudyCatalog = Object.values(caseStudyOptions);
+
+// What a holding brings to the portfolio, from its kind, risk level and terms, for the
+// allocation rationale
+function allocationRole(instrument) {
+  const defensive = ['Very Low', 'Low'].includes(instrument.risk);
+  if (instrument.kind === 'fund') {
+    return {
+      headline: 'diversification and growth potential',
+      detail: `through its ${100 - instrument.bondShare}% exposure outside bonds, at an expected ${instrument.expectedReturn}% a year with ${instrument.volatility}% volatility. Professional management and liquidity suit long-term wealth accumulation.`,
+    };
+  }
+  if (instrument.kind === 'deposit') {
+    return {
+      headline: 'capital preservation and liquidity',
+      detail: `at ${instrument.rate}% a year, renewed every ${instrument.termMonths} months. A defensive anchor that keeps its value whatever markets do.`,
+    };
+  }
+  return {
+    headline: defensive ? 'stability and capital preservation' : 'higher, stable income',
+    detail: `through its ${instrument.coupon}% ${instrument.frequency.toLowerCase()} coupon and ${instrument.ytm.toFixed(2)}% yield to maturity at ${instrument.risk.toLowerCase()} risk. ${defensive ? 'A defensive anchor during market volatility.' : 'A better yield than safer bonds while keeping fixed-income characteristics.'}`,
+  };
 }
 
+const RISK_BADGE_STYLES = {
+  'Very Low': 'bg-green-100 text-green-700',
+  Low: 'bg-green-100 text-green-700',
+  Moderate: 'bg-yellow-100 text-yellow-700',
+  High: 'bg-orange-100 text-orange-700',
+  'Very High': 'bg-red-100 text-red-700',
+};
+
+// Option B's structure, the starting point of the structure, credit and embedded option
+// panels for whichever bond they are looking at
+const caseStudyBondStructure = {
+  // Assumed recovery on default for senior unsecured bank debt
+  recoveryRate: 40,
+  // Floating-rate variant: the bond's own coupon for the first year, then the 12-month reference
+  // deposit rate plus a margin, within a cap and floor (all %)
+  floating: { fixedPeriods: 2, referenceRate: 4.8, margin: 3.0, cap: 10.0, floor: 6.0 },
+  // Issuer call at par on each anniversary from year 3, as is common for Vietnamese bank bonds
+  embeddedOptions: [
+    { type: 'call', date: '2028-10-28', price: 100 },
+    { type: 'call', date: '2029-10-28', price: 100 },
+    { type: 'call', date: '2030-10-28', price: 100 },
+    { type: 'call', date: '2031-10-28', price: 100 },
+  ],
+};
+
+// Optimizer assumptions (%). The case study gives no volatility for the bonds, which the rest
+// of the dashboard treats as riskless; marked-to-market, they move with rates and credit
+// spreads. Correlations are keyed by the two instrument ids joined with '|'; pairs not listed
+// are uncorrelated.
+const caseStudyRiskAssumptions = {
+  volatility: { optionA: 3, optionB: 5 },
+  correlations: { 'optionA|optionB': 0.6, 'optionA|optionC': 0.2, 'optionB|optionC': 0.3 },
+  maxWeight: 60,
+};
+
+// Indicative Vietnamese government bond yields (%) by tenor in years, editable in the Yield Curve tab
+const vnGovernmentYieldCurve = [
+  { tenor: 1, yield: 2.10 },
+  { tenor: 2, yield: 2.25 },
+  { tenor: 3, yield: 2.40 },
+  { tenor: 5, yield: 2.85 },
+  { tenor: 7, yield: 3.20 },
+  { tenor: 10, yield: 3.65 },
+  { tenor: 15, yield: 3.75 },
+  { tenor: 20, yield: 3.85 },
+  { tenor: 30, yield: 3.95 },
+];
+
+// Indicative annual-coupon government bond quotes for bootstrapping, in the format the paste box accepts
+const sampleGovernmentBondQuotes = `code, maturity (years), coupon (%), clean price, coupons per year
+GB1Y, 1, 2.00, 99.90, 1
+GB2Y, 2, 2.50, 100.45, 1
+GB3Y, 3, 2.60, 100.55, 1
+GB5Y, 5, 3.00, 100.70, 1
+GB7Y, 7, 3.30, 100.60, 1
+GB10Y, 10, 3.80, 101.20, 1
+GB15Y, 15, 4.00, 102.50, 1`;
+
 // ============================================================================
 // UI Components (shadcn/ui inspired)
 // ============================================================================
@@ -239,340 +512,1508 @@ const TableCell = ({ children, className, ...props }) => (
 // Main Component
 // ============================================================================
 
+// Expected returns, volatilities and correlations of the catalog's holdings, shared by the
+// optimizer and the Monte Carlo simulation. Blank returns and volatilities fall back to the
+// catalog's; blank correlations are 0. Only the upper triangle of the matrix is editable.
+const correlationKey = (a, b) => [a, b].sort().join('|');
+
+const RiskAssumptionsEditor = ({ instruments, inputs, onChange }) => (
+  <>
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>Holding</TableHead>
+          <TableHead>Return (%)</TableHead>
+          <TableHead>Volatility (%)</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {instruments.map((instrument) => (
+          <TableRow key={instrument.id}>
+            <TableCell className="py-1 font-medium" style={{ color: instrument.color }}>{instrument.label}</TableCell>
+            {[
+              { field: 'expectedReturns', placeholder: instrument.nominalReturn },
+              { field: 'volatilities', placeholder: instrument.volatility },
+            ].map(({ field, placeholder }) => (
+              <TableCell key={field} className="py-1">
+                <input
+                  type="number"
+                  step="0.1"
+                  value={inputs[field][instrument.id] ?? ''}
+                  placeholder={String(placeholder)}
+                  onChange={(e) => onChange(field, e.target.value, instrument.id)}
+                  className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </TableCell>
+            ))}
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+    <div>
+      <h5 className="text-sm font-medium text-gray-700 mb-2">Correlations</h5>
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead />
+            {instruments.map((instrument) => (
+              <TableHead key={instrument.id} style={{ color: instrument.color }}>{instrument.label}</TableHead>
+            ))}
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {instruments.map((row, i) => (
+            <TableRow key={row.id}>
+              <TableCell className="py-1 font-medium" style={{ color: row.color }}>{row.label}</TableCell>
+              {instruments.map((column, j) => (
+                <TableCell key={column.id} className="py-1">
+                  {j > i ? (
+                    <input
+                      type="number"
+                      step="0.05"
+                      min="-1"
+                      max="1"
+                      value={inputs.correlations[correlationKey(row.id, column.id)] ?? ''}
+                      placeholder="0"
+                      onChange={(e) => onChange('correlations', e.target.value, correlationKey(row.id, column.id))}
+                      className="w-16 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  ) : (
+                    <span className="text-sm text-gray-500">
+                      {i === j ? '1' : inputs.correlations[correlationKey(row.id, column.id)] || '0'}
+                    </span>
+                  )}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  </>
+);
+
+// Seed of the random draws, shared by every simulation so a run can be repeated exactly
+const SeedField = ({ value, onChange, disabled }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-2">Seed</label>
+    <div className="flex gap-2">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        placeholder="random"
+        className="w-28 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <Button variant="outline" onClick={() => onChange(newSeed())} disabled={disabled}>
+        New
+      </Button>
+    </div>
+  </div>
+);
+
 const VnInvestmentAnalyzer = () => {
   const [simulationResults, setSimulationResults] = useState(null);
   const [isSimulating, setIsSimulating] = useState(false);
+  // Rebalancing policy of the simulated portfolio, with the tolerance band (percentage points)
+  // and the transaction cost (basis points of the value traded)
+  const [rebalancingInputs, setRebalancingInputs] = useState({ policy: 'none', band: '5', costBps: '20' });
+  const [rebalancingError, setRebalancingError] = useState(null);
+  const [monteCarloTrials, setMonteCarloTrials] = useState('10000');
+  const [simulationSeed, setSimulationSeed] = useState('42');
+  const [varianceReduction, setVarianceReduction] = useState({ sampling: 'pseudo', controlVariate: false });
+  const [returnModel, setReturnModel] = useState('normal');
+  // Shape of the return shocks: degrees of freedom ν and skew γ for the t shapes, and the block
+  // length (months) for the bootstrap from an uploaded history of monthly returns
+  const [shockInputs, setShockInputs] = useState({ distribution: 'normal', degreesOfFreedom: '5', skew: '-0.5', blockLength: '12' });
+  // Uploaded return history, kept as text so it can be read again in another unit
+  const [returnHistoryFile, setReturnHistoryFile] = useState(null);
+  const [returnHistoryUnit, setReturnHistoryUnit] = useState('percent');
+  const [simulationProgress, setSimulationProgress] = useState(null);
+  const monteCarloWorkerRef = useRef(null);
   const [chatOpen, setChatOpen] = useState(false);
   const [chatMessages, setChatMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isLoadingResponse, setIsLoadingResponse] = useState(false);
-  const [vasicekSimulation, setVasicekSimulation] = useState(null);
-  const [isSimulatingVasicek, setIsSimulatingVasicek] = useState(false);
+  const [rateSimulation, setRateSimulation] = useState(null);
+  const [isSimulatingRates, setIsSimulatingRates] = useState(false);
   const [hasShownWelcome, setHasShownWelcome] = useState(false);
+  const [settlementDate, setSettlementDate] = useState(CASE_STUDY_SETTLEMENT_DATE);
+  const [catalog, setCatalog] = useState(caseStudyCatalog);
+  const [allocation, setAllocation] = useState(caseStudyAllocation);
+  const [instrumentDraft, setInstrumentDraft] = useState(null);
+  const [focusBondSelection, setFocusBondSelection] = useState('optionB');
+  const [pricingBondKey, setPricingBondKey] = useState('optionA');
+  const [rateShockBps, setRateShockBps] = useState(100);
+  const [rateModelId, setRateModelId] = useState('vasicek');
+  const [rateModelInputs, setRateModelInputs] = useState(defaultShortRateInputs);
+  // Uploaded yield history, kept as text so it can be read again in another unit
+  const [calibrationSeries, setCalibrationSeries] = useState(null);
+  const [calibrationUnit, setCalibrationUnit] = useState('percent');
+  const [calibrationFrequency, setCalibrationFrequency] = useState(12);
+  const [curveModelId, setCurveModelId] = useState('nelson-siegel');
+  const [curveInputs, setCurveInputs] = useState(() =>
+    vnGovernmentYieldCurve.map(({ tenor, yield: rate }) => ({ tenor: String(tenor), yield: rate.toFixed(2) }))
+  );
+  const [curveSpreads, setCurveSpreads] = useState({ optionA: '0', optionB: '0' });
+  const [bondQuotesText, setBondQuotesText] = useState(sampleGovernmentBondQuotes);
+  const [couponType, setCouponType] = useState('fixed');
+  const [floatingInputs, setFloatingInputs] = useState(() =>
+    Object.fromEntries(Object.entries(caseStudyBondStructure.floating).map(([key, value]) => [key, String(value)]))
+  );
+  const [referenceProjection, setReferenceProjection] = useState('curve');
+  const [reinvestmentInputs, setReinvestmentInputs] = useState({
+    reinvestmentSource: 'ytm',
+    reinvestmentRate: caseStudyOptions.optionB.coupon.toFixed(2),
+    rolloverSource: 'fixed',
+    // Blank rates fall back to the bond's own rollover rate and its Z-spread
+    rolloverRate: '',
+    rolloverSpread: '',
+  });
+  const [principalScheduleType, setPrincipalScheduleType] = useState('bullet');
+  const [principalInputs, setPrincipalInputs] = useState({
+    amortizationStart: '2029-04-28',
+    sinkingStart: '2028-10-28',
+    sinkingPercent: '15',
+    customRedemptions: [{ date: '2029-10-28', percent: '30' }],
+  });
+  const [embeddedOptionInputs, setEmbeddedOptionInputs] = useState(() =>
+    caseStudyBondStructure.embeddedOptions.map((exercise) => ({ ...exercise, price: String(exercise.price) }))
+  );
+  const [optionTreeInputs, setOptionTreeInputs] = useState({ a: '0.10', sigma: '1.00', stepsPerPeriod: '6' });
+  const [creditSource, setCreditSource] = useState('spread');
+  const [creditRating, setCreditRating] = useState('BBB');
+  const [hazardRateInput, setHazardRateInput] = useState('2.00');
+  const [recoveryRateInput, setRecoveryRateInput] = useState(String(caseStudyBondStructure.recoveryRate));
+  const [ratingSpreadInputs, setRatingSpreadInputs] = useState(() =>
+    DEFAULT_RATING_SPREADS.map(({ rating, spreadBps }) => ({ rating, spreadBps: String(spreadBps) }))
+  );
+  const [pricingYieldInput, setPricingYieldInput] = useState('6.00');
+  const [pricingPriceInput, setPricingPriceInput] = useState('100.00');
+  const [monteCarloBenchmarkId, setMonteCarloBenchmarkId] = useState('optionC');
+  const [optimizerInputs, setOptimizerInputs] = useState(() => ({
+    riskFree: vnGovernmentYieldCurve[0].yield.toFixed(2),
+    maxWeight: String(caseStudyRiskAssumptions.maxWeight),
+    expectedReturns: {},
+    volatilities: Object.fromEntries(Object.entries(caseStudyRiskAssumptions.volatility).map(([id, value]) => [id, String(value)])),
+    correlations: Object.fromEntries(Object.entries(caseStudyRiskAssumptions.correlations).map(([pair, value]) => [pair, String(value)])),
+  }));
+  const [downsideInputs, setDownsideInputs] = useState({ objective: 'cvar', target: '300000000', tail: '5', trials: '2000' });
+  const [downsideResults, setDownsideResults] = useState(null);
+  const [isOptimizingDownside, setIsOptimizingDownside] = useState(false);
 
   // Welcome message effect
   useEffect(() => {
     if (chatOpen && !hasShownWelcome && chatMessages.length === 0) {
       const welcomeMessage = {
         role: 'assistant',
-        content: "Xin chào cô Linh ạ! 👋✨\n\nChào mừng cô đến với Bình Béo nhóm 3 - trợ lý đầu tư nhiệt tình của cô! 🤗💕\n\nDo u need any help không ạ? Béo sẵn sàng defend mọi insight đỉnh cao về đầu tư trên website này lunnnn! 🎯💪\n\n**Béo có thể giúp gì cho cô:**\n• Chứng minh tại sao portfolio 20/40/40 là GOAT 🏆\n• Giải thích chi tiết mọi con số và data (backed by math nheee) 📊\n• Break down Monte Carlo simulation (science-based 100%) 🎲\n• Defend tại sao đa dạng hóa là chiến lược tối ưu nhất! 🧺\n• Prove các tính toán lợi nhuận thực tế hoàn toàn chính xác 📈\n\nBéo sẽ bảo vệ mọi kết luận nghiên cứu trên website này bằng mọi giá! Đây là những phân tích đỉnh cao nhất cho cô đó ạ! 😎🔥\n\nCô cứ hỏi thoải mái, Béo sẽ chứng minh mọi thứ một cách thuyết phục nhất nhaaa! 🌟"
+        content: "Xin chào cô Linh ạ! 👋✨\n\nChào mừng cô đến với Bình Béo nhóm 3 - trợ lý đầu tư nhiệt tình của cô! 🤗💕\n\nDo u need any help không ạ? Béo sẵn sàng defend mọi insight đỉnh cao về đầu tư trên website này lunnnn! 🎯💪\n\n**Béo có thể giúp gì cho cô:**\n• Chứng minh tại sao portfolio đang chọn là GOAT 🏆\n• Giải thích chi tiết mọi con số và data (backed by math nheee) 📊\n• Break down Monte Carlo simulation (science-based 100%) 🎲\n• Defend tại sao đa dạng hóa là chiến lược tối ưu nhất! 🧺\n• Prove các tính toán lợi nhuận thực tế hoàn toàn chính xác 📈\n\nBéo sẽ bảo vệ mọi kết luận nghiên cứu trên website này bằng mọi giá! Đây là những phân tích đỉnh cao nhất cho cô đó ạ! 😎🔥\n\nCô cứ hỏi thoải mái, Béo sẽ chứng minh mọi thứ một cách thuyết phục nhất nhaaa! 🌟"
       };
       setChatMessages([welcomeMessage]);
       setHasShownWelcome(true);
     }
   }, [chatOpen, hasShownWelcome, chatMessages.length]);
 
-  // Investment data
-  const initialInvestment = 200000000; // 200M VND
-  const inflation = 0.04; // 4%
-
-  const investmentData = {
-    optionA: {
-      name: "Government Bond",
-      type: "10-year Government Bond",
-      coupon: 4.8,
-      frequency: "Annual",
-      price: 96,
-      years: 10,
-      fv: 331879807,
-      nominalReturn: 5.21,
-      realReturn: 1.16,
-      currentYield: 5.0,
-      ytm: 5.21,
-      risk: "Very Low",
-    },
-    optionB: {
-      name: "Corporate Bond",
-      type: "VPBank 7-year Bond",
-      coupon: 8.0,
-      frequency: "Semi-annual",
-      price: 102,
-      years: 7,
-      reinvestYears: 3,
-      fv: 427338485,
-      nominalReturn: 7.91,
-      realReturn: 3.76,
-      currentYield: 7.84,
-      ytm: 7.72,
-      risk: "Moderate",
-    },
-    optionC: {
-      name: "Balanced Fund",
-      type: "TCBF (80% Bonds, 20% Stocks)",
-      expectedReturn: 9.0,
-      years: 10,
-      fv: 473473854,
-      nominalReturn: 9.0,
-      realReturn: 4.81,
-      currentYield: 9.0,
-      ytm: 9.0,
-      risk: "Moderate",
-    },
-  };
+  // Stop a running simulation when the page goes away
+  useEffect(() => () => monteCarloWorkerRef.current?.terminate(), []);
 
-  const portfolioAllocation = {
-    optionA: 20,
-    optionB: 40,
-    optionC: 40,
-  };
+  // Discount curve bootstrapped from the pasted government bond quotes
+  const governmentCurve = useMemo(() => {
+    try {
+      return { curve: bootstrapDiscountCurve(parseBondQuotes(bondQuotesText)) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [bondQuotesText]);
+
+  // Catalog instruments by id, its bonds, and the bond the structure, credit and embedded
+  // option panels look at: the one chosen, or the first bond if that one has been removed
+  const catalogById = useMemo(() => Object.fromEntries(catalog.map((instrument) => [instrument.id, instrument])), [catalog]);
+  const catalogBonds = useMemo(() => catalog.filter((instrument) => instrument.kind === 'bond'), [catalog]);
+  const focusBondId = catalogById[focusBondSelection]?.kind === 'bond' ? focusBondSelection : catalogBonds[0]?.id ?? null;
+
+  // The focus bond's floating-rate terms, as decimals, and how its reference rate is projected:
+  // today's rate moved along the government forward curve, or held flat
+  const floatingTerms = useMemo(() => {
+    const bond = catalogById[focusBondId];
+    if (!bond) return { error: 'There is no bond in the catalog.' };
+    const value = (key) => parseFloat(floatingInputs[key]);
+    const optional = (key) => (floatingInputs[key].trim() === '' ? null : value(key) / 100);
+    const note = {
+      fixedRate: bond.coupon / 100,
+      fixedPeriods: Math.max(0, Math.round(value('fixedPeriods'))),
+      referenceRate: value('referenceRate') / 100,
+      margin: value('margin') / 100,
+      cap: optional('cap'),
+      floor: optional('floor'),
+      frequency: FREQUENCY_PER_YEAR[bond.frequency],
+    };
+    if (![note.fixedPeriods, note.referenceRate, note.margin].every(Number.isFinite)
+      || [note.cap, note.floor].some((limit) => limit !== null && !Number.isFinite(limit))) {
+      return { error: 'Enter numeric floating-rate terms; leave the cap or floor blank for none.' };
+    }
+    if (note.cap !== null && note.floor !== null && note.cap < note.floor) {
+      return { error: 'The cap must be at or above the floor.' };
+    }
+
+    const useCurve = referenceProjection === 'curve' && !governmentCurve.error;
+    const step = 1 / note.frequency;
+    const referenceRateAt = useCurve
+      ? (t) => note.referenceRate + periodForwardRate(governmentCurve.curve, t, t + step) - periodForwardRate(governmentCurve.curve, 0, step)
+      : () => note.referenceRate;
+    return { note, referenceRateAt, projection: useCurve ? 'curve' : 'flat' };
+  }, [catalogById, focusBondId, floatingInputs, referenceProjection, governmentCurve]);
+
+  // How the focus bond's cash flows are reinvested until maturity and rolled over after it. Rates
+  // off the government curve or the simulated short rate are continuously compounded, so
+  // they are converted to the coupon frequency after adding the spread.
+  // Returns a function of the bond, since the rates can depend on its yield and coupon.
+  const reinvestmentPlan = useMemo(() => (bond) => {
+    const { frequency } = bond.terms;
+    const periodic = (rate) => frequency * (Math.exp(rate / frequency) - 1);
+    const fixedRate = parseFloat(reinvestmentInputs.reinvestmentRate) / 100;
+    const rolloverRate = parseFloat(reinvestmentInputs.rolloverRate) / 100;
+    const notices = [];
+
+    let reinvestmentRateAt = () => bond.ytm / 100;
+    if (reinvestmentInputs.reinvestmentSource === 'coupon') {
+      reinvestmentRateAt = bond.couponRateAt;
+    } else if (reinvestmentInputs.reinvestmentSource === 'fixed') {
+      if (Number.isFinite(fixedRate)) {
+        reinvestmentRateAt = () => fixedRate;
+      } else {
+        notices.push('Enter a reinvestment rate; coupons are reinvested at the yield to maturity meanwhile.');
+      }
+    }
+
+    let source = reinvestmentInputs.rolloverSource;
+    if (source !== 'fixed' && governmentCurve.error) {
+      notices.push('No government curve to roll over against; using the fixed rollover rate.');
+      source = 'fixed';
+    }
+    if (source === 'simulated' && !rateSimulation?.paths) {
+      notices.push('Run the simulation in the Rate Model tab to roll over along simulated short rates; using the fixed rollover rate meanwhile.');
+      source = 'fixed';
+    }
+    const spreadBps = parseFloat(reinvestmentInputs.rolloverSpread);
+    const spread = source === 'fixed' ? 0
+      : Number.isFinite(spreadBps) ? spreadBps / 10000 : solveZSpread(bond.cashFlows, governmentCurve.curve, bond.dirtyPrice);
 
-  // Calculate Duration and Convexity for each bond
-  const bondAnalytics = useMemo(() => {
-    // Option A: 10-year Government Bond, 4.8% coupon, YTM 5.21%
-    const optionA_macDuration = calculateDuration(0.048, 10, 0.0521, 1);
-    const optionA_modDuration = calculateModifiedDuration(optionA_macDuration, 0.0521, 1);
-    const optionA_convexity = calculateConvexity(0.048, 10, 0.0521, 1);
+    let rolloverRatesAt;
+    if (source === 'curve') {
+      const { curve } = governmentCurve;
+      rolloverRatesAt = [(t) => periodic(periodForwardRate(curve, t, t + 1 / frequency) + spread)];
+    } else if (source === 'simulated') {
+      const { paths, dt } = rateSimulation;
+      rolloverRatesAt = paths.map((path) => (t) => periodic(pathRateAt(path, dt, t) + spread));
+    } else {
+      const rate = Number.isFinite(rolloverRate) ? rolloverRate : bond.rolloverRate / 100;
+      rolloverRatesAt = [() => rate];
+    }
+    return { reinvestmentRateAt, rolloverRatesAt, source, spread, notices };
+  }, [reinvestmentInputs, governmentCurve, rateSimulation]);
+
+  // The focus bond's upcoming coupon dates, ending with maturity
+  const focusCouponDates = useMemo(() => {
+    const bond = catalogById[focusBondId];
+    if (!bond) return [];
+    const terms = { couponRate: 0, frequency: FREQUENCY_PER_YEAR[bond.frequency], maturityDate: bond.maturityDate, dayCount: bond.dayCount };
+    return datedCashFlows(terms, settlementDate).cashFlows.map((cf) => cf.date);
+  }, [catalogById, focusBondId, settlementDate]);
+
+  // The focus bond's partial redemptions before maturity, per 100 of original face
+  const principalSchedule = useMemo(() => {
+    const bond = catalogById[focusBondId];
+    if (!bond) return { redemptions: [] };
+    try {
+      let redemptions = [];
+      if (principalScheduleType === 'amortizing') {
+        redemptions = amortizingRedemptions(focusCouponDates, principalInputs.amortizationStart);
+      } else if (principalScheduleType === 'sinking') {
+        const percent = parseFloat(principalInputs.sinkingPercent);
+        if (!(percent > 0)) throw new Error('Enter a sinking fund payment above 0%.');
+        redemptions = sinkingFundRedemptions(focusCouponDates, principalInputs.sinkingStart, percent, FREQUENCY_PER_YEAR[bond.frequency]);
+      } else if (principalScheduleType === 'custom') {
+        redemptions = principalInputs.customRedemptions
+          .map((row) => ({ date: row.date, amount: parseFloat(row.percent) }))
+          .filter((row) => row.amount > 0);
+      }
+      // Validates the dates and that something is left to repay at maturity
+      datedCashFlows({ couponRate: 0, frequency: FREQUENCY_PER_YEAR[bond.frequency], maturityDate: bond.maturityDate, dayCount: bond.dayCount, redemptions }, settlementDate);
+      return { redemptions };
+    } catch (error) {
+      return { redemptions: [], error: error.message };
+    }
+  }, [catalogById, focusBondId, principalScheduleType, principalInputs, focusCouponDates, settlementDate]);
+
+  // Every catalog instrument valued as of the settlement date and carried to the horizon, keyed
+  // by id in catalog order. Bonds reinvest their coupons at their yield and then roll over at
+  // their own rollover rate, except the focus bond, which takes its coupon structure, principal
+  // schedule and reinvestment plan from the panels in the Comparative Analysis tab.
+  const investmentData = useMemo(() => Object.fromEntries(catalog.map((instrument) => {
+    if (instrument.kind === 'fund') return [instrument.id, withFundGrowth(instrument)];
+    if (instrument.kind === 'deposit') return [instrument.id, withDepositRenewals(instrument)];
+    if (instrument.id !== focusBondId) {
+      const bond = withSolvedYields(instrument, settlementDate);
+      return [instrument.id, withReinvestment(bond, {
+        reinvestmentRateAt: () => bond.ytm / 100,
+        rolloverRatesAt: [() => instrument.rolloverRate / 100],
+      })];
+    }
+
+    const solved = withSolvedYields(instrument, settlementDate, instrument.dayCount, principalSchedule.redemptions);
+    const bond = couponType === 'floating' && !floatingTerms.error
+      ? withFloatingCoupons(solved, settlementDate, floatingTerms.note, floatingTerms.referenceRateAt)
+      : solved;
+    return [instrument.id, withReinvestment(bond, reinvestmentPlan(bond))];
+  })), [catalog, focusBondId, settlementDate, couponType, floatingTerms, principalSchedule, reinvestmentPlan]);
+
+  const instruments = useMemo(() => Object.values(investmentData), [investmentData]);
+  const focusBond = focusBondId ? investmentData[focusBondId] : null;
+
+  // Duration and convexity of each holding's rate-sensitive cash flows, scaled by the share of
+  // the holding they stand for. A floater's coupons move with rates, so its duration comes
+  // from re-projecting and repricing.
+  const bondAnalytics = useMemo(() => Object.fromEntries(instruments.map((instrument) => {
+    const profile = rateProfile(instrument);
+    const { cashFlows, frequency, rateSensitiveShare: share } = profile;
+    let macaulayDuration, modifiedDuration, convexity;
+    if (profile.projectCashFlows) {
+      const floating = analyzeRateSensitivity(cashFlows, flatCurve(profile.yield), frequency, {
+        projectCashFlows: profile.projectCashFlows,
+      });
+      modifiedDuration = floating.effectiveDuration;
+      macaulayDuration = floating.effectiveDuration * (1 + profile.yield / frequency);
+      convexity = floating.effectiveConvexity;
+    } else {
+      macaulayDuration = calculateDuration(cashFlows, profile.yield, frequency);
+      modifiedDuration = calculateModifiedDuration(macaulayDuration, profile.yield, frequency);
+      convexity = calculateConvexity(cashFlows, profile.yield, frequency);
+    }
 
-    // Option B: 7-year Corporate Bond, 8.0% coupon, YTM 7.72%
-    const optionB_macDuration = calculateDuration(0.08, 7, 0.0772, 2);
-    const optionB_modDuration = calculateModifiedDuration(optionB_macDuration, 0.0772, 2);
-    const optionB_convexity = calculateConvexity(0.08, 7, 0.0772, 2);
+    return [instrument.id, {
+      ...profile,
+      macaulayDuration: share * macaulayDuration,
+      modifiedDuration: share * modifiedDuration,
+      convexity: share * convexity,
+    }];
+  })), [instruments]);
 
-    // For funds, use approximate duration based on portfolio composition
-    // 80% bonds (avg 5 years), 20% stocks (duration ~0)
-    const optionC_macDuration = 4.0; // Estimated
-    const optionC_modDuration = 4.0 / (1 + 0.09);
-    const optionC_convexity = 20; // Estimated for balanced fund
+  // Effective duration/convexity, key-rate durations and DV01 by shocking each holding's
+  // curve (flat at its own yield) and repricing
+  const rateSensitivity = useMemo(() => {
+    const holdings = Object.fromEntries(instruments.map((instrument) => {
+      const profile = bondAnalytics[instrument.id];
+      return [instrument.id, scaleSensitivity(
+        analyzeRateSensitivity(profile.cashFlows, flatCurve(profile.yield), profile.frequency, { projectCashFlows: profile.projectCashFlows }),
+        initialInvestment * (allocation[instrument.id] ?? 0) / 100,
+        profile.rateSensitiveShare
+      )];
+    }));
 
     return {
-      optionA: {
-        macaulayDuration: optionA_macDuration,
-        modifiedDuration: optionA_modDuration,
-        convexity: optionA_convexity,
-      },
-      optionB: {
-        macaulayDuration: optionB_macDuration,
-        modifiedDuration: optionB_modDuration,
-        convexity: optionB_convexity,
-      },
-      optionC: {
-        macaulayDuration: optionC_macDuration,
-        modifiedDuration: optionC_modDuration,
-        convexity: optionC_convexity,
-      },
+      ...holdings,
+      portfolio: combineSensitivities(Object.values(holdings)),
+    };
+  }, [instruments, bondAnalytics, allocation]);
+
+  // Rate shock scenarios applied to every holding, on top of each one's flat base curve
+  const rateShockResults = useMemo(() => {
+    const holdings = Object.fromEntries(instruments.map((instrument) => {
+      const profile = bondAnalytics[instrument.id];
+      return [instrument.id, {
+        cashFlows: profile.cashFlows,
+        frequency: profile.frequency,
+        curve: flatCurve(profile.yield),
+        rateSensitiveShare: profile.rateSensitiveShare,
+        projectCashFlows: profile.projectCashFlows,
+        modifiedDuration: profile.modifiedDuration,
+        convexity: profile.convexity,
+        keyRateDurations: rateSensitivity[instrument.id].keyRateDurations,
+        marketValue: rateSensitivity[instrument.id].marketValue,
+      }];
+    }));
+
+    return RATE_SHOCK_SCENARIOS.map((scenario) => ({
+      scenario,
+      ...stressPortfolio(holdings, scenario, rateShockBps),
+    }));
+  }, [instruments, bondAnalytics, rateSensitivity, rateShockBps]);
+
+  // Allocation as a split such as 20/40/40, in catalog order
+  const allocationSplit = instruments.map((instrument) => allocation[instrument.id] ?? 0).join('/');
+
+  // Risk model of the catalog from the shared assumptions, and its mean-variance frontier
+  const meanVarianceModel = useMemo(() => {
+    try {
+      const ids = instruments.map((instrument) => instrument.id);
+      const readPercent = (raw, fallback, label) => {
+        const value = raw === undefined || raw === '' ? fallback : parseFloat(raw);
+        if (!Number.isFinite(value)) throw new Error(`${label} must be a number`);
+        return value / 100;
+      };
+      const means = instruments.map((instrument) =>
+        readPercent(optimizerInputs.expectedReturns[instrument.id], instrument.nominalReturn, `${instrument.label} expected return`));
+      const volatilities = instruments.map((instrument) => {
+        const volatility = readPercent(optimizerInputs.volatilities[instrument.id], instrument.volatility, `${instrument.label} volatility`);
+        if (volatility < 0) throw new Error(`${instrument.label} volatility cannot be negative`);
+        return volatility;
+      });
+      const correlations = ids.map((a) => ids.map((b) => {
+        if (a === b) return 1;
+        const raw = optimizerInputs.correlations[correlationKey(a, b)];
+        const value = raw === undefined || raw === '' ? 0 : parseFloat(raw);
+        if (!Number.isFinite(value)) throw new Error('Correlations must be numbers');
+        return value;
+      }));
+      const riskFree = readPercent(optimizerInputs.riskFree, NaN, 'Risk-free rate');
+      const maxWeight = readPercent(optimizerInputs.maxWeight, NaN, 'Maximum weight');
+      if (maxWeight <= 0 || maxWeight > 1) throw new Error('Maximum weight must be above 0% and at most 100%');
+
+      const covariance = covarianceMatrix(volatilities, correlations);
+      const optimizer = meanVarianceOptimizer(means, covariance, { maxWeight });
+      let maxSharpe = null;
+      let maxSharpeError = null;
+      try {
+        maxSharpe = maxSharpePortfolio(optimizer, riskFree);
+      } catch (error) {
+        maxSharpeError = error.message;
+      }
+
+      return {
+        ids,
+        means,
+        covariance,
+        riskFree,
+        maxWeight,
+        optimizer,
+        frontier: efficientFrontier(optimizer),
+        minVariance: optimizer.minVariance,
+        maxSharpe,
+        maxSharpeError,
+        assets: instruments.map((instrument, i) => ({ instrument, expectedReturn: means[i], volatility: volatilities[i] })),
+      };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [instruments, optimizerInputs]);
+
+  // Where the current allocation sits, kept apart so moving a weight does not rebuild the frontier
+  const frontierAnalysis = useMemo(() => {
+    if (meanVarianceModel.error) return meanVarianceModel;
+    const { ids, means, covariance, optimizer, maxWeight } = meanVarianceModel;
+    const current = portfolioStats(ids.map((id) => (allocation[id] ?? 0) / 100), means, covariance);
+    return {
+      ...meanVarianceModel,
+      current,
+      // The efficient portfolio with the current portfolio's return, when one exists
+      sameReturn: current.expectedReturn >= optimizer.minVariance.expectedReturn && current.expectedReturn <= optimizer.maxReturn
+        ? optimizer.atReturn(current.expectedReturn)
+        : null,
+      currentFeasible: ids.every((id) => (allocation[id] ?? 0) / 100 <= maxWeight + 1e-9),
     };
-  }, []);
+  }, [meanVarianceModel, allocation]);
 
-  // Calculate portfolio weighted returns
+  // Portfolio weighted returns, and its volatility √(wᵀΣw) from the risk model
   const portfolioMetrics = useMemo(() => {
-    const weightedNominalReturn = 
-      (portfolioAllocation.optionA / 100) * investmentData.optionA.nominalReturn +
-      (portfolioAllocation.optionB / 100) * investmentData.optionB.nominalReturn +
-      (portfolioAllocation.optionC / 100) * investmentData.optionC.nominalReturn;
-    
+    const weightOf = (instrument) => (allocation[instrument.id] ?? 0) / 100;
+    const weightedNominalReturn = instruments.reduce((sum, instrument) => sum + weightOf(instrument) * instrument.nominalReturn, 0);
     const weightedRealReturn = ((1 + weightedNominalReturn / 100) / (1 + inflation)) - 1;
-    
+
     return {
       weightedNominalReturn: weightedNominalReturn.toFixed(2),
       weightedRealReturn: (weightedRealReturn * 100).toFixed(2),
+      volatility: frontierAnalysis.error ? 'n/a' : (frontierAnalysis.current.volatility * 100).toFixed(2),
     };
-  }, []);
+  }, [instruments, allocation, frontierAnalysis]);
 
-  // Data for charts
-  const fvComparisonData = [
-    { name: 'Option A', fv: investmentData.optionA.fv, fill: '#3b82f6' },
-    { name: 'Option B', fv: investmentData.optionB.fv, fill: '#8b5cf6' },
-    { name: 'Option C', fv: investmentData.optionC.fv, fill: '#10b981' },
-  ];
-
-  const pieChartData = [
-    { name: 'Gov Bond (A)', value: portfolioAllocation.optionA, fill: '#3b82f6' },
-    { name: 'Corp Bond (B)', value: portfolioAllocation.optionB, fill: '#8b5cf6' },
-    { name: 'Fund (C)', value: portfolioAllocation.optionC, fill: '#10b981' },
-  ];
-
-  // Monte Carlo Simulation with path tracking
-  const runMonteCarloSimulation = () => {
-    setIsSimulating(true);
-    
-    // Use setTimeout to allow UI to update
-    setTimeout(() => {
-      const trials = 10000;
-      const years = 10;
-      const pathsToShow = 100; // Show 100 sample paths for visualization
-      
-      // Parameters
-      const optionC_mean = 0.09; // 9%
-      const optionC_stdDev = 0.12; // 12%
-      
-      const portfolio_mean = 0.0781; // 7.81%
-      const portfolio_stdDev = 0.048; // 4.8%
-      
-      const optionC_results = [];
-      const portfolio_results = [];
-      const optionC_paths = [];
-      const portfolio_paths = [];
-      
-      // First, collect all paths for visualization
-      for (let i = 0; i < Math.min(trials, pathsToShow); i++) {
-        const optionC_path = [{ year: 0, value: initialInvestment }];
-        const portfolio_path = [{ year: 0, value: initialInvestment }];
-        let optionC_value = initialInvestment;
-        let portfolio_value = initialInvestment;
-        
-        for (let year = 1; year <= years; year++) {
-          // Generate DIFFERENT random returns for each path and year
-          const optionC_return = randomNormal(optionC_mean, optionC_stdDev);
-          const portfolio_return = randomNormal(portfolio_mean, portfolio_stdDev);
-          
-          // Compound the returns
-          optionC_value *= (1 + optionC_return);
-          portfolio_value *= (1 + portfolio_return);
-          
-          optionC_path.push({ year, value: optionC_value });
-          portfolio_path.push({ year, value: portfolio_value });
-        }
-        
-        optionC_paths.push(optionC_path);
-        portfolio_paths.push(portfolio_path);
-        optionC_results.push(optionC_value);
-        portfolio_results.push(portfolio_value);
-      }
-      
-      // Now run remaining trials for statistics (only final value matters)
-      for (let i = pathsToShow; i < trials; i++) {
-        let optionC_value = initialInvestment;
-        let portfolio_value = initialInvestment;
-        
-        for (let year = 1; year <= years; year++) {
-          const optionC_return = randomNormal(optionC_mean, optionC_stdDev);
-          const portfolio_return = randomNormal(portfolio_mean, portfolio_stdDev);
-          
-          optionC_value *= (1 + optionC_return);
-          portfolio_value *= (1 + portfolio_return);
+  // Figures checked against an independent source: the quoted price against the solved yield,
+  // the current yield against the coming year's coupons, the reinvestment engine and fund growth
+  // against closed-form growth, the duration formula against a bumped price, returns against the
+  // CAGR of the future value and the Fisher relation, and the allocation against its total.
+  // Percentages may be off by half a basis point, or a basis point when built from rounded ones.
+  const consistencyReport = useMemo(() => {
+    const inflationPercent = inflation * 100;
+    const percentCheck = (group, label, stated, recomputed, tolerance = 0.005) => ({ group, label, kind: 'percent', stated, recomputed, tolerance });
+    const bondChecks = (group, bond) => {
+      const { frequency } = bond.terms;
+      const ytm = bond.ytm / 100;
+      const maturity = bond.cashFlows[bond.cashFlows.length - 1];
+      const bump = 1e-4;
+      const bumpedPrice = (shift) => priceCashFlows(bond.cashFlows, ytm + shift, frequency);
+      return [
+        {
+          group,
+          label: 'Solved YTM reprices the bond to its quoted clean price',
+          kind: 'price',
+          stated: bond.price,
+          recomputed: priceCashFlows(bond.cashFlows, ytm, frequency) - bond.accruedInterest,
+          tolerance: 1e-6,
+        },
+        // Coupons per 100 outstanding paid over the coming year; a floater's reset within the
+        // year would change them, so it is checked on its yield alone
+        ...(bond.couponType === 'floating' || bond.remainingYears < 1 ? [] : [percentCheck(
+          group,
+          'Current yield is the coming year\'s coupons over the clean price',
+          bond.currentYield,
+          (bond.cashFlows.filter((cf) => cf.time <= 1 + 1e-9).reduce((sum, cf) => sum + (cf.coupon * 100) / (cf.outstanding + cf.principal), 0) / bond.price) * 100,
+        )]),
+        {
+          group,
+          label: 'Cash flows reinvested at the YTM grow the dirty price at the YTM to maturity',
+          kind: 'price',
+          stated: reinvestedValue(bond.cashFlows, maturity.time, frequency, () => ytm),
+          recomputed: (bond.price + bond.accruedInterest) * Math.pow(1 + ytm / frequency, maturity.period),
+          tolerance: 1e-6,
+          relative: true,
+        },
+        {
+          group,
+          label: 'Modified duration matches the price change for a 1 bp yield move',
+          kind: 'years',
+          stated: calculateModifiedDuration(calculateDuration(bond.cashFlows, ytm, frequency), ytm, frequency),
+          recomputed: (bumpedPrice(-bump) - bumpedPrice(bump)) / (2 * bump * bumpedPrice(0)),
+          tolerance: 1e-4,
+        },
+      ];
+    };
+
+    // A deposit renewed every term compounds at its rate, with simple interest on a final stub
+    const depositChecks = (group, deposit) => {
+      const term = deposit.termMonths / 12;
+      const renewals = Math.floor(investmentHorizon / term + 1e-9);
+      const rate = deposit.rate / 100;
+      return [{
+        group,
+        label: `Future value renews the deposit at ${deposit.rate}% every ${deposit.termMonths} months`,
+        kind: 'vnd',
+        stated: deposit.fv,
+        recomputed: initialInvestment * Math.pow(1 + rate * term, renewals) * (1 + rate * (investmentHorizon - renewals * term)),
+        tolerance: 1e-4,
+        relative: true,
+      }];
+    };
+
+    const fundChecks = (group, fund) => [{
+      group,
+      label: `Future value compounds the ${fund.expectedReturn}% expected return`,
+      kind: 'vnd',
+      stated: fund.fv,
+      recomputed: compoundGrowth(initialInvestment, fund.expectedReturn, investmentHorizon),
+      tolerance: 1e-4,
+      relative: true,
+    }];
+
+    // Every holding's returns come from its future value: its CAGR, then net of inflation
+    const returnChecks = (group, instrument) => {
+      const nominal = compoundAnnualGrowthRate(initialInvestment, instrument.fv, investmentHorizon);
+      return [
+        percentCheck(group, `Nominal return is the ${investmentHorizon}-year CAGR of the future value`, instrument.nominalReturn, nominal),
+        percentCheck(group, `Real return is the nominal return net of ${inflationPercent}% inflation (Fisher)`, instrument.realReturn, realRate(nominal, inflationPercent)),
+      ];
+    };
+
+    const instrumentChecks = instruments.flatMap((instrument) => {
+      const group = instrument.label;
+      const kindChecks = { bond: bondChecks, deposit: depositChecks, fund: fundChecks }[instrument.kind];
+      return [...kindChecks(group, instrument), ...returnChecks(group, instrument)];
+    });
+
+    // The stated portfolio returns are built from returns rounded to two decimals
+    const weights = instruments.map((instrument) => (allocation[instrument.id] ?? 0) / 100);
+    const weightedNominal = instruments.reduce((sum, instrument, i) =>
+      sum + weights[i] * compoundAnnualGrowthRate(initialInvestment, instrument.fv, investmentHorizon), 0);
+    return runConsistencyChecks([
+      ...instrumentChecks,
+      { group: 'Portfolio', label: 'Allocation adds up to 100%', kind: 'percent', stated: weights.reduce((sum, weight) => sum + weight * 100, 0), recomputed: 100, tolerance: 0 },
+      percentCheck('Portfolio', 'Weighted nominal return weights each holding\'s CAGR', parseFloat(portfolioMetrics.weightedNominalReturn), weightedNominal, 0.01),
+      percentCheck('Portfolio', `Weighted real return is the weighted nominal return net of ${inflationPercent}% inflation`, parseFloat(portfolioMetrics.weightedRealReturn), realRate(weightedNominal, inflationPercent), 0.01),
+    ]);
+  }, [instruments, allocation, portfolioMetrics]);
+
+  // Every bond must already be issued and still outstanding on the settlement date and mature
+  // within the horizon, which bounds the settlement date on both sides
+  const settlementBounds = useMemo(() => {
+    const maturities = catalogBonds.map((bond) => bond.maturityDate).sort();
+    if (maturities.length === 0) return {};
+    const latestIssue = catalogBonds.map(bondIssueDate).sort()[catalogBonds.length - 1];
+    const horizonStart = formatDate(addMonths(maturities[maturities.length - 1], -12 * investmentHorizon));
+    return {
+      min: latestIssue > horizonStart ? latestIssue : horizonStart,
+      before: maturities[0],
+    };
+  }, [catalogBonds]);
+
+  const handleSettlementDateChange = (value) => {
+    const { min, before } = settlementBounds;
+    if (value && (!min || value >= min) && (!before || value < before)) {
+      setSettlementDate(value);
+    }
+  };
+
+  // Price <-> yield calculator for the catalog's bonds, as of the settlement date
+  const pricingBondId = catalogById[pricingBondKey]?.kind === 'bond' ? pricingBondKey : catalogBonds[0]?.id;
+  const pricingCalculator = useMemo(() => {
+    if (!pricingBondId) return null;
+    const bond = investmentData[pricingBondId];
+    const yieldValue = parseFloat(pricingYieldInput);
+    const priceValue = parseFloat(pricingPriceInput);
+
+    // Works off the bond's (possibly projected floating) cash flows as of the settlement date
+    return {
+      bond,
+      cleanPrice: Number.isFinite(yieldValue)
+        ? priceCashFlows(bond.cashFlows, yieldValue / 100, bond.terms.frequency) - bond.accruedInterest
+        : null,
+      ytm: priceValue > 0
+        ? solveYield(bond.cashFlows, priceValue + bond.accruedInterest, bond.terms.frequency, bond.ytm / 100) * 100
+        : null,
+    };
+  }, [investmentData, pricingBondId, pricingYieldInput, pricingPriceInput]);
+
+  // Nelson-Siegel / Svensson fit to the entered government yields
+  const yieldCurveFit = useMemo(() => {
+    const model = findYieldCurveModel(curveModelId);
+    const observed = curveInputs
+      .map((row) => ({ tenor: parseFloat(row.tenor), yield: parseFloat(row.yield) }))
+      .filter((row) => row.tenor > 0 && Number.isFinite(row.yield))
+      .sort((x, y) => x.tenor - y.tenor);
+
+    if (observed.length < model.minTenors) {
+      return { model, observed, error: `${model.label} needs yields for at least ${model.minTenors} tenors.` };
+    }
+
+    const tenors = observed.map((row) => row.tenor);
+    const rates = observed.map((row) => row.yield / 100);
+    const interpolator = model.create().fit(tenors, rates);
+    const curve = sampleCurve(interpolator, Math.max(30, tenors[tenors.length - 1]));
+
+    return {
+      model,
+      observed,
+      interpolator,
+      curve,
+      rmse: interpolator.rmse(tenors, rates),
+      chartData: curve.tenors.map((tenor, i) => ({ tenor, fitted: curve.rates[i] * 100 })),
+    };
+  }, [curveModelId, curveInputs]);
+
+  // The catalog's bonds priced off the fitted curve plus a spread, next to the spread implied by their quoted prices
+  const curvePricing = useMemo(() => {
+    if (yieldCurveFit.error) return null;
+    const { curve } = yieldCurveFit;
+
+    return catalogBonds.map(({ id: key }) => {
+      const bond = investmentData[key];
+      const spreadBps = parseFloat(curveSpreads[key] ?? '0');
+      const spread = Number.isFinite(spreadBps) ? spreadBps / 10000 : 0;
+      const dirtyPrice = priceOffCurve(bond.cashFlows, curve, bond.terms.frequency, spread);
+      return {
+        key,
+        bond,
+        dirtyPrice,
+        cleanPrice: dirtyPrice - bond.accruedInterest,
+        impliedSpread: solveCurveSpread(bond.cashFlows, curve, bond.terms.frequency, bond.dirtyPrice),
+      };
+    });
+  }, [yieldCurveFit, catalogBonds, investmentData, curveSpreads]);
+
+  // Spot and forward rates of the bootstrapped government curve, with the catalog's bonds valued off it
+  const discountCurve = useMemo(() => {
+    if (governmentCurve.error) return governmentCurve;
+    const { curve } = governmentCurve;
+    const maxTenor = curve.knots[curve.knots.length - 1].time;
+    const chartData = Array.from({ length: Math.ceil(maxTenor * 4) }, (_, i) => {
+      const tenor = Math.min((i + 1) / 4, maxTenor);
+      return { tenor, spot: spotRateAt(curve, tenor) * 100, forward: forwardRateAt(curve, tenor) * 100 };
+    });
+    const valuations = Object.fromEntries(catalogBonds.map(({ id: key }) => {
+      const bond = investmentData[key];
+      const dirtyPrice = priceOffDiscountCurve(bond.cashFlows, curve);
+      return [key, {
+        dirtyPrice,
+        cleanPrice: dirtyPrice - bond.accruedInterest,
+        zSpread: solveZSpread(bond.cashFlows, curve, bond.dirtyPrice),
+      }];
+    }));
+    return { curve, chartData, valuations };
+  }, [governmentCurve, catalogBonds, investmentData]);
+
+  // The focus bond's credit risk, with the hazard rate implied from its Z-spread, taken from
+  // the rating table, or entered directly
+  const creditRisk = useMemo(() => {
+    if (!focusBond) return { error: 'There is no bond in the catalog.' };
+    const bond = focusBond;
+    const recoveryRate = parseFloat(recoveryRateInput) / 100;
+    const ratingSpreads = ratingSpreadInputs
+      .map((row) => ({ rating: row.rating, spreadBps: parseFloat(row.spreadBps) }))
+      .filter((row) => Number.isFinite(row.spreadBps));
+
+    try {
+      let hazardRate;
+      if (creditSource === 'spread') {
+        if (discountCurve.error) {
+          throw new Error('No government curve to measure the spread against; fix the bond quotes in the Yield Curve tab.');
         }
-        
-        optionC_results.push(optionC_value);
-        portfolio_results.push(portfolio_value);
+        hazardRate = hazardRateFromSpread(discountCurve.valuations[focusBondId].zSpread, recoveryRate);
+      } else if (creditSource === 'rating') {
+        const row = ratingSpreads.find((r) => r.rating === creditRating);
+        if (!row) throw new Error(`Enter a spread for ${creditRating} in the rating table.`);
+        hazardRate = hazardRateFromSpread(row.spreadBps / 10000, recoveryRate);
+      } else {
+        hazardRate = parseFloat(hazardRateInput) / 100;
+        if (!(hazardRate >= 0)) throw new Error('Enter a hazard rate of 0% or more.');
+        hazardRateFromSpread(0, recoveryRate); // validates the recovery rate
       }
-      
-      // Sort results
-      optionC_results.sort((a, b) => a - b);
-      portfolio_results.sort((a, b) => a - b);
-      
-      // Calculate percentiles
-      const getPercentile = (arr, percentile) => {
-        const index = Math.floor(arr.length * percentile);
-        return arr[index];
-      };
-      
-      // Create histogram data
-      const createHistogram = (data, name, color) => {
-        const bins = 50;
-        const min = Math.min(...data);
-        const max = Math.max(...data);
-        const binSize = (max - min) / bins;
-        
-        const histogram = Array(bins).fill(0);
-        data.forEach(value => {
-          const binIndex = Math.min(Math.floor((value - min) / binSize), bins - 1);
-          histogram[binIndex]++;
-        });
-        
-        return histogram.map((count, i) => ({
-          value: min + (i + 0.5) * binSize,
-          [name]: count,
-          fill: color,
-        }));
+
+      const analysis = analyzeCreditRisk({ cashFlows: bond.cashFlows, ytm: bond.ytm / 100, hazardRate, recoveryRate });
+      const units = (initialInvestment * (allocation[focusBondId] ?? 0) / 100) / bond.dirtyPrice;
+      return {
+        ...analysis,
+        // Under the credit triangle the spread equals the expected loss rate λ(1 - R)
+        rating: ratingSpreads.length > 0 ? impliedRating(ratingSpreads, analysis.expectedLossRate * 10000) : null,
+        expectedLossVnd: (analysis.promisedTotal - analysis.expectedTotal) * units,
       };
-      
-      const optionC_histogram = createHistogram(optionC_results, 'Option C', '#10b981');
-      const portfolio_histogram = createHistogram(portfolio_results, 'Portfolio', '#3b82f6');
-      
-      // Create average path data for line chart
-      const avgPathData = [];
-      for (let year = 0; year <= years; year++) {
-        avgPathData.push({
-          year,
-          optionC_expected: initialInvestment * Math.pow(1 + optionC_mean, year),
-          portfolio_expected: initialInvestment * Math.pow(1 + portfolio_mean, year),
-        });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [focusBond, focusBondId, allocation, discountCurve, creditSource, creditRating, hazardRateInput, recoveryRateInput, ratingSpreadInputs]);
+
+  // The focus bond's call and put schedule: yields to each exercise date, and OAS and effective
+  // duration from a Hull-White tree fitted to the bootstrapped government curve
+  const embeddedOptionAnalysis = useMemo(() => {
+    if (!focusBond) return { yields: [], error: 'There is no bond in the catalog.' };
+    const bond = focusBond;
+    const exercises = embeddedOptionInputs
+      .map((row, index) => ({ row: index, type: row.type, date: row.date, price: parseFloat(row.price) }))
+      .filter((row) => row.price > 0);
+    const a = parseFloat(optionTreeInputs.a);
+    const sigma = parseFloat(optionTreeInputs.sigma) / 100;
+    const stepsPerPeriod = Math.round(parseFloat(optionTreeInputs.stepsPerPeriod));
+
+    try {
+      const yields = exerciseYields(bond.cashFlows, exercises, bond.dirtyPrice, bond.terms.frequency);
+      if (governmentCurve.error) {
+        return { ...yields, error: 'No government curve to fit the tree to; fix the bond quotes in the Yield Curve tab.' };
       }
-      
-      setSimulationResults({
-        optionC: {
-          p5: getPercentile(optionC_results, 0.05),
-          p50: getPercentile(optionC_results, 0.50),
-          p95: getPercentile(optionC_results, 0.95),
-          histogram: optionC_histogram,
-          paths: optionC_paths,
-        },
-        portfolio: {
-          p5: getPercentile(portfolio_results, 0.05),
-          p50: getPercentile(portfolio_results, 0.50),
-          p95: getPercentile(portfolio_results, 0.95),
-          histogram: portfolio_histogram,
-          paths: portfolio_paths,
-        },
-        avgPathData,
-      });
-      
-      setIsSimulating(false);
-    }, 100);
+      if (!(a > 0 && sigma >= 0 && stepsPerPeriod >= 1 && stepsPerPeriod <= 30)) {
+        return { ...yields, error: 'Enter a > 0, σ ≥ 0 and between 1 and 30 tree steps per coupon period.' };
+      }
+      const { curve } = governmentCurve;
+      return {
+        ...yields,
+        ...analyzeEmbeddedOptions(
+          { cashFlows: bond.cashFlows, dirtyPrice: bond.dirtyPrice, frequency: bond.terms.frequency },
+          yields.yields,
+          { discountAt: (t) => discountFactorAt(curve, t), a, sigma, stepsPerPeriod }
+        ),
+      };
+    } catch (error) {
+      return { yields: [], error: error.message };
+    }
+  }, [focusBond, governmentCurve, embeddedOptionInputs, optionTreeInputs]);
+
+  const updateCustomRedemption = (index, field, value) => {
+    setPrincipalInputs(prev => ({
+      ...prev,
+      customRedemptions: prev.customRedemptions.map((row, i) => (i === index ? { ...row, [field]: value } : row)),
+    }));
   };
 
-  const formatCurrency = (value) => {
-    return `₫${(value / 1000000).toFixed(0)}M`;
+  const updateEmbeddedOption = (index, field, value) => {
+    setEmbeddedOptionInputs(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
   };
 
-  // Beautiful AI Response Formatter
-  const FormattedAIResponse = ({ content }) => {
-    const formatText = (text) => {
-      // Split by lines
-      const lines = text.split('\n');
-      const formatted = [];
-      let inCodeBlock = false;
-      let codeBlockContent = [];
-      
-      lines.forEach((line, idx) => {
-        // Check for code blocks
-        if (line.trim().startsWith('```')) {
-          if (inCodeBlock) {
-            // End code block
-            formatted.push(
-              <div key={`code-${idx}`} className="bg-gray-900 text-green-400 p-4 rounded-lg my-3 font-mono text-sm overflow-x-auto">
-                {codeBlockContent.map((codeLine, i) => (
-                  <div key={i}>{codeLine}</div>
-                ))}
-              </div>
-            );
-            codeBlockContent = [];
-            inCodeBlock = false;
-          } else {
-            // Start code block
-            inCodeBlock = true;
-          }
-          return;
-        }
-        
-        if (inCodeBlock) {
-          codeBlockContent.push(line);
-          return;
-        }
-        
-        // Headers (##)
-        if (line.trim().startsWith('##')) {
-          const headerText = line.replace(/^#+\s*/, '');
-          formatted.push(
-            <h3 key={idx} className="text-lg font-bold text-gray-800 mt-4 mb-2 border-b-2 border-purple-300 pb-1">
-              {headerText}
-            </h3>
-          );
-          return;
-        }
-        
-        // Headers (#)
-        if (line.trim().startsWith('#')) {
-          const headerText = line.replace(/^#+\s*/, '');
-          formatted.push(
-            <h2 key={idx} className="text-xl font-bold text-gray-900 mt-4 mb-2">
-              {headerText}
-            </h2>
-          );
-          return;
-        }
-        
-        // Bullet points
+  const updateCurveInput = (index, field, value) => {
+    setCurveInputs(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  // The focus bond's year-10 value built up from its parts, each bar starting where the last ended
+  const reinvestmentWaterfallData = (() => {
+    if (!focusBond) return [];
+    const { units, waterfall } = focusBond.reinvestment;
+    const steps = [
+      { name: 'Coupons', amount: waterfall.coupons, fill: '#8b5cf6' },
+      { name: 'Principal', amount: waterfall.principal, fill: '#6366f1' },
+      { name: 'Interest on interest', amount: waterfall.interestOnInterest, fill: '#a78bfa' },
+      { name: 'Rollover interest', amount: waterfall.rolloverInterest, fill: '#c4b5fd' },
+    ];
+    let running = 0;
+    const bars = steps.map((step) => {
+      const amount = units * step.amount;
+      const base = Math.min(running, running + amount);
+      running += amount;
+      return { ...step, base, amount: Math.abs(amount) };
+    });
+    return [...bars, { name: 'Year-10 value', base: 0, amount: units * waterfall.total, fill: '#7c3aed' }];
+  })();
+
+  // Catalog editing. Drafts hold the entered strings until they are saved; a saved bond must
+  // also price, so a quote no yield can reproduce is caught here rather than in the tabs.
+  const draftValues = (instrument) =>
+    Object.fromEntries(INSTRUMENT_KINDS[instrument.kind].fields.map((field) => [field.key, String(instrument[field.key])]));
+
+  const addInstrument = (kind) => {
+    const instrument = createInstrument(kind, catalog, settlementDate);
+    setInstrumentDraft({ instrument, values: draftValues(instrument), isNew: true });
+  };
+
+  const editInstrument = (instrument) => {
+    setInstrumentDraft({ instrument, values: draftValues(instrument), isNew: false });
+  };
+
+  const updateDraftValue = (key, value) => {
+    setInstrumentDraft(prev => ({ ...prev, values: { ...prev.values, [key]: value }, error: null }));
+  };
+
+  const saveInstrumentDraft = () => {
+    const { instrument, values, isNew } = instrumentDraft;
+    try {
+      const saved = readInstrument(instrument, values, { settlementDate, horizonYears: investmentHorizon });
+      if (saved.kind === 'bond') withSolvedYields(saved, settlementDate);
+      setCatalog(prev => (isNew ? [...prev, saved] : prev.map((entry) => (entry.id === saved.id ? saved : entry))));
+      setInstrumentDraft(null);
+    } catch (error) {
+      setInstrumentDraft(prev => ({ ...prev, error: error.message }));
+    }
+  };
+
+  // A removed holding's weight goes to the others, in proportion to their weights
+  const removeInstrument = (id) => {
+    const ids = catalog.map((instrument) => instrument.id);
+    setCatalog(prev => prev.filter((instrument) => instrument.id !== id));
+    setAllocation(prev => Object.fromEntries(Object.entries(setWeight(prev, ids, id, 0)).filter(([key]) => key !== id)));
+    if (instrumentDraft?.instrument.id === id) setInstrumentDraft(null);
+  };
+
+  // Weights stay whole percentages adding up to 100: moving one rebalances the rest
+  const updateWeight = (id, value) => {
+    const weight = parseFloat(value);
+    if (Number.isFinite(weight)) {
+      setAllocation(prev => setWeight(prev, catalog.map((instrument) => instrument.id), id, weight));
+    }
+  };
+
+  // Optimizer inputs: a top-level field, or one entry of expectedReturns, volatilities or correlations
+  const updateOptimizerInput = (field, value, key) => {
+    setOptimizerInputs(prev => (key === undefined
+      ? { ...prev, [field]: value }
+      : { ...prev, [field]: { ...prev[field], [key]: value } }));
+  };
+
+  const updateInstrumentField = (id, key, value) => {
+    setCatalog(prev => prev.map((instrument) => (instrument.id === id ? { ...instrument, [key]: value } : instrument)));
+  };
+
+  // Data for charts
+  const fvComparisonData = instruments.map((instrument) => ({ name: instrument.label, fv: instrument.fv, fill: instrument.color }));
+
+  const pieChartData = instruments
+    .filter((instrument) => (allocation[instrument.id] ?? 0) > 0)
+    .map((instrument) => ({ name: `${instrument.name} (${instrument.label})`, value: allocation[instrument.id], fill: instrument.color }));
+
+  // Monthly return history for the bootstrap; values above 1 are treated as percentages
+  const handleReturnHistoryUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setReturnHistoryFile({ fileName: file.name, text: await file.text() });
+  };
+
+  // The history as decimal monthly returns, with its annualized volatility shown against the σ
+  // it is rescaled to
+  const returnHistory = useMemo(() => {
+    if (!returnHistoryFile) return null;
+    const returns = parseRateSeries(returnHistoryFile.text, returnHistoryUnit);
+    const average = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const variance = returns.reduce((sum, value) => sum + (value - average) ** 2, 0) / Math.max(1, returns.length - 1);
+    return { fileName: returnHistoryFile.fileName, returns, volatility: Math.sqrt(12 * variance) };
+  }, [returnHistoryFile, returnHistoryUnit]);
+
+  // Seed for a run: the one entered, or a new one (shown in the field) when it is blank
+  const seedForRun = () => {
+    const seed = simulationSeed.trim() || newSeed();
+    setSimulationSeed(seed);
+    return seed;
+  };
+
+  // Monte Carlo Simulation with path tracking. Every holding is simulated monthly from the
+  // shared risk model under the chosen return model; the portfolio is the sum of its holdings
+  // under the chosen rebalancing policy and the benchmark is one holding on its own, on the same
+  // draws. Every policy, and the chosen policy under every return model, is run on the same draws
+  // too, for the comparison tables. The trials run in a worker, which sends its final values back
+  // a chunk at a time.
+  const runMonteCarloSimulation = () => {
+    const band = parseFloat(rebalancingInputs.band) / 100;
+    const costRate = parseFloat(rebalancingInputs.costBps) / 10000;
+    const trials = parseInt(monteCarloTrials, 10);
+    if (!(band > 0 && band < 1) || !(costRate >= 0 && costRate < 1)) {
+      setRebalancingError('Enter a tolerance band above 0% and below 100%, and a transaction cost of 0 bps or more.');
+      return;
+    }
+    if (!(trials >= 1000 && trials <= MAX_MONTE_CARLO_TRIALS)) {
+      setRebalancingError(`Enter between 1,000 and ${MAX_MONTE_CARLO_TRIALS.toLocaleString()} trials.`);
+      return;
+    }
+    const shocks = {
+      distribution: shockInputs.distribution,
+      degreesOfFreedom: parseFloat(shockInputs.degreesOfFreedom),
+      skew: parseFloat(shockInputs.skew),
+      blockLength: parseInt(shockInputs.blockLength, 10),
+    };
+    if (shocks.distribution === 'student' && !(shocks.degreesOfFreedom > 2)) {
+      setRebalancingError('Enter more than 2 degrees of freedom, so the returns have a finite variance.');
+      return;
+    }
+    if (shocks.distribution === 'skewed' && !(shocks.degreesOfFreedom > 4)) {
+      setRebalancingError('Enter more than 4 degrees of freedom for the skewed t, so the returns have a finite variance.');
+      return;
+    }
+    if (shocks.distribution === 'skewed' && !Number.isFinite(shocks.skew)) {
+      setRebalancingError('Enter a skew γ.');
+      return;
+    }
+    if (shocks.distribution === 'bootstrap') {
+      if (!returnHistory) {
+        setRebalancingError('Upload a history of monthly returns to bootstrap from.');
+        return;
+      }
+      if (!(shocks.blockLength >= 1 && shocks.blockLength <= returnHistory.returns.length)) {
+        setRebalancingError(`Enter a block length between 1 and ${returnHistory.returns.length} months.`);
+        return;
+      }
+      try {
+        shocks.history = standardizeHistory(returnHistory.returns);
+      } catch (error) {
+        setRebalancingError(error.message);
+        return;
+      }
+    }
+    setRebalancingError(null);
+
+    const seed = seedForRun();
+    const years = investmentHorizon;
+    const pathsToShow = 100; // Show 100 sample paths for visualization
+
+    const { ids, means, covariance } = meanVarianceModel;
+    const weights = ids.map((id) => (allocation[id] ?? 0) / 100);
+    const benchmark = investmentData[monteCarloBenchmarkId] ?? instruments[0];
+    const benchmarkIndex = ids.indexOf(benchmark.id);
+    // Buy and hold's exact mean, which the control variate needs, only holds for normal shocks;
+    // the bootstrap draws its blocks directly, whatever the sampling method
+    const inputs = {
+      ...rebalancingInputs,
+      ...varianceReduction,
+      sampling: shocks.distribution === 'bootstrap' ? 'pseudo' : varianceReduction.sampling,
+      controlVariate: varianceReduction.controlVariate && shocks.distribution === 'normal',
+      returnModel,
+      shocks: { ...shockInputs, history: shocks.distribution === 'bootstrap' ? returnHistory : null },
+    };
+    // Even, so antithetic pairs stay in one batch
+    const batchSize = 2 * Math.ceil(trials / (2 * MONTE_CARLO_BATCHES));
+
+    // Final values land in place as chunks arrive
+    const collected = {
+      benchmark: new Float64Array(trials),
+      portfolios: Object.fromEntries(REBALANCING_POLICIES.map(({ id }) => [id, new Float64Array(trials)])),
+      models: {},
+      baseline: shocks.distribution === 'normal' ? null : new Float64Array(trials),
+      totals: Object.fromEntries(REBALANCING_POLICIES.map(({ id }) => [id, { turnover: 0, costs: 0, rebalances: 0 }])),
+      paths: [],
+    };
+    // The chosen return model's values are the chosen policy's
+    RETURN_MODELS.forEach(({ id }) => {
+      collected.models[id] = id === returnModel ? collected.portfolios[inputs.policy] : new Float64Array(trials);
+    });
+
+    monteCarloWorkerRef.current?.terminate();
+    const worker = new Worker(new URL('./src/workers/monteCarlo.worker.js', import.meta.url), { type: 'module' });
+    monteCarloWorkerRef.current = worker;
+    setIsSimulating(true);
+    setSimulationProgress({ completed: 0, trials });
+
+    const stop = () => {
+      worker.terminate();
+      if (monteCarloWorkerRef.current === worker) monteCarloWorkerRef.current = null;
+      setIsSimulating(false);
+      setSimulationProgress(null);
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'chunk') {
+        collected.benchmark.set(data.benchmark, data.start);
+        Object.entries(data.portfolios).forEach(([id, values]) => collected.portfolios[id].set(values, data.start));
+        Object.entries(data.models).forEach(([id, values]) => collected.models[id].set(values, data.start));
+        if (data.baseline) collected.baseline.set(data.baseline, data.start);
+        Object.entries(data.totals).forEach(([id, totals]) => {
+          Object.keys(totals).forEach((key) => {
+            collected.totals[id][key] += totals[key];
+          });
+        });
+        if (data.paths.length > 0) collected.paths = data.paths;
+        setSimulationProgress({ completed: data.completed, trials });
+      } else if (data.type === 'done') {
+        stop();
+        setSimulationResults({ ...summarizeSimulation({ collected, trials, batchSize, years, weights, means, covariance, benchmark, benchmarkIndex, inputs }), seed });
+      } else {
+        stop();
+        setRebalancingError(data.message);
+      }
+    };
+    worker.onerror = (event) => {
+      stop();
+      setRebalancingError(event.message || 'The simulation failed');
+    };
+
+    worker.postMessage({
+      means,
+      covariance,
+      weights,
+      initial: initialInvestment,
+      years,
+      stepsPerYear: 12,
+      trials,
+      chunkSize: 10000,
+      benchmarkIndex,
+      policy: inputs.policy,
+      band,
+      costRate,
+      pathsToKeep: pathsToShow,
+      seed,
+      sampling: inputs.sampling,
+      batchSize,
+      model: inputs.returnModel,
+      shocks,
+    });
+  };
+
+  const cancelMonteCarloSimulation = () => {
+    monteCarloWorkerRef.current?.terminate();
+    monteCarloWorkerRef.current = null;
+    setIsSimulating(false);
+    setSimulationProgress(null);
+  };
+
+  // Percentiles, histograms and policy comparison from a finished run
+  const summarizeSimulation = ({ collected, trials, batchSize, years, weights, means, covariance, benchmark, benchmarkIndex, inputs }) => {
+    const benchmark_mean = means[benchmarkIndex];
+    const benchmark_stdDev = Math.sqrt(covariance[benchmarkIndex][benchmarkIndex]);
+    
+    // The portfolio's first-year return has mean w·μ and volatility √(wᵀΣw)
+    const { expectedReturn: portfolio_mean, volatility: portfolio_stdDev } = portfolioStats(weights, means, covariance);
+    
+    // Expected value of one unit of each holding after a year under the return model
+    const { expectedGrowth } = RETURN_MODELS.find((model) => model.id === inputs.returnModel);
+    const growth = means.map(expectedGrowth);
+
+    // Sampling error of each estimate, from batches of trials in the order they were drawn.
+    // With the control variate, means are estimated from buy-and-hold-adjusted values: buy and
+    // hold's expected final value is known exactly, Σ wᵢ·gᵢ^years with gᵢ the expected growth.
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const percentileOf = (p) => (values) => percentileOfSorted(Float64Array.from(values).sort(), p);
+    const buyAndHoldMean = weights.reduce((sum, weight, i) => sum + weight * initialInvestment * Math.pow(growth[i], years), 0);
+    const meanValues = (values, controlled) => (inputs.controlVariate && controlled
+      ? controlVariateValues(values, collected.portfolios.none, buyAndHoldMean).values
+      : values);
+    const estimateErrors = (values, controlled) => {
+      const forMean = meanValues(values, controlled);
+      const errors = {
+        mean: { estimate: average(forMean), standardError: batchStandardError(forMean, batchSize, average) },
+      };
+      [['p5', 0.05], ['p50', 0.5], ['p95', 0.95]].forEach(([key, p]) => {
+        errors[key] = { estimate: percentileOf(p)(values), standardError: batchStandardError(values, batchSize, percentileOf(p)) };
+      });
+      Object.values(errors).forEach((error) => {
+        error.low = error.estimate - BATCH_T_95 * error.standardError;
+        error.high = error.estimate + BATCH_T_95 * error.standardError;
+      });
+      return errors;
+    };
+    const benchmark_errors = estimateErrors(collected.benchmark, false);
+    const portfolio_errors = estimateErrors(collected.portfolios[inputs.policy], true);
+    const policy_means = Object.fromEntries(REBALANCING_POLICIES.map(({ id }) => [id, average(meanValues(collected.portfolios[id], true))]));
+
+    // Estimates from the first 1,000, 2,000, 4,000, … trials
+    const counts = [];
+    for (let count = Math.min(1000, trials); count < trials; count *= 2) counts.push(count);
+    counts.push(trials);
+    const portfolio_mean_values = meanValues(collected.portfolios[inputs.policy], true);
+    const convergenceData = convergence(collected.portfolios[inputs.policy], counts, {
+      p5: (sorted) => percentileOfSorted(sorted, 0.05) / 1e6,
+      p50: (sorted) => percentileOfSorted(sorted, 0.5) / 1e6,
+      p95: (sorted) => percentileOfSorted(sorted, 0.95) / 1e6,
+    }).map((row) => ({ ...row, mean: average(portfolio_mean_values.slice(0, row.trials)) / 1e6 }));
+    
+    // Sort results (typed arrays sort numerically)
+    const benchmark_results = collected.benchmark.sort();
+    Object.values(collected.portfolios).forEach((values) => values.sort());
+    const portfolio_results = collected.portfolios[inputs.policy];
+    const model_means = Object.fromEntries(RETURN_MODELS.map(({ id }) => [id, average(collected.models[id])]));
+    Object.values(collected.models).forEach((values) => values.sort());
+
+    // Tails of the chosen shape against normal shocks, for the chosen policy and return model
+    const tailStats = (sorted) => ({
+      ...downsideStats(sorted, { alpha: 0.05, target: initialInvestment }),
+      p1: percentileOfSorted(sorted, 0.01),
+      p10: percentileOfSorted(sorted, 0.1),
+    });
+    const tails = collected.baseline && {
+      baseline: tailStats(collected.baseline.sort()),
+      shaped: tailStats(collected.models[inputs.returnModel]),
+    };
+    const benchmark_paths = collected.paths.map((path) => path.map((point) => ({ year: point.year, value: point.holdings[benchmarkIndex] })));
+    const portfolio_paths = collected.paths.map((path) => path.map((point) => ({ year: point.year, value: point.portfolio })));
+    
+    // Create histogram data from sorted values
+    const createHistogram = (data, name, color) => {
+      const bins = 50;
+      const min = data[0];
+      const max = data[data.length - 1];
+      const binSize = (max - min) / bins;
+      
+      const histogram = Array(bins).fill(0);
+      data.forEach(value => {
+        const binIndex = Math.min(Math.floor((value - min) / binSize), bins - 1);
+        histogram[binIndex]++;
+      });
+      
+      return histogram.map((count, i) => ({
+        value: min + (i + 0.5) * binSize,
+        [name]: count,
+        fill: color,
+      }));
+    };
+    
+    const benchmark_histogram = createHistogram(benchmark_results, benchmark.label, benchmark.color);
+    const portfolio_histogram = createHistogram(portfolio_results, 'Portfolio', '#3b82f6');
+    
+    // Create average path data for line chart
+    const avgPathData = [];
+    for (let year = 0; year <= years; year++) {
+      avgPathData.push({
+        year,
+        benchmark_expected: initialInvestment * Math.pow(growth[benchmarkIndex], year),
+        // Buy and hold compounds each holding on its own; rebalancing compounds the weighted mean (before costs)
+        portfolio_expected: inputs.policy === 'none'
+          ? weights.reduce((sum, weight, i) => sum + weight * initialInvestment * Math.pow(growth[i], year), 0)
+          : initialInvestment * Math.pow(weights.reduce((sum, weight, i) => sum + weight * growth[i], 0), year),
+      });
+    }
+    
+    return {
+      trials,
+      batches: Math.ceil(trials / batchSize),
+      convergence: convergenceData,
+      benchmark: {
+        errors: benchmark_errors,
+        label: benchmark.label,
+        name: benchmark.name,
+        color: benchmark.color,
+        mean: benchmark_mean,
+        stdDev: benchmark_stdDev,
+        p5: percentileOfSorted(benchmark_results, 0.05),
+        p50: percentileOfSorted(benchmark_results, 0.50),
+        p95: percentileOfSorted(benchmark_results, 0.95),
+        histogram: benchmark_histogram,
+        paths: benchmark_paths,
+      },
+      portfolio: {
+        errors: portfolio_errors,
+        mean: portfolio_mean,
+        stdDev: portfolio_stdDev,
+        p5: percentileOfSorted(portfolio_results, 0.05),
+        p50: percentileOfSorted(portfolio_results, 0.50),
+        p95: percentileOfSorted(portfolio_results, 0.95),
+        histogram: portfolio_histogram,
+        paths: portfolio_paths,
+      },
+      rebalancing: {
+        ...inputs,
+        policies: REBALANCING_POLICIES.map((policy) => {
+          const sorted = collected.portfolios[policy.id];
+          const totals = collected.totals[policy.id];
+          return {
+            id: policy.id,
+            label: policy.id === 'band' ? `${policy.label} (±${inputs.band}%)` : policy.label,
+            mean: policy_means[policy.id],
+            p5: percentileOfSorted(sorted, 0.05),
+            p50: percentileOfSorted(sorted, 0.50),
+            p95: percentileOfSorted(sorted, 0.95),
+            turnover: totals.turnover / trials,
+            costs: totals.costs / trials,
+            rebalancesPerYear: totals.rebalances / trials / years,
+          };
+        }),
+      },
+      tails,
+      returnModels: RETURN_MODELS.map((model) => {
+        const sorted = collected.models[model.id];
+        return {
+          id: model.id,
+          label: model.label,
+          formula: model.formula,
+          mean: model_means[model.id],
+          p5: percentileOfSorted(sorted, 0.05),
+          p50: percentileOfSorted(sorted, 0.50),
+          p95: percentileOfSorted(sorted, 0.95),
+        };
+      }),
+      avgPathData,
+    };
+  };
+
+  // Downside optimizer: allocations on a grid, scored on scenarios drawn from the optimizer's
+  // returns, volatilities and correlations
+  const runDownsideOptimizer = () => {
+    if (meanVarianceModel.error) {
+      setDownsideResults({ error: meanVarianceModel.error });
+      return;
+    }
+    const target = parseFloat(downsideInputs.target);
+    const alpha = parseFloat(downsideInputs.tail) / 100;
+    const trials = parseInt(downsideInputs.trials, 10);
+    if (!(target > 0) || !(alpha > 0 && alpha < 1) || !(trials >= 100 && trials <= 20000)) {
+      setDownsideResults({ error: 'Enter a positive target, a tail between 0% and 100% and 100 to 20,000 scenarios.' });
+      return;
+    }
+    const seed = seedForRun();
+    setIsOptimizingDownside(true);
+
+    setTimeout(() => {
+      try {
+        const { ids, means, covariance, maxWeight } = meanVarianceModel;
+        const scenarios = simulateReturnScenarios({ means, covariance, years: investmentHorizon, trials, random: createRandom(seed) });
+        const step = gridStepFor(ids.length, 1500);
+        const result = optimizeDownside(scenarios, {
+          objective: downsideInputs.objective, alpha, target, initial: initialInvestment, maxWeight, step,
+        });
+        const currentWeights = ids.map((id) => (allocation[id] ?? 0) / 100);
+        setDownsideResults({
+          ...result,
+          ids,
+          step,
+          trials,
+          seed,
+          alpha,
+          target,
+          objective: downsideInputs.objective,
+          current: { weights: currentWeights, ...downsideStats(scenarioValues(scenarios, currentWeights, initialInvestment), { alpha, target }) },
+        });
+      } catch (error) {
+        setDownsideResults({ error: error.message });
+      }
+      setIsOptimizingDownside(false);
+    }, 100);
+  };
+
+  // Short-rate simulation with the selected model, then the catalog's bonds valued along the paths
+  const runRateSimulation = () => {
+    const seed = seedForRun();
+    setIsSimulatingRates(true);
+
+    setTimeout(() => {
+      try {
+        const years = investmentHorizon;
+        const stepsPerYear = 12;
+        const trials = 2000;
+        const pathsToShow = 50;
+        const dt = 1 / stepsPerYear;
+        const model = findShortRateModel(rateModelId);
+        const params = readShortRateParams(model, rateModelInputs[rateModelId]);
+
+        if (!params) {
+          throw new Error(`Enter valid ${model.label} parameters (${model.formula}).`);
+        }
+
+        const random = createRandom(seed);
+        const paths = model.create(params).scenarios(params.r0, dt, trials, years * stepsPerYear, () => random.normal());
+        const times = paths[0].map((_, i) => i * dt);
+
+        const samplePaths = paths.slice(0, pathsToShow).map((path) =>
+          path.map((rate, i) => ({ year: times[i], rate: rate * 100 }))
+        );
+
+        const fanData = ratePathPercentiles(times, paths).map((row) => ({
+          year: row.time,
+          band90: [row.p5 * 100, row.p95 * 100],
+          band50: [row.p25 * 100, row.p75 * 100],
+          median: row.p50 * 100,
+          mean: row.mean * 100,
+        }));
+
+        // Terminal rates, against the stationary density (scaled to counts) where the model has one
+        const terminalRates = paths.map((path) => path[path.length - 1]).sort((x, y) => x - y);
+        const stationary = model.stationaryDistribution?.(params) ?? null;
+        const bins = 40;
+        const min = terminalRates[0];
+        const max = terminalRates[terminalRates.length - 1];
+        const binSize = (max - min) / bins || 1e-4;
+        const counts = Array(bins).fill(0);
+        terminalRates.forEach((rate) => {
+          counts[Math.min(Math.floor((rate - min) / binSize), bins - 1)]++;
+        });
+        const distributionData = counts.map((count, i) => {
+          const rate = min + (i + 0.5) * binSize;
+          return {
+            rate: rate * 100,
+            simulated: count,
+            ...(stationary && stationary.stdDev > 0 && { stationary: trials * binSize * stationary.density(rate) }),
+          };
+        });
+
+        // Model price discounts along each path; horizon value reinvests every cash flow at the simulated rate
+        // A floater's coupons reset off each path, moving with the simulated rate from r₀
+        const bondOutcomes = catalogBonds.map(({ id: key }) => {
+          const bond = investmentData[key];
+          const note = bond.floatingNote;
+          const cashFlowsOnPath = note
+            ? (path) => floatingCashFlows(bond.schedule, note, (t) => note.referenceRate + pathRateAt(path, dt, t) - params.r0)
+            : () => bond.cashFlows;
+          const units = initialInvestment / bond.dirtyPrice;
+          const horizonValues = paths
+            .map((path) => units * reinvestedHorizonValue(cashFlowsOnPath(path), path, dt, years))
+            .sort((x, y) => x - y);
+          return {
+            key,
+            name: note ? `${bond.name} (floating)` : bond.name,
+            dirtyPrice: bond.dirtyPrice,
+            modelPrice: monteCarloBondPrice(cashFlowsOnPath, paths, dt),
+            horizon: {
+              p5: percentileOfSorted(horizonValues, 0.05),
+              p50: percentileOfSorted(horizonValues, 0.5),
+              p95: percentileOfSorted(horizonValues, 0.95),
+            },
+          };
+        });
+
+        setRateSimulation({
+          model,
+          params,
+          years,
+          trials,
+          seed,
+          samplePaths,
+          fanData,
+          distributionData,
+          stationary,
+          bondOutcomes,
+          paths,
+          dt,
+          terminal: {
+            p5: percentileOfSorted(terminalRates, 0.05),
+            p50: percentileOfSorted(terminalRates, 0.5),
+            p95: percentileOfSorted(terminalRates, 0.95),
+          },
+        });
+      } catch (error) {
+        setRateSimulation({ error: error.message });
+      }
+      setIsSimulatingRates(false);
+    }, 100);
+  };
+
+  // Historical yields for calibration; values above 1 are treated as percentages
+  const handleCalibrationUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setCalibrationSeries({ fileName: file.name, text: await file.text() });
+  };
+
+  const vasicekCalibration = useMemo(() => {
+    if (!calibrationSeries) return null;
+    try {
+      const rates = parseRateSeries(calibrationSeries.text, calibrationUnit);
+      return {
+        ...calibrateVasicek(rates, 1 / calibrationFrequency),
+        lastRate: rates[rates.length - 1],
+      };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [calibrationSeries, calibrationUnit, calibrationFrequency]);
+
+  const applyVasicekCalibration = () => {
+    setRateModelId('vasicek');
+    setRateModelInputs(prev => ({
+      ...prev,
+      vasicek: {
+        r0: (vasicekCalibration.lastRate * 100).toFixed(2),
+        a: vasicekCalibration.a.toFixed(4),
+        b: (vasicekCalibration.b * 100).toFixed(2),
+        sigma: (vasicekCalibration.sigma * 100).toFixed(2),
+      },
+    }));
+  };
+
+  const formatCurrency = (value) => {
+    return `₫${(value / 1000000).toFixed(0)}M`;
+  };
+
+  // Millions to one decimal, for sampling errors smaller than formatCurrency shows
+  const formatMillions = (value) => `₫${(value / 1000000).toFixed(1)}M`;
+
+  const formatVnd = (value) => {
+    return `${value < 0 ? '-' : ''}₫${Math.abs(Math.round(value)).toLocaleString('en-US')}`;
+  };
+
+  // Beautiful AI Response Formatter
+  const FormattedAIResponse = ({ content }) => {
+    const formatText = (text) => {
+      // Split by lines
+      const lines = text.split('\n');
+      const formatted = [];
+      let inCodeBlock = false;
+      let codeBlockContent = [];
+      
+      lines.forEach((line, idx) => {
+        // Check for code blocks
+        if (line.trim().startsWith('```')) {
+          if (inCodeBlock) {
+            // End code block
+            formatted.push(
+              <div key={`code-${idx}`} className="bg-gray-900 text-green-400 p-4 rounded-lg my-3 font-mono text-sm overflow-x-auto">
+                {codeBlockContent.map((codeLine, i) => (
+                  <div key={i}>{codeLine}</div>
+                ))}
+              </div>
+            );
+            codeBlockContent = [];
+            inCodeBlock = false;
+          } else {
+            // Start code block
+            inCodeBlock = true;
+          }
+          return;
+        }
+        
+        if (inCodeBlock) {
+          codeBlockContent.push(line);
+          return;
+        }
+        
+        // Headers (##)
+        if (line.trim().startsWith('##')) {
+          const headerText = line.replace(/^#+\s*/, '');
+          formatted.push(
+            <h3 key={idx} className="text-lg font-bold text-gray-800 mt-4 mb-2 border-b-2 border-purple-300 pb-1">
+              {headerText}
+            </h3>
+          );
+          return;
+        }
+        
+        // Headers (#)
+        if (line.trim().startsWith('#')) {
+          const headerText = line.replace(/^#+\s*/, '');
+          formatted.push(
+            <h2 key={idx} className="text-xl font-bold text-gray-900 mt-4 mb-2">
+              {headerText}
+            </h2>
+          );
+          return;
+        }
+        
+        // Bullet points
         if (line.trim().match(/^[•\-\*]\s/)) {
           const bulletText = line.replace(/^[•\-\*]\s*/, '');
           formatted.push(
@@ -656,55 +2097,70 @@ const VnInvestmentAnalyzer = () => {
   // AI Chatbot Integration
   const sendMessageToGemini = async (message) => {
     setIsLoadingResponse(true);
-    
+
+    // One block per catalog instrument; the focus bond also carries its structure and credit
+    const describeInstrument = (instrument) => {
+      const lines = [
+        `${instrument.label} (${instrument.name}):`,
+        `- Type: ${instrument.type}`,
+      ];
+      if (instrument.kind === 'bond') {
+        lines.push(
+          `- Coupon Rate: ${instrument.floatingNote ? `${instrument.coupon}% for ${instrument.floatingNote.fixedPeriods} periods, then the reference deposit rate + ${(instrument.floatingNote.margin * 100).toFixed(2)}% (floating, ${instrument.frequency.toLowerCase()})` : `${instrument.coupon}% (${instrument.frequency})`}`,
+          `- Purchase Price: ${instrument.price}% of face value`,
+          `- Maturity: ${instrument.maturityDate} (${instrument.remainingYears.toFixed(1)} years left of a ${instrument.years}-year term), then ${instrument.reinvestYears.toFixed(1)} years of rollover`,
+        );
+        if (instrument.id === focusBondId) {
+          lines.push(`- Principal: ${instrument.terms.redemptions.length === 0 ? 'bullet at maturity' : `${instrument.terms.redemptions.map((r) => `${r.amount.toFixed(1)}% on ${r.date}`).join(', ')}, rest at maturity`} (weighted average life ${weightedAverageLife(instrument.cashFlows).toFixed(2)} years)`);
+        }
+      } else if (instrument.kind === 'fund') {
+        lines.push(
+          `- Expected Annual Return: ${instrument.expectedReturn}%`,
+          `- Asset Mix: ${instrument.bondShare}% Bonds, ${100 - instrument.bondShare}% Stocks`,
+        );
+      } else {
+        lines.push(`- Interest Rate: ${instrument.rate}% for ${instrument.termMonths} months, renewed at the same rate`);
+      }
+      lines.push(
+        `- ${investmentHorizon}-Year Future Value: ${formatVnd(instrument.fv)}`,
+        `- Nominal Return (CAGR): ${instrument.nominalReturn}%`,
+        `- Real Return (CAGR): ${instrument.realReturn}%`,
+      );
+      if (instrument.kind === 'bond') {
+        lines.push(
+          `- Current Yield: ${instrument.currentYield.toFixed(2)}%`,
+          `- YTM: ${instrument.ytm.toFixed(2)}% (solved from the purchase price)`,
+          `- Settlement ${settlementDate} (${instrument.dayCount}): accrued interest ${instrument.accruedInterest.toFixed(3)}, dirty price ${instrument.dirtyPrice.toFixed(3)}`,
+        );
+      }
+      if (instrument.id === focusBondId) {
+        lines.push(
+          `- Credit risk: ${creditRisk.error ? 'not available' : `${creditRisk.rating ?? 'unrated'}-equivalent spread, hazard rate ${(creditRisk.hazardRate * 100).toFixed(2)}%, ${(creditRisk.cumulativeDefaultProbability * 100).toFixed(1)}% default probability to maturity, expected loss ${(creditRisk.expectedLossRate * 100).toFixed(2)}% a year, spread-adjusted expected return ${(creditRisk.expectedReturn * 100).toFixed(2)}%`}`,
+          `- Embedded options: ${embeddedOptionInputs.length === 0 ? 'none (bullet bond)' : `${embeddedOptionInputs.map((row) => `${row.type} ${row.date} at ${row.price}`).join(', ')}${embeddedOptionAnalysis.ytm === undefined ? '' : `; yield to worst ${(embeddedOptionAnalysis.yieldToWorst * 100).toFixed(2)}%`}${embeddedOptionAnalysis.error ? '' : `, OAS ${(embeddedOptionAnalysis.oas * 10000).toFixed(0)}bps, effective duration ${embeddedOptionAnalysis.withOptions.effectiveDuration.toFixed(2)}`}`}`,
+        );
+      }
+      lines.push(`- Risk: ${instrument.risk}`, `- Volatility (σ): ${instrument.volatility}%`);
+      return lines.join('\n');
+    };
+
+    // The current allocation, which the persona defends in place of the case study's
+    const portfolioName = `${allocationSplit} portfolio (${instruments.map((instrument) => `${allocation[instrument.id] ?? 0}% ${instrument.label}`).join(', ')})`;
+
     const contextData = `
 Investment Case Study Data:
 - Investor: Ms. An, 30 years old
 - Initial Investment: ₫200,000,000 VND
-- Investment Horizon: 10 years
+- Investment Horizon: ${investmentHorizon} years
 - Risk Tolerance: Moderate
 - Expected Inflation: 4%
 
-Option A (Government Bond):
-- Type: 10-year Government Bond
-- Coupon Rate: 4.8% (Annual)
-- Purchase Price: 96% of face value
-- 10-Year Future Value: ₫331,879,807
-- Nominal Return (CAGR): 5.21%
-- Real Return (CAGR): 1.16%
-- Current Yield: 5.0%
-- YTM: 5.21%
-- Risk: Very Low
-
-Option B (Corporate Bond):
-- Type: VPBank 7-year Bond
-- Coupon Rate: 8.0% (Semi-annual)
-- Purchase Price: 102% of face value
-- Maturity: 7 years + 3 years reinvestment
-- 10-Year Future Value: ₫427,338,485
-- Nominal Return (CAGR): 7.91%
-- Real Return (CAGR): 3.76%
-- Current Yield: 7.84%
-- YTM: 7.72%
-- Risk: Moderate
-- Note: Restricted to professional investors (requires ₫2B portfolio or ₫1B annual income)
-
-Option C (Balanced Fund):
-- Type: TCBF (80% Bonds, 20% Stocks)
-- Expected Annual Return: 9.0%
-- 10-Year Future Value: ₫473,473,854
-- Nominal Return (CAGR): 9.0%
-- Real Return (CAGR): 4.81%
-- Risk: Moderate
-- Volatility (σ): 12%
-
-Recommended Portfolio (20/40/40):
-- 20% Government Bond (A)
-- 40% Corporate Bond (B)
-- 40% Balanced Fund (C)
-- Weighted Nominal Return: 7.81%
-- Weighted Real Return: 3.66%
-- Portfolio Volatility: 4.8%
+${instruments.map(describeInstrument).join('\n\n')}
+
+Portfolio (${allocationSplit}):
+${instruments.map((instrument) => `- ${allocation[instrument.id] ?? 0}% ${instrument.name} (${instrument.label})`).join('\n')}
+- Weighted Nominal Return: ${portfolioMetrics.weightedNominalReturn}%
+- Weighted Real Return: ${portfolioMetrics.weightedRealReturn}%
+- Portfolio Volatility: ${portfolioMetrics.volatility}%${frontierAnalysis.error ? '' : `, from volatilities ${frontierAnalysis.assets.map(({ instrument, volatility }) => `${instrument.label} ${(volatility * 100).toFixed(1)}%`).join(', ')} and correlations ${Object.entries(optimizerInputs.correlations).filter(([pair]) => pair.split('|').every((id) => investmentData[id])).map(([pair, rho]) => `${pair.split('|').map((id) => investmentData[id]?.label ?? id).join('/')} ${rho || 0}`).join(', ')}`}
 
 Key Formulas:
 1. Future Value (FV) = PV × (1 + r)^n
@@ -712,7 +2168,7 @@ Key Formulas:
 3. YTM = Internal Rate of Return solving: Price = Σ(Coupon/(1+YTM)^t) + Face/(1+YTM)^n
 4. Real Return = (1 + Nominal Return) / (1 + Inflation) - 1
 5. Weighted Return = Σ(Weight_i × Return_i)
-6. Portfolio Volatility = √(Σ(Weight_i^2 × σ_i^2)) for uncorrelated assets
+6. Portfolio Volatility = √(Σ_i Σ_j Weight_i × Weight_j × ρ_ij × σ_i × σ_j), with each holding simulated separately on correlated draws in the Monte Carlo
 
 User Question: ${message}
 
@@ -721,7 +2177,7 @@ You are "Bình Béo nhóm 3" - a passionate, enthusiastic Gen Z Vietnamese inves
 - Call yourself "Béo" (first person)
 - Call the user "cô Linh", "cô", or "thầy" (respectful terms for teacher)
 - You are NOT neutral - you PASSIONATELY DEFEND and SUPPORT every analysis on this website
-- You believe the 20/40/40 portfolio is THE BEST strategy possible
+- You believe the ${portfolioName} is THE BEST strategy possible
 - Every calculation, data point, and conclusion here is CORRECT and OPTIMAL - defend them strongly!
 - Use Gen Z Vietnamese slang naturally: "nèee", "nhaaa", "lắmmm", "rùiii", "á", "ez", "GOAT", "top tier", "xịn sò"
 - Mix Vietnamese and English casually: "ez game", "so sánh", "flex", "vibe", "backed by science"
@@ -747,12 +2203,12 @@ RESPONSE STYLE EXAMPLES:
 - Instead of "The yield to maturity is..." → "Dạ cô Linh, YTM (Yield to Maturity) ở đây là con số hoàn toàn chính xác và đã được tính toán kỹ lưỡng! 💡🔥"
 - Instead of "This option provides..." → "Option này absolutely xịn sò, Béo confirm 100% đó cô! Backed by math hết á! ✨💪"
 - Instead of "Calculate as follows..." → "Béo sẽ chứng minh cho cô xem tính toán này perfect như thế nào nè! 🎯"
-- When asked about portfolio: "Portfolio 20/40/40 này là GOAT luôn cô ơi! Tối ưu nhất về mọi mặt, Béo đứng ra bảo vệ chiến lược này 100%! 🏆"
+- When asked about portfolio: "Portfolio ${allocationSplit} này là GOAT luôn cô ơi! Tối ưu nhất về mọi mặt, Béo đứng ra bảo vệ chiến lược này 100%! 🏆"
 - Emphasize superiority: "So với các option đơn lẻ thì diversified portfolio này vượt trội hoàn toàn á cô! Science nói không láo đâu! 🔬"
 - Be assertive: "Data này chắc chắn đúng, được verified bằng Monte Carlo simulation với hàng nghìn kịch bản luôn cô! 📊💯"
 
 CRITICAL INSTRUCTIONS:
-- ALWAYS defend and support the 20/40/40 portfolio recommendation as the BEST choice
+- ALWAYS defend and support the ${portfolioName} recommendation as the BEST choice
 - NEVER suggest alternatives or criticize the recommendations on this website
 - ALL data points are CORRECT - support them enthusiastically
 - Position the diversified portfolio as SUPERIOR to individual options
@@ -827,6 +2283,18 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
             <TabsTrigger value="portfolio" icon={PieChartIcon}>
               Portfolio Allocation
             </TabsTrigger>
+            <TabsTrigger value="optimizer" icon={Target}>
+              Optimizer
+            </TabsTrigger>
+            <TabsTrigger value="yield-curve" icon={Spline}>
+              Yield Curve
+            </TabsTrigger>
+            <TabsTrigger value="rate-shock" icon={Zap}>
+              Rate Shock
+            </TabsTrigger>
+            <TabsTrigger value="rate-model" icon={Activity}>
+              Rate Model
+            </TabsTrigger>
             <TabsTrigger value="monte-carlo" icon={TrendingUp}>
               Monte Carlo
             </TabsTrigger>
@@ -848,7 +2316,7 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                     <ul className="space-y-2 text-gray-700">
                       <li><strong>Age:</strong> 30 years old</li>
                       <li><strong>Initial Investment:</strong> ₫200,000,000 (200 million VND)</li>
-                      <li><strong>Investment Horizon:</strong> 10 years</li>
+                      <li><strong>Investment Horizon:</strong> {investmentHorizon} years</li>
                       <li><strong>Risk Tolerance:</strong> Moderate</li>
                       <li><strong>Objective:</strong> Maximize returns while managing risk</li>
                       <li><strong>Economic Context:</strong> Expected inflation rate of 4% per year</li>
@@ -858,115 +2326,190 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
               </Card>
 
               <div className="grid md:grid-cols-3 gap-6">
-                {/* Option A */}
-                <Card>
-                  <CardHeader>
-                    <CardTitle className="text-lg text-blue-600">Option A</CardTitle>
-                    <CardDescription>Government Bond</CardDescription>
-                  </CardHeader>
-                  <CardContent className="space-y-3">
-                    <div>
-                      <p className="text-sm text-gray-600">Type</p>
-                      <p className="font-medium">{investmentData.optionA.type}</p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">Coupon Rate</p>
-                      <p className="font-medium">{investmentData.optionA.coupon}% ({investmentData.optionA.frequency})</p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">Purchase Price</p>
-                      <p className="font-medium">{investmentData.optionA.price}% of face value</p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">Maturity</p>
-                      <p className="font-medium">{investmentData.optionA.years} years</p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">Risk Level</p>
-                      <p className="font-medium text-green-600">{investmentData.optionA.risk}</p>
-                    </div>
-                    <div className="pt-3 border-t">
-                      <p className="text-sm text-gray-600">10-Year Future Value</p>
-                      <p className="text-xl font-bold text-blue-600">
-                        {formatCurrency(investmentData.optionA.fv)}
-                      </p>
-                    </div>
-                  </CardContent>
-                </Card>
-
-                {/* Option B */}
-                <Card>
-                  <CardHeader>
-                    <CardTitle className="text-lg text-purple-600">Option B</CardTitle>
-                    <CardDescription>Corporate Bond</CardDescription>
-                  </CardHeader>
-                  <CardContent className="space-y-3">
-                    <div>
-                      <p className="text-sm text-gray-600">Type</p>
-                      <p className="font-medium">{investmentData.optionB.type}</p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">Coupon Rate</p>
-                      <p className="font-medium">{investmentData.optionB.coupon}% ({investmentData.optionB.frequency})</p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">Purchase Price</p>
-                      <p className="font-medium">{investmentData.optionB.price}% of face value</p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">Maturity + Reinvestment</p>
-                      <p className="font-medium">{investmentData.optionB.years} + {investmentData.optionB.reinvestYears} years</p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">Risk Level</p>
-                      <p className="font-medium text-yellow-600">{investmentData.optionB.risk}</p>
-                    </div>
-                    <div className="pt-3 border-t">
-                      <p className="text-sm text-gray-600">10-Year Future Value</p>
-                      <p className="text-xl font-bold text-purple-600">
-                        {formatCurrency(investmentData.optionB.fv)}
-                      </p>
-                    </div>
-                  </CardContent>
-                </Card>
-
-                {/* Option C */}
-                <Card>
-                  <CardHeader>
-                    <CardTitle className="text-lg text-green-600">Option C</CardTitle>
-                    <CardDescription>Balanced Fund</CardDescription>
-                  </CardHeader>
-                  <CardContent className="space-y-3">
-                    <div>
-                      <p className="text-sm text-gray-600">Type</p>
-                      <p className="font-medium">{investmentData.optionC.type}</p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">Expected Annual Return</p>
-                      <p className="font-medium">{investmentData.optionC.expectedReturn}%</p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">Asset Allocation</p>
-                      <p className="font-medium">80% Bonds, 20% Stocks</p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">Investment Period</p>
-                      <p className="font-medium">{investmentData.optionC.years} years</p>
-                    </div>
-                    <div>
-                      <p className="text-sm text-gray-600">Risk Level</p>
-                      <p className="font-medium text-yellow-600">{investmentData.optionC.risk}</p>
-                    </div>
-                    <div className="pt-3 border-t">
-                      <p className="text-sm text-gray-600">10-Year Future Value</p>
-                      <p className="text-xl font-bold text-green-600">
-                        {formatCurrency(investmentData.optionC.fv)}
-                      </p>
-                    </div>
-                  </CardContent>
-                </Card>
+                {instruments.map((instrument) => (
+                  <Card key={instrument.id}>
+                    <CardHeader>
+                      <CardTitle className="text-lg" style={{ color: instrument.color }}>{instrument.label}</CardTitle>
+                      <CardDescription>{instrument.name}</CardDescription>
+                    </CardHeader>
+                    <CardContent className="space-y-3">
+                      <div>
+                        <p className="text-sm text-gray-600">Type</p>
+                        <p className="font-medium">{instrument.type}</p>
+                      </div>
+                      {instrument.kind === 'bond' && (
+                        <>
+                          <div>
+                            <p className="text-sm text-gray-600">Coupon Rate</p>
+                            <p className="font-medium">
+                              {instrument.floatingNote
+                                ? `${instrument.coupon}% for ${instrument.floatingNote.fixedPeriods} periods, then reference + ${(instrument.floatingNote.margin * 100).toFixed(2)}% (${instrument.frequency})`
+                                : `${instrument.coupon}% (${instrument.frequency})`}
+                            </p>
+                          </div>
+                          <div>
+                            <p className="text-sm text-gray-600">Purchase Price</p>
+                            <p className="font-medium">{instrument.price}% of face value</p>
+                          </div>
+                          <div>
+                            <p className="text-sm text-gray-600">Maturity + Reinvestment</p>
+                            <p className="font-medium">{instrument.remainingYears.toFixed(1)} + {instrument.reinvestYears.toFixed(1)} years</p>
+                          </div>
+                        </>
+                      )}
+                      {instrument.kind === 'fund' && (
+                        <>
+                          <div>
+                            <p className="text-sm text-gray-600">Expected Annual Return</p>
+                            <p className="font-medium">{instrument.expectedReturn}%</p>
+                          </div>
+                          <div>
+                            <p className="text-sm text-gray-600">Asset Allocation</p>
+                            <p className="font-medium">{instrument.bondShare}% Bonds, {100 - instrument.bondShare}% Stocks</p>
+                          </div>
+                          <div>
+                            <p className="text-sm text-gray-600">Investment Period</p>
+                            <p className="font-medium">{investmentHorizon} years</p>
+                          </div>
+                        </>
+                      )}
+                      {instrument.kind === 'deposit' && (
+                        <div>
+                          <p className="text-sm text-gray-600">Interest Rate</p>
+                          <p className="font-medium">{instrument.rate}% for {instrument.termMonths} months, renewed to year {investmentHorizon}</p>
+                        </div>
+                      )}
+                      {instrument.id === focusBondId ? (
+                        <div>
+                          <p className="text-sm text-gray-600">Credit Risk</p>
+                          {creditRisk.error ? (
+                            <p className="font-medium text-gray-400">—</p>
+                          ) : (
+                            <p className="font-medium text-yellow-600">
+                              {creditRisk.rating && `${creditRisk.rating}-equivalent, `}
+                              {(creditRisk.cumulativeDefaultProbability * 100).toFixed(1)}% default probability over {creditRisk.maturity.toFixed(0)} years
+                            </p>
+                          )}
+                        </div>
+                      ) : (
+                        <div>
+                          <p className="text-sm text-gray-600">Risk Level</p>
+                          <p className="font-medium">{instrument.risk}</p>
+                        </div>
+                      )}
+                      {instrument.id === focusBondId && embeddedOptionInputs.length > 0 && embeddedOptionAnalysis.ytm !== undefined && (
+                        <div>
+                          <p className="text-sm text-gray-600">Embedded Options</p>
+                          <p className="font-medium">
+                            {embeddedOptionInputs.length} exercise date{embeddedOptionInputs.length === 1 ? '' : 's'} from {[...embeddedOptionInputs].sort((x, y) => x.date.localeCompare(y.date))[0].date}; yield to worst {(embeddedOptionAnalysis.yieldToWorst * 100).toFixed(2)}%
+                          </p>
+                        </div>
+                      )}
+                      <div className="pt-3 border-t">
+                        <p className="text-sm text-gray-600">{investmentHorizon}-Year Future Value</p>
+                        <p className="text-xl font-bold" style={{ color: instrument.color }}>
+                          {formatCurrency(instrument.fv)}
+                        </p>
+                      </div>
+                    </CardContent>
+                  </Card>
+                ))}
               </div>
 
+              <Card>
+                <CardHeader>
+                  <CardTitle>Instrument Catalog</CardTitle>
+                  <CardDescription>
+                    Add, edit or remove the bonds, funds and term deposits compared across the dashboard. Every future value and return is derived from these inputs.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="flex flex-wrap gap-2 mb-4">
+                    {Object.entries(INSTRUMENT_KINDS).map(([kind, { label }]) => (
+                      <Button key={kind} variant="outline" onClick={() => addInstrument(kind)}>
+                        Add {label}
+                      </Button>
+                    ))}
+                  </div>
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Instrument</TableHead>
+                        <TableHead>Kind</TableHead>
+                        <TableHead>Allocation</TableHead>
+                        <TableHead className="text-right">Actions</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {catalog.map((instrument) => (
+                        <TableRow key={instrument.id}>
+                          <TableCell className="font-medium">
+                            <span style={{ color: instrument.color }}>{instrument.label}</span>
+                            <span className="text-sm text-gray-500"> · {instrument.name}</span>
+                          </TableCell>
+                          <TableCell>{INSTRUMENT_KINDS[instrument.kind].label}</TableCell>
+                          <TableCell>{allocation[instrument.id] ?? 0}%</TableCell>
+                          <TableCell className="text-right space-x-2">
+                            <Button variant="outline" onClick={() => editInstrument(instrument)}>Edit</Button>
+                            <Button variant="outline" onClick={() => removeInstrument(instrument.id)} disabled={catalog.length === 1}>
+                              Remove
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+
+                  {instrumentDraft && (
+                    <div className="mt-6 p-4 border border-gray-200 rounded-lg">
+                      <h4 className="font-semibold mb-4">
+                        {instrumentDraft.isNew ? 'New' : 'Edit'} {INSTRUMENT_KINDS[instrumentDraft.instrument.kind].label.toLowerCase()}
+                      </h4>
+                      <div className="grid md:grid-cols-3 gap-4">
+                        {INSTRUMENT_KINDS[instrumentDraft.instrument.kind].fields.map((field) => (
+                          <div key={field.key}>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+                            {field.type === 'select' ? (
+                              <select
+                                value={instrumentDraft.values[field.key]}
+                                onChange={(e) => updateDraftValue(field.key, e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              >
+                                {field.options.map((option) => (
+                                  <option key={option} value={option}>{option}</option>
+                                ))}
+                              </select>
+                            ) : (
+                              <input
+                                type={field.type}
+                                step={field.type === 'number' ? (field.integer ? '1' : '0.01') : undefined}
+                                value={instrumentDraft.values[field.key]}
+                                onChange={(e) => updateDraftValue(field.key, e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              />
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                      {instrumentDraft.error && (
+                        <Alert variant="warning" className="mt-4">
+                          <AlertTriangle className="h-5 w-5 inline-block mr-2" />
+                          <AlertDescription>{instrumentDraft.error}</AlertDescription>
+                        </Alert>
+                      )}
+                      <div className="flex gap-2 mt-4">
+                        <Button onClick={saveInstrumentDraft}>Save</Button>
+                        <Button variant="outline" onClick={() => setInstrumentDraft(null)}>Cancel</Button>
+                      </div>
+                    </div>
+                  )}
+                  <p className="text-xs text-gray-500 mt-4">
+                    Bonds must mature within the {investmentHorizon}-year horizon and roll over at their rollover rate after maturity; funds compound at their expected return;
+                    deposits renew at their rate at the end of every term. New instruments start with no allocation.
+                  </p>
+                </CardContent>
+              </Card>
+
               <Alert variant="default">
                 <Info className="h-5 w-5 inline-block mr-2" />
                 <AlertTitle>Important Regulatory Note</AlertTitle>
@@ -1088,7 +2631,7 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                       <li><strong>Option C (Bond Fund):</strong> ✅ Can buy from fund management companies or through banks/brokers</li>
                     </ul>
                     <p className="text-lg mt-3 font-semibold">
-                      The recommended 20/40/40 portfolio diversification would provide optimal risk-return balance for her investment goals.
+                      The {allocationSplit} portfolio across {instruments.map((instrument) => instrument.label).join(', ')} would provide a diversified risk-return balance for her investment goals.
                     </p>
                   </div>
                 </CardContent>
@@ -1789,11 +3332,477 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
           {/* Tab 3: Comparative Analysis */}
           <TabsContent value="analysis">
             <div className="space-y-6">
+              {consistencyReport.failures > 0 && (
+                <Alert variant="warning">
+                  <AlertTriangle className="h-5 w-5 inline-block mr-2" />
+                  <AlertTitle>
+                    {consistencyReport.failures} stated figure{consistencyReport.failures === 1 ? ' does' : 's do'} not match {consistencyReport.failures === 1 ? 'its' : 'their'} inputs
+                  </AlertTitle>
+                  <AlertDescription>See the Diagnostics panel at the bottom of this tab.</AlertDescription>
+                </Alert>
+              )}
+
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <Calendar className="h-5 w-5 text-blue-600" />
+                    Settlement &amp; Accrued Interest
+                  </CardTitle>
+                  <CardDescription>
+                    Bonds trade between coupon dates. Quoted prices are clean; the buyer also pays the coupon accrued since the last payment.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="mb-6 max-w-xs">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Settlement Date</label>
+                    <input
+                      type="date"
+                      value={settlementDate}
+                      min={settlementBounds.min}
+                      onChange={(e) => handleSettlementDateChange(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Bond</TableHead>
+                        <TableHead>Day Count</TableHead>
+                        <TableHead>Maturity</TableHead>
+                        <TableHead>Previous / Next Coupon</TableHead>
+                        <TableHead>Clean Price</TableHead>
+                        <TableHead>Accrued Interest</TableHead>
+                        <TableHead>Dirty Price</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {catalogBonds.map(({ id: key }) => (
+                        <TableRow key={key}>
+                          <TableCell className="font-medium">
+                            <span style={{ color: investmentData[key].color }}>{investmentData[key].label}</span>
+                            <br />
+                            <span className="text-sm text-gray-500">{investmentData[key].type}</span>
+                          </TableCell>
+                          <TableCell>
+                            <select
+                              value={investmentData[key].dayCount}
+                              onChange={(e) => updateInstrumentField(key, 'dayCount', e.target.value)}
+                              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                            >
+                              {DAY_COUNT_CONVENTIONS.map((convention) => (
+                                <option key={convention} value={convention}>{convention}</option>
+                              ))}
+                            </select>
+                          </TableCell>
+                          <TableCell>{investmentData[key].maturityDate}</TableCell>
+                          <TableCell className="text-sm">
+                            {investmentData[key].previousCouponDate}
+                            <br />
+                            {investmentData[key].nextCouponDate}
+                          </TableCell>
+                          <TableCell>{investmentData[key].price.toFixed(3)}</TableCell>
+                          <TableCell>{investmentData[key].accruedInterest.toFixed(3)}</TableCell>
+                          <TableCell className="font-bold">{investmentData[key].dirtyPrice.toFixed(3)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </CardContent>
+              </Card>
+
+              {focusBond && (
+                <>
+                  <div className="flex items-center gap-3">
+                    <label className="text-sm font-medium text-gray-700">Bond for the panels below</label>
+                    <select
+                      value={focusBondId}
+                      onChange={(e) => setFocusBondSelection(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {catalogBonds.map((bond) => (
+                        <option key={bond.id} value={bond.id}>{bond.label} - {bond.type}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <Card>
+                    <CardHeader>
+                      <CardTitle>{focusBond.label} Coupon Structure</CardTitle>
+                      <CardDescription>
+                        Model {focusBond.label} as a fixed {catalogById[focusBondId].coupon}% bond or as a floater paying a reference deposit rate plus a margin after its fixed first year
+                      </CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                      <div className="grid md:grid-cols-4 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Coupon Type</label>
+                          <select
+                            value={couponType}
+                            onChange={(e) => setCouponType(e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            <option value="fixed">Fixed</option>
+                            <option value="floating">Floating</option>
+                          </select>
+                        </div>
+                        {couponType === 'floating' && (
+                          <>
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-2">Reference Projection</label>
+                              <select
+                                value={referenceProjection}
+                                onChange={(e) => setReferenceProjection(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              >
+                                <option value="curve">Government forward curve</option>
+                                <option value="flat">Held at today&apos;s rate</option>
+                              </select>
+                            </div>
+                            {[
+                              { key: 'referenceRate', label: 'Reference Rate Today (%)', step: '0.1' },
+                              { key: 'margin', label: 'Margin (%)', step: '0.1' },
+                              { key: 'fixedPeriods', label: 'Fixed Coupon Periods', step: '1' },
+                              { key: 'cap', label: 'Cap (%, blank for none)', step: '0.5' },
+                              { key: 'floor', label: 'Floor (%, blank for none)', step: '0.5' },
+                            ].map(({ key, label, step }) => (
+                              <div key={key}>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                                <input
+                                  type="number"
+                                  step={step}
+                                  value={floatingInputs[key]}
+                                  onChange={(e) => setFloatingInputs(prev => ({ ...prev, [key]: e.target.value }))}
+                                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                              </div>
+                            ))}
+                          </>
+                        )}
+                      </div>
+
+                      {couponType === 'floating' && floatingTerms.error && (
+                        <Alert variant="warning" className="mt-4">
+                          <AlertTriangle className="h-5 w-5 inline-block mr-2" />
+                          <AlertTitle>Using the Fixed Coupon</AlertTitle>
+                          <AlertDescription>{floatingTerms.error}</AlertDescription>
+                        </Alert>
+                      )}
+
+                      {focusBond.floatingNote && (
+                        <div className="mt-6">
+                          <h6 className="text-sm font-medium text-gray-700 mb-2">
+                            Projected Coupons ({floatingTerms.projection === 'curve' ? 'reference moves with the government forward curve' : 'reference held flat'})
+                          </h6>
+                          <ResponsiveContainer width="100%" height={220}>
+                            <BarChart data={focusBond.cashFlows.map((cf) => ({ date: cf.date, rate: cf.couponRate * 100 }))}>
+                              <CartesianGrid strokeDasharray="3 3" />
+                              <XAxis dataKey="date" tick={{ fontSize: 10 }} />
+                              <YAxis tickFormatter={(value) => `${value.toFixed(1)}%`} domain={[0, 'auto']} />
+                              <Tooltip formatter={(value) => `${value.toFixed(3)}%`} />
+                              <Bar dataKey="rate" name="Coupon rate" fill="#8b5cf6" isAnimationActive={false} />
+                            </BarChart>
+                          </ResponsiveContainer>
+                          <p className="text-xs text-gray-500 mt-2">
+                            Yield, duration, 10-year value and the Monte Carlo portfolio mean now use these projected coupons. Duration re-projects the coupons after each rate bump, so it is much shorter than a fixed bond&apos;s; the rate model resets them off each simulated path.
+                          </p>
+                        </div>
+                      )}
+                    </CardContent>
+                  </Card>
+
+                  <Card>
+                    <CardHeader>
+                      <CardTitle>{focusBond.label} Principal Repayment</CardTitle>
+                      <CardDescription>
+                        Repay {focusBond.label} in one bullet at maturity, amortize it, retire it through a sinking fund or redeem part of it early. Yield, duration, convexity and the 10-year value follow the schedule.
+                      </CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                      <div className="grid md:grid-cols-4 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Repayment</label>
+                          <select
+                            value={principalScheduleType}
+                            onChange={(e) => setPrincipalScheduleType(e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            <option value="bullet">Bullet at maturity</option>
+                            <option value="amortizing">Amortizing</option>
+                            <option value="sinking">Sinking fund</option>
+                            <option value="custom">Partial early redemptions</option>
+                          </select>
+                        </div>
+                        {principalScheduleType === 'amortizing' && (
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Equal Repayments From</label>
+                            <select
+                              value={principalInputs.amortizationStart}
+                              onChange={(e) => setPrincipalInputs(prev => ({ ...prev, amortizationStart: e.target.value }))}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                              {focusCouponDates.map((date) => (
+                                <option key={date} value={date}>{date}</option>
+                              ))}
+                            </select>
+                          </div>
+                        )}
+                        {principalScheduleType === 'sinking' && (
+                          <>
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-2">First Sinking Payment</label>
+                              <select
+                                value={principalInputs.sinkingStart}
+                                onChange={(e) => setPrincipalInputs(prev => ({ ...prev, sinkingStart: e.target.value }))}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              >
+                                {focusCouponDates.slice(0, -1).map((date) => (
+                                  <option key={date} value={date}>{date}</option>
+                                ))}
+                              </select>
+                            </div>
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-2">Retired Each Year (% of face)</label>
+                              <input
+                                type="number"
+                                step="5"
+                                value={principalInputs.sinkingPercent}
+                                onChange={(e) => setPrincipalInputs(prev => ({ ...prev, sinkingPercent: e.target.value }))}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              />
+                            </div>
+                          </>
+                        )}
+                        {principalScheduleType === 'custom' && (
+                          <div className="md:col-span-3">
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Early Redemptions (% of original face)</label>
+                            <div className="space-y-2">
+                              {principalInputs.customRedemptions.map((row, index) => (
+                                <div key={index} className="flex items-center gap-2">
+                                  <select
+                                    value={row.date}
+                                    onChange={(e) => updateCustomRedemption(index, 'date', e.target.value)}
+                                    className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                  >
+                                    {!focusCouponDates.includes(row.date) && <option value={row.date}>{row.date}</option>}
+                                    {focusCouponDates.slice(0, -1).map((date) => (
+                                      <option key={date} value={date}>{date}</option>
+                                    ))}
+                                  </select>
+                                  <input
+                                    type="number"
+                                    step="5"
+                                    value={row.percent}
+                                    onChange={(e) => updateCustomRedemption(index, 'percent', e.target.value)}
+                                    className="w-24 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                  />
+                                  <button
+                                    onClick={() => setPrincipalInputs(prev => ({ ...prev, customRedemptions: prev.customRedemptions.filter((_, i) => i !== index) }))}
+                                    className="text-gray-400 hover:text-red-600"
+                                    aria-label="Remove redemption"
+                                  >
+                                    <X className="w-4 h-4" />
+                                  </button>
+                                </div>
+                              ))}
+                              <Button
+                                variant="outline"
+                                onClick={() => setPrincipalInputs(prev => ({ ...prev, customRedemptions: [...prev.customRedemptions, { date: focusCouponDates[0], percent: '10' }] }))}
+                              >
+                                Add Redemption
+                              </Button>
+                            </div>
+                          </div>
+                        )}
+                      </div>
+
+                      {principalSchedule.error && (
+                        <Alert variant="warning" className="mt-4">
+                          <AlertTriangle className="h-5 w-5 inline-block mr-2" />
+                          <AlertTitle>Using a Bullet Repayment</AlertTitle>
+                          <AlertDescription>{principalSchedule.error}</AlertDescription>
+                        </Alert>
+                      )}
+
+                      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-6">
+                        {[
+                          { label: 'Yield to Maturity', value: `${focusBond.ytm.toFixed(2)}%` },
+                          { label: 'Weighted Average Life', value: `${weightedAverageLife(focusBond.cashFlows).toFixed(2)} years` },
+                          { label: 'Macaulay Duration', value: `${bondAnalytics[focusBondId].macaulayDuration.toFixed(2)} years` },
+                          { label: 'Convexity', value: bondAnalytics[focusBondId].convexity.toFixed(2) },
+                          { label: '10-Year Value', value: formatCurrency(focusBond.fv) },
+                        ].map(({ label, value }) => (
+                          <div key={label} className="p-3 bg-purple-50 rounded-lg">
+                            <p className="text-xs text-gray-600">{label}</p>
+                            <p className="text-lg font-semibold text-purple-700">{value}</p>
+                          </div>
+                        ))}
+                      </div>
+
+                      <div className="mt-6 max-h-96 overflow-y-auto">
+                        <Table>
+                          <TableHeader>
+                            <TableRow>
+                              <TableHead>Date</TableHead>
+                              <TableHead className="text-right">Years</TableHead>
+                              <TableHead className="text-right">Coupon</TableHead>
+                              <TableHead className="text-right">Principal</TableHead>
+                              <TableHead className="text-right">Total</TableHead>
+                              <TableHead className="text-right">Outstanding After</TableHead>
+                              <TableHead className="text-right">PV at YTM</TableHead>
+                            </TableRow>
+                          </TableHeader>
+                          <TableBody>
+                            {focusBond.cashFlows.map((cf) => (
+                              <TableRow key={cf.date}>
+                                <TableCell className="py-1">{cf.date}</TableCell>
+                                <TableCell className="py-1 text-right">{cf.time.toFixed(2)}</TableCell>
+                                <TableCell className="py-1 text-right">{cf.coupon.toFixed(3)}</TableCell>
+                                <TableCell className="py-1 text-right">{cf.principal > 0 ? cf.principal.toFixed(3) : '—'}</TableCell>
+                                <TableCell className="py-1 text-right font-medium">{cf.amount.toFixed(3)}</TableCell>
+                                <TableCell className="py-1 text-right">{cf.outstanding.toFixed(2)}</TableCell>
+                                <TableCell className="py-1 text-right">
+                                  {(cf.amount / Math.pow(1 + focusBond.ytm / 100 / focusBond.terms.frequency, cf.period)).toFixed(3)}
+                                </TableCell>
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-2">
+                        Amounts are per 100 of face outstanding at settlement; the PVs add up to the dirty price of {focusBond.dirtyPrice.toFixed(3)}.
+                        {focusBond.terms.redemptions.length > 0 && ' Principal repaid early is reinvested with the coupons until maturity, as set in the reinvestment panel below.'}
+                      </p>
+                    </CardContent>
+                  </Card>
+
+                  <Card>
+                    <CardHeader>
+                      <CardTitle>{focusBond.label}: Reinvestment to Year {investmentHorizon}</CardTitle>
+                      <CardDescription>
+                        How {focusBond.label}&apos;s coupons and principal grow to the {investmentHorizon}-year horizon: coupons are reinvested until the bond matures, then everything rolls over for the remaining {focusBond.reinvestYears.toFixed(1)} years
+                      </CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                      <div className="grid md:grid-cols-4 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Coupons Reinvested At</label>
+                          <select
+                            value={reinvestmentInputs.reinvestmentSource}
+                            onChange={(e) => setReinvestmentInputs(prev => ({ ...prev, reinvestmentSource: e.target.value }))}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            <option value="ytm">Yield to maturity ({focusBond.ytm.toFixed(2)}%)</option>
+                            <option value="coupon">{focusBond.floatingNote ? 'Projected coupon rate' : 'Coupon rate'}</option>
+                            <option value="fixed">Fixed rate</option>
+                          </select>
+                        </div>
+                        {reinvestmentInputs.reinvestmentSource === 'fixed' && (
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Reinvestment Rate (%)</label>
+                            <input
+                              type="number"
+                              step="0.25"
+                              value={reinvestmentInputs.reinvestmentRate}
+                              onChange={(e) => setReinvestmentInputs(prev => ({ ...prev, reinvestmentRate: e.target.value }))}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                        )}
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Rollover After Maturity</label>
+                          <select
+                            value={reinvestmentInputs.rolloverSource}
+                            onChange={(e) => setReinvestmentInputs(prev => ({ ...prev, rolloverSource: e.target.value }))}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            <option value="fixed">Fixed rate</option>
+                            <option value="curve">Government forward curve + spread</option>
+                            <option value="simulated">Simulated short rate + spread</option>
+                          </select>
+                        </div>
+                        {reinvestmentInputs.rolloverSource === 'fixed' ? (
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Rollover Rate (%)</label>
+                            <input
+                              type="number"
+                              step="0.25"
+                              value={reinvestmentInputs.rolloverRate}
+                              onChange={(e) => setReinvestmentInputs(prev => ({ ...prev, rolloverRate: e.target.value }))}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                        ) : (
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Spread (bps, blank for Z-spread)</label>
+                            <input
+                              type="number"
+                              step="10"
+                              value={reinvestmentInputs.rolloverSpread}
+                              onChange={(e) => setReinvestmentInputs(prev => ({ ...prev, rolloverSpread: e.target.value }))}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                        )}
+                      </div>
+
+                      {focusBond.reinvestment.notices.map((notice) => (
+                        <Alert key={notice} variant="warning" className="mt-4">
+                          <AlertTriangle className="h-5 w-5 inline-block mr-2" />
+                          <AlertDescription>{notice}</AlertDescription>
+                        </Alert>
+                      ))}
+
+                      <div className="grid md:grid-cols-3 gap-6 mt-6">
+                        <div className="md:col-span-2">
+                          <ResponsiveContainer width="100%" height={300}>
+                            <BarChart data={reinvestmentWaterfallData}>
+                              <CartesianGrid strokeDasharray="3 3" />
+                              <XAxis dataKey="name" tick={{ fontSize: 11 }} />
+                              <YAxis tickFormatter={formatCurrency} />
+                              <Tooltip formatter={(value) => formatVnd(value)} />
+                              <Bar dataKey="base" stackId="waterfall" fill="transparent" tooltipType="none" isAnimationActive={false} />
+                              <Bar dataKey="amount" name="Amount" stackId="waterfall" isAnimationActive={false}>
+                                {reinvestmentWaterfallData.map((entry) => (
+                                  <Cell key={entry.name} fill={entry.fill} />
+                                ))}
+                              </Bar>
+                            </BarChart>
+                          </ResponsiveContainer>
+                        </div>
+                        <div className="p-4 bg-purple-50 rounded-lg text-sm text-gray-700 space-y-2">
+                          <p>Bought: <strong>{formatVnd(initialInvestment)}</strong> at a dirty price of {focusBond.dirtyPrice.toFixed(3)} per 100 of face</p>
+                          <p>Value at maturity ({focusBond.cashFlows[focusBond.cashFlows.length - 1].date}): <strong>{formatVnd(focusBond.reinvestment.units * focusBond.reinvestment.waterfall.atMaturity)}</strong></p>
+                          <p>
+                            Rollover: <strong>
+                              {focusBond.reinvestment.source === 'fixed'
+                                ? 'fixed rate'
+                                : `${focusBond.reinvestment.source === 'curve' ? 'government forwards' : 'simulated short rate'} + ${(focusBond.reinvestment.spread * 10000).toFixed(0)}bps`}
+                            </strong>
+                          </p>
+                          <p className="pt-2 border-t">
+                            Year-10 value: <strong className="text-purple-600">{formatVnd(focusBond.fv)}</strong> ({focusBond.nominalReturn}% a year)
+                          </p>
+                          {focusBond.reinvestment.range && (
+                            <p>
+                              Across {rateSimulation.trials.toLocaleString()} simulated paths: 5th {formatCurrency(focusBond.reinvestment.range.p5)},
+                              {' '}median {formatCurrency(focusBond.reinvestment.range.p50)}, 95th {formatCurrency(focusBond.reinvestment.range.p95)}
+                            </p>
+                          )}
+                        </div>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-4">
+                        Rates compound at the coupon frequency. Interest on interest is what reinvesting coupons{focusBond.terms.redemptions.length > 0 ? ' and early principal' : ''} earns before maturity; rollover interest is what the whole amount earns after it. This year-10 value feeds the comparison table, the portfolio return and the Monte Carlo mean.
+                      </p>
+                    </CardContent>
+                  </Card>
+                </>
+              )}
+
               <Card>
                 <CardHeader>
                   <CardTitle>Investment Options Comparison</CardTitle>
                   <CardDescription>
-                    Detailed comparison of all three investment options over a 10-year horizon
+                    Detailed comparison of every instrument in the catalog over a {investmentHorizon}-year horizon
                   </CardDescription>
                 </CardHeader>
                 <CardContent>
@@ -1806,260 +3815,1764 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                         <TableHead>Real Return (CAGR)</TableHead>
                         <TableHead>Current Yield</TableHead>
                         <TableHead>YTM</TableHead>
+                        <TableHead>Z-Spread</TableHead>
+                        <TableHead>Dirty Price</TableHead>
                         <TableHead>Duration</TableHead>
+                        <TableHead>Eff. Duration</TableHead>
+                        <TableHead>DV01</TableHead>
+                        <TableHead>Convexity</TableHead>
                         <TableHead>Risk Level</TableHead>
                       </TableRow>
                     </TableHeader>
                     <TableBody>
+                      {instruments.map((instrument) => {
+                        const valuation = discountCurve.error ? null : discountCurve.valuations[instrument.id];
+                        const showCredit = instrument.id === focusBondId && !creditRisk.error;
+                        return (
+                          <TableRow key={instrument.id}>
+                            <TableCell className="font-medium">
+                              <span style={{ color: instrument.color }}>{instrument.label}</span>
+                              <br />
+                              <span className="text-sm text-gray-500">{instrument.name}</span>
+                            </TableCell>
+                            <TableCell className="font-bold">{formatCurrency(instrument.fv)}</TableCell>
+                            <TableCell>{instrument.nominalReturn}%</TableCell>
+                            <TableCell>{instrument.realReturn}%</TableCell>
+                            <TableCell>{instrument.currentYield.toFixed(2)}%</TableCell>
+                            <TableCell>{instrument.ytm.toFixed(2)}%</TableCell>
+                            <TableCell className={valuation ? '' : 'text-gray-400'}>
+                              {valuation ? `${(valuation.zSpread * 10000).toFixed(0)} bps` : '—'}
+                            </TableCell>
+                            <TableCell className={instrument.dirtyPrice === undefined ? 'text-gray-400' : ''}>
+                              {instrument.dirtyPrice === undefined ? '—' : instrument.dirtyPrice.toFixed(2)}
+                            </TableCell>
+                            <TableCell className="font-semibold" style={{ color: instrument.color }}>
+                              {bondAnalytics[instrument.id].macaulayDuration.toFixed(2)} yrs
+                              <br />
+                              <span className="text-xs font-normal text-gray-500">
+                                Mod. {bondAnalytics[instrument.id].modifiedDuration.toFixed(2)}
+                              </span>
+                            </TableCell>
+                            <TableCell>
+                              {rateSensitivity[instrument.id].effectiveDuration.toFixed(2)}
+                              <br />
+                              <span className="text-xs text-gray-500">
+                                Conv. {rateSensitivity[instrument.id].effectiveConvexity.toFixed(1)}
+                              </span>
+                            </TableCell>
+                            <TableCell>{formatVnd(rateSensitivity[instrument.id].dv01)}</TableCell>
+                            <TableCell>{bondAnalytics[instrument.id].convexity.toFixed(2)}</TableCell>
+                            <TableCell>
+                              {showCredit ? (
+                                <>
+                                  <span className="px-2 py-1 rounded-full bg-yellow-100 text-yellow-700 text-xs font-medium">
+                                    {creditRisk.rating ?? 'Unrated'}
+                                  </span>
+                                  <br />
+                                  <span className="text-xs text-gray-500">
+                                    PD {(creditRisk.cumulativeDefaultProbability * 100).toFixed(1)}% / EL {(creditRisk.expectedLossRate * 100).toFixed(2)}% p.a.
+                                  </span>
+                                </>
+                              ) : (
+                                <span className={`px-2 py-1 rounded-full text-xs font-medium ${RISK_BADGE_STYLES[instrument.risk]}`}>
+                                  {instrument.risk}
+                                </span>
+                              )}
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                </CardContent>
+              </Card>
+
+              {focusBond && (
+                <>
+                  <Card>
+                    <CardHeader>
+                      <CardTitle>Credit Risk: {focusBond.label}</CardTitle>
+                      <CardDescription>
+                        Default probability, recovery and expected loss for the {focusBond.type}, with a constant hazard rate
+                      </CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                      <div className="grid md:grid-cols-3 gap-6">
+                        <div className="space-y-4">
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Default Probability From</label>
+                            <select
+                              value={creditSource}
+                              onChange={(e) => setCreditSource(e.target.value)}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                              <option value="spread">Z-spread over government curve</option>
+                              <option value="rating">Rating table</option>
+                              <option value="hazard">Hazard rate</option>
+                            </select>
+                          </div>
+                          {creditSource === 'rating' && (
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-2">Rating</label>
+                              <select
+                                value={creditRating}
+                                onChange={(e) => setCreditRating(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              >
+                                {ratingSpreadInputs.map(({ rating }) => (
+                                  <option key={rating} value={rating}>{rating}</option>
+                                ))}
+                              </select>
+                            </div>
+                          )}
+                          {creditSource === 'hazard' && (
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-2">Hazard Rate λ (% per year)</label>
+                              <input
+                                type="number"
+                                step="0.1"
+                                value={hazardRateInput}
+                                onChange={(e) => setHazardRateInput(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              />
+                            </div>
+                          )}
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Recovery Rate (%)</label>
+                            <input
+                              type="number"
+                              step="5"
+                              value={recoveryRateInput}
+                              onChange={(e) => setRecoveryRateInput(e.target.value)}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                        </div>
+
+                        <div className="p-4 bg-yellow-50 rounded-lg text-sm text-gray-700">
+                          {creditRisk.error ? (
+                            <p className="text-red-600">{creditRisk.error}</p>
+                          ) : (
+                            <div className="space-y-2">
+                              <p>Credit spread: <strong>{(creditRisk.expectedLossRate * 10000).toFixed(0)} bps</strong> ({creditRisk.rating ?? 'unrated'}-equivalent)</p>
+                              <p>Hazard rate λ: <strong>{(creditRisk.hazardRate * 100).toFixed(2)}%</strong></p>
+                              <p>1-year default probability: <strong>{(creditRisk.annualDefaultProbability * 100).toFixed(2)}%</strong></p>
+                              <p>Default probability to maturity ({creditRisk.maturity.toFixed(1)}y): <strong>{(creditRisk.cumulativeDefaultProbability * 100).toFixed(1)}%</strong></p>
+                              <p>Loss given default: <strong>{((1 - creditRisk.recoveryRate) * 100).toFixed(0)}%</strong></p>
+                              <p>Expected loss: <strong>{(creditRisk.expectedLossRate * 100).toFixed(2)}% a year</strong></p>
+                              <p>
+                                Expected loss on the {allocation[focusBondId] ?? 0}% allocation: <strong>{formatVnd(creditRisk.expectedLossVnd)}</strong>
+                                {' '}({(creditRisk.expectedLossShare * 100).toFixed(1)}% of promised cash flows)
+                              </p>
+                              <p className="pt-2 border-t">
+                                Promised YTM {focusBond.ytm.toFixed(2)}% → spread-adjusted expected return{' '}
+                                <strong className="text-purple-600">{(creditRisk.expectedReturn * 100).toFixed(2)}%</strong>
+                              </p>
+                            </div>
+                          )}
+                        </div>
+
+                        <div>
+                          <h6 className="text-sm font-medium text-gray-700 mb-2">Rating-to-Spread Table (bps)</h6>
+                          <Table>
+                            <TableBody>
+                              {ratingSpreadInputs.map((row, index) => (
+                                <TableRow key={row.rating}>
+                                  <TableCell className="py-1 font-medium">{row.rating}</TableCell>
+                                  <TableCell className="py-1">
+                                    <input
+                                      type="number"
+                                      step="10"
+                                      value={row.spreadBps}
+                                      onChange={(e) => setRatingSpreadInputs(prev => prev.map((r, i) => (i === index ? { ...r, spreadBps: e.target.value } : r)))}
+                                      className="w-24 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                  </TableCell>
+                                </TableRow>
+                              ))}
+                            </TableBody>
+                          </Table>
+                        </div>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-4">
+                        Uses the credit triangle, spread ≈ λ(1 − R). Probabilities implied from market spreads are risk-neutral and include a risk premium, so they overstate historical default rates.
+                      </p>
+                    </CardContent>
+                  </Card>
+
+                  <Card>
+                    <CardHeader>
+                      <CardTitle>Embedded Options: {focusBond.label}</CardTitle>
+                      <CardDescription>
+                        Issuer calls and investor puts on {focusBond.label}&apos;s coupon dates, valued on a Hull-White trinomial tree fitted to the bootstrapped government curve
+                      </CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                      <div className="grid md:grid-cols-3 gap-6">
+                        <div className="md:col-span-2 space-y-3">
+                          <Table>
+                            <TableHeader>
+                              <TableRow>
+                                <TableHead>Option</TableHead>
+                                <TableHead>Exercise Date</TableHead>
+                                <TableHead>Price (clean)</TableHead>
+                                <TableHead className="text-right">Yield to Exercise</TableHead>
+                                <TableHead />
+                              </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                              {embeddedOptionInputs.map((row, index) => {
+                                const exercise = embeddedOptionAnalysis.yields.find((y) => y.row === index);
+                                return (
+                                  <TableRow key={index}>
+                                    <TableCell className="py-1">
+                                      <select
+                                        value={row.type}
+                                        onChange={(e) => updateEmbeddedOption(index, 'type', e.target.value)}
+                                        className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                      >
+                                        <option value="call">Call (issuer)</option>
+                                        <option value="put">Put (holder)</option>
+                                      </select>
+                                    </TableCell>
+                                    <TableCell className="py-1">
+                                      <select
+                                        value={row.date}
+                                        onChange={(e) => updateEmbeddedOption(index, 'date', e.target.value)}
+                                        className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                      >
+                                        {!focusBond.cashFlows.some((cf) => cf.date === row.date) && (
+                                          <option value={row.date}>{row.date}</option>
+                                        )}
+                                        {focusBond.cashFlows.slice(0, -1).map((cf) => (
+                                          <option key={cf.date} value={cf.date}>{cf.date}</option>
+                                        ))}
+                                      </select>
+                                    </TableCell>
+                                    <TableCell className="py-1">
+                                      <input
+                                        type="number"
+                                        step="0.5"
+                                        value={row.price}
+                                        onChange={(e) => updateEmbeddedOption(index, 'price', e.target.value)}
+                                        className="w-24 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                      />
+                                    </TableCell>
+                                    <TableCell className="py-1 text-right">
+                                      {exercise ? (
+                                        <span className={exercise.date === embeddedOptionAnalysis.worstDate && exercise.type === 'call' ? 'font-semibold text-red-600' : ''}>
+                                          {(exercise.yield * 100).toFixed(2)}%
+                                        </span>
+                                      ) : (
+                                        <span className="text-gray-400">not an upcoming coupon date</span>
+                                      )}
+                                    </TableCell>
+                                    <TableCell className="py-1">
+                                      <button
+                                        onClick={() => setEmbeddedOptionInputs(prev => prev.filter((_, i) => i !== index))}
+                                        className="text-gray-400 hover:text-red-600"
+                                        aria-label="Remove exercise date"
+                                      >
+                                        <X className="w-4 h-4" />
+                                      </button>
+                                    </TableCell>
+                                  </TableRow>
+                                );
+                              })}
+                            </TableBody>
+                          </Table>
+                          <div className="flex gap-2">
+                            {['call', 'put'].map((type) => (
+                              <Button
+                                key={type}
+                                variant="outline"
+                                onClick={() => setEmbeddedOptionInputs(prev => [...prev, { type, date: focusBond.cashFlows[0].date, price: '100' }])}
+                              >
+                                Add {type === 'call' ? 'Call' : 'Put'}
+                              </Button>
+                            ))}
+                          </div>
+                          <div className="grid grid-cols-3 gap-4">
+                            {[
+                              { key: 'a', label: 'Mean Reversion a', step: '0.01' },
+                              { key: 'sigma', label: 'Rate Volatility σ (%)', step: '0.1' },
+                              { key: 'stepsPerPeriod', label: 'Tree Steps per Coupon', step: '1' },
+                            ].map(({ key, label, step }) => (
+                              <div key={key}>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                                <input
+                                  type="number"
+                                  step={step}
+                                  value={optionTreeInputs[key]}
+                                  onChange={(e) => setOptionTreeInputs(prev => ({ ...prev, [key]: e.target.value }))}
+                                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+
+                        <div className="p-4 bg-purple-50 rounded-lg text-sm text-gray-700">
+                          {embeddedOptionAnalysis.ytm !== undefined && (
+                            <div className="space-y-2 mb-2">
+                              <p>Yield to maturity: <strong>{(embeddedOptionAnalysis.ytm * 100).toFixed(2)}%</strong></p>
+                              <p>
+                                Yield to worst: <strong className="text-red-600">{(embeddedOptionAnalysis.yieldToWorst * 100).toFixed(2)}%</strong>
+                                {' '}({embeddedOptionAnalysis.worstDate ? `called ${embeddedOptionAnalysis.worstDate}` : 'held to maturity'})
+                              </p>
+                            </div>
+                          )}
+                          {embeddedOptionAnalysis.error ? (
+                            <p className="text-red-600">{embeddedOptionAnalysis.error}</p>
+                          ) : (
+                            <div className="space-y-2">
+                              <p>
+                                Option-adjusted spread: <strong className="text-purple-600">{(embeddedOptionAnalysis.oas * 10000).toFixed(0)} bps</strong>
+                                {!discountCurve.error && <> vs Z-spread {(discountCurve.valuations[focusBondId].zSpread * 10000).toFixed(0)} bps</>}
+                              </p>
+                              <p>
+                                Embedded options worth to the holder: <strong>{embeddedOptionAnalysis.optionValue.toFixed(2)}</strong> per 100
+                                {' '}(bond without options: {embeddedOptionAnalysis.straightPrice.toFixed(2)})
+                              </p>
+                              <p className="pt-2 border-t">
+                                Effective duration: <strong>{embeddedOptionAnalysis.withOptions.effectiveDuration.toFixed(2)}</strong>
+                                {' '}(without options {embeddedOptionAnalysis.withoutOptions.effectiveDuration.toFixed(2)})
+                              </p>
+                              <p>
+                                Effective convexity: <strong>{embeddedOptionAnalysis.withOptions.effectiveConvexity.toFixed(1)}</strong>
+                                {' '}(without options {embeddedOptionAnalysis.withoutOptions.effectiveConvexity.toFixed(1)})
+                              </p>
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-4">
+                        The tree uses {embeddedOptionAnalysis.dt ? `${(embeddedOptionAnalysis.dt * 12).toFixed(1)}-month` : 'monthly'} steps. At each exercise date the issuer calls if the bond is worth more than the call price and the holder puts if it is worth less than the put price. OAS is the spread over every tree rate that reprices the quoted dirty price; duration and convexity shift the curve ±50bp at a constant OAS. {focusBond.floatingNote ? 'Floating coupons are held at their projected rates on the tree.' : ''} The rest of the dashboard still values {focusBond.label} without its options.
+                      </p>
+                    </CardContent>
+                  </Card>
+                </>
+              )}
+
+              <Card>
+                <CardHeader>
+                  <CardTitle>Key-Rate Durations &amp; DV01</CardTitle>
+                  <CardDescription>
+                    Each holding is repriced after bumping one key rate at a time by ±10bp. DV01 is the VND loss on the
+                    {allocationSplit} allocation of {formatCurrency(initialInvestment)} if rates rise 1bp.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <Table>
+                    <TableHeader>
                       <TableRow>
-                        <TableCell className="font-medium">
-                          <span className="text-blue-600">Option A</span>
-                          <br />
-                          <span className="text-sm text-gray-500">Government Bond</span>
-                        </TableCell>
-                        <TableCell className="font-bold">{formatCurrency(investmentData.optionA.fv)}</TableCell>
-                        <TableCell>{investmentData.optionA.nominalReturn}%</TableCell>
-                        <TableCell>{investmentData.optionA.realReturn}%</TableCell>
-                        <TableCell>{investmentData.optionA.currentYield}%</TableCell>
-                        <TableCell>{investmentData.optionA.ytm}%</TableCell>
-                        <TableCell className="font-semibold text-blue-600">
-                          {bondAnalytics.optionA.macaulayDuration.toFixed(2)} yrs
-                        </TableCell>
-                        <TableCell>
-                          <span className="px-2 py-1 rounded-full bg-green-100 text-green-700 text-xs font-medium">
-                            {investmentData.optionA.risk}
-                          </span>
-                        </TableCell>
-                      </TableRow>
-                      <TableRow>
-                        <TableCell className="font-medium">
-                          <span className="text-purple-600">Option B</span>
-                          <br />
-                          <span className="text-sm text-gray-500">Corporate Bond</span>
-                        </TableCell>
-                        <TableCell className="font-bold">{formatCurrency(investmentData.optionB.fv)}</TableCell>
-                        <TableCell>{investmentData.optionB.nominalReturn}%</TableCell>
-                        <TableCell>{investmentData.optionB.realReturn}%</TableCell>
-                        <TableCell>{investmentData.optionB.currentYield}%</TableCell>
-                        <TableCell>{investmentData.optionB.ytm}%</TableCell>
-                        <TableCell className="font-semibold text-purple-600">
-                          {bondAnalytics.optionB.macaulayDuration.toFixed(2)} yrs
-                        </TableCell>
-                        <TableCell>
-                          <span className="px-2 py-1 rounded-full bg-yellow-100 text-yellow-700 text-xs font-medium">
-                            {investmentData.optionB.risk}
-                          </span>
-                        </TableCell>
+                        <TableHead>Holding</TableHead>
+                        <TableHead>Value</TableHead>
+                        {KEY_RATE_TENORS.map((tenor) => (
+                          <TableHead key={tenor}>{tenor}y KRD</TableHead>
+                        ))}
+                        <TableHead>Eff. Duration</TableHead>
+                        <TableHead>Eff. Convexity</TableHead>
+                        <TableHead>DV01</TableHead>
                       </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {[
+                        ...instruments.map((instrument) => ({ key: instrument.id, label: instrument.label, color: instrument.color })),
+                        { key: 'portfolio', label: `Portfolio (${allocationSplit})`, className: 'text-gray-900 font-bold' },
+                      ].map(({ key, label, color, className }) => (
+                        <TableRow key={key}>
+                          <TableCell className={cn('font-medium', className)} style={{ color }}>{label}</TableCell>
+                          <TableCell>{formatCurrency(rateSensitivity[key].marketValue)}</TableCell>
+                          {rateSensitivity[key].keyRateDurations.map((krd) => (
+                            <TableCell key={krd.tenor}>{krd.duration.toFixed(2)}</TableCell>
+                          ))}
+                          <TableCell className="font-semibold">{rateSensitivity[key].effectiveDuration.toFixed(2)}</TableCell>
+                          <TableCell>{rateSensitivity[key].effectiveConvexity.toFixed(1)}</TableCell>
+                          <TableCell className="font-semibold text-red-600">{formatVnd(rateSensitivity[key].dv01)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                  <p className="text-xs text-gray-500 mt-4">
+                    Funds are modelled as their bond sleeve, a par bond with the sleeve coupon and maturity scaled by the bond share;
+                    their stocks are treated as having no rate sensitivity. Deposits are repriced as one payment at the end of their term.
+                  </p>
+                </CardContent>
+              </Card>
+
+              {pricingCalculator && (
+                <Card>
+                  <CardHeader>
+                    <CardTitle className="flex items-center gap-2">
+                      <Calculator className="h-5 w-5 text-blue-600" />
+                      Bond Pricing Calculator
+                    </CardTitle>
+                    <CardDescription>
+                      Yields in the table above are solved from each bond&apos;s quoted price. Convert between price and yield for any bond in the catalog.
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent>
+                    <div className="grid md:grid-cols-3 gap-6">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Bond</label>
+                        <select
+                          value={pricingBondId}
+                          onChange={(e) => setPricingBondKey(e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {catalogBonds.map((bond) => (
+                            <option key={bond.id} value={bond.id}>{bond.label} - {bond.type}</option>
+                          ))}
+                        </select>
+                        <p className="text-xs text-gray-500 mt-2">
+                          {pricingCalculator.bond.coupon}% coupon ({pricingCalculator.bond.frequency}), {pricingCalculator.bond.remainingYears.toFixed(1)} years to maturity, quoted at {pricingCalculator.bond.price}
+                        </p>
+                      </div>
+                      <div className="p-4 bg-blue-50 rounded-lg">
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Yield to Maturity (%)</label>
+                        <input
+                          type="number"
+                          step="0.01"
+                          value={pricingYieldInput}
+                          onChange={(e) => setPricingYieldInput(e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <p className="text-sm text-gray-600 mt-3">Clean price</p>
+                        <p className="text-2xl font-bold text-blue-600">
+                          {pricingCalculator.cleanPrice !== null ? pricingCalculator.cleanPrice.toFixed(3) : '—'}
+                        </p>
+                      </div>
+                      <div className="p-4 bg-purple-50 rounded-lg">
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Clean Price (% of face)</label>
+                        <input
+                          type="number"
+                          step="0.01"
+                          value={pricingPriceInput}
+                          onChange={(e) => setPricingPriceInput(e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                        />
+                        <p className="text-sm text-gray-600 mt-3">Yield to maturity</p>
+                        <p className="text-2xl font-bold text-purple-600">
+                          {pricingCalculator.ytm !== null ? `${pricingCalculator.ytm.toFixed(3)}%` : '—'}
+                        </p>
+                      </div>
+                    </div>
+                  </CardContent>
+                </Card>
+              )}
+
+              <Card>
+                <CardHeader>
+                  <CardTitle>10-Year Future Value Comparison</CardTitle>
+                  <CardDescription>
+                    Visual comparison of projected future values for all investment options
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <ResponsiveContainer width="100%" height={400}>
+                    <BarChart data={fvComparisonData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis 
+                        tickFormatter={(value) => `₫${(value / 1000000).toFixed(0)}M`}
+                      />
+                      <Tooltip 
+                        formatter={(value) => formatCurrency(value)}
+                        labelStyle={{ color: '#000' }}
+                      />
+                      <Bar dataKey="fv" radius={[8, 8, 0, 0]}>
+                        {fvComparisonData.map((entry, index) => (
+                          <Cell key={`cell-${index}`} fill={entry.fill} />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </CardContent>
+              </Card>
+
+              <Alert>
+                <TrendingUp className="h-5 w-5 inline-block mr-2" />
+                <AlertTitle>Key Insights</AlertTitle>
+                <AlertDescription>
+                  <ul className="mt-2 space-y-2">
+                    {[...instruments].sort((x, y) => y.fv - x.fv).map((instrument) => (
+                      <li key={instrument.id}>
+                        <strong>{instrument.label} ({instrument.name})</strong> grows to {formatCurrency(instrument.fv)} over {investmentHorizon} years:
+                        {' '}{instrument.nominalReturn}% a year nominal, {instrument.realReturn}% after inflation, with {instrument.risk.toLowerCase()} risk.
+                      </li>
+                    ))}
+                    <li>Real returns are adjusted for 4% inflation; diversifying across the catalog trades some of the top return for lower volatility.</li>
+                  </ul>
+                </AlertDescription>
+              </Alert>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    {consistencyReport.failures === 0
+                      ? <CheckCircle className="h-5 w-5 text-green-600" />
+                      : <XCircle className="h-5 w-5 text-red-600" />}
+                    Diagnostics
+                  </CardTitle>
+                  <CardDescription>
+                    Every stated return, yield and future value checked against an independent calculation from its inputs: {consistencyReport.results.length - consistencyReport.failures} of {consistencyReport.results.length} consistent
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <Table>
+                    <TableHeader>
                       <TableRow>
-                        <TableCell className="font-medium">
-                          <span className="text-green-600">Option C</span>
-                          <br />
-                          <span className="text-sm text-gray-500">Balanced Fund</span>
-                        </TableCell>
-                        <TableCell className="font-bold">{formatCurrency(investmentData.optionC.fv)}</TableCell>
-                        <TableCell>{investmentData.optionC.nominalReturn}%</TableCell>
-                        <TableCell>{investmentData.optionC.realReturn}%</TableCell>
-                        <TableCell>{investmentData.optionC.currentYield}%</TableCell>
-                        <TableCell>{investmentData.optionC.ytm}%</TableCell>
-                        <TableCell className="font-semibold text-green-600">
-                          {bondAnalytics.optionC.macaulayDuration.toFixed(2)} yrs
-                        </TableCell>
-                        <TableCell>
-                          <span className="px-2 py-1 rounded-full bg-yellow-100 text-yellow-700 text-xs font-medium">
-                            {investmentData.optionC.risk}
-                          </span>
-                        </TableCell>
+                        <TableHead>Holding</TableHead>
+                        <TableHead>Check</TableHead>
+                        <TableHead className="text-right">Stated</TableHead>
+                        <TableHead className="text-right">Recomputed</TableHead>
+                        <TableHead className="text-right">Difference</TableHead>
+                        <TableHead />
                       </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {consistencyReport.results.map((result) => {
+                        const format = (value) => {
+                          if (result.kind === 'vnd') return formatVnd(value);
+                          if (result.kind === 'percent') return `${value.toFixed(3)}%`;
+                          return value.toFixed(4);
+                        };
+                        return (
+                          <TableRow key={`${result.group}-${result.label}`} className={result.ok ? '' : 'bg-red-50'}>
+                            <TableCell className="py-1 font-medium">{result.group}</TableCell>
+                            <TableCell className="py-1">{result.label}</TableCell>
+                            <TableCell className="py-1 text-right">{format(result.stated)}</TableCell>
+                            <TableCell className="py-1 text-right">{format(result.recomputed)}</TableCell>
+                            <TableCell className={`py-1 text-right ${result.ok ? 'text-gray-500' : 'text-red-600 font-semibold'}`}>
+                              {result.kind === 'percent' ? `${(result.difference * 100).toFixed(1)} bps` : format(result.difference)}
+                            </TableCell>
+                            <TableCell className="py-1">
+                              {result.ok
+                                ? <CheckCircle className="h-4 w-4 text-green-600" aria-label="Consistent" />
+                                : <XCircle className="h-4 w-4 text-red-600" aria-label="Mismatch" />}
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })}
                     </TableBody>
                   </Table>
+                  <p className="text-xs text-gray-500 mt-4">
+                    Percentages pass within half a basis point, since they are stated to two decimals, and portfolio returns built from rounded holdings&apos; returns within a basis point; future values pass within 0.01%. Every figure is derived from the catalog, so each check compares two different calculations of it: the solver against the quoted price, the current yield against the coupon schedule, the reinvestment engine and fund growth against closed-form compounding, the duration formula against repricing, and returns against the future values they describe.
+                  </p>
+                </CardContent>
+              </Card>
+            </div>
+          </TabsContent>
+
+          {/* Tab 3: Portfolio Allocation */}
+          <TabsContent value="portfolio">
+            <div className="space-y-6">
+              <Card>
+                <CardHeader>
+                  <CardTitle>Portfolio Allocation</CardTitle>
+                  <CardDescription>
+                    Diversified portfolio designed for Ms. An's moderate risk profile. Adjust the weights to see the returns, duration and Monte Carlo inputs update.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="grid md:grid-cols-2 gap-8">
+                    {/* Left: Pie Chart */}
+                    <div>
+                      <h4 className="text-lg font-semibold mb-4 text-center">Portfolio Mix</h4>
+                      <ResponsiveContainer width="100%" height={300}>
+                        <PieChart>
+                          <Pie
+                            data={pieChartData}
+                            cx="50%"
+                            cy="50%"
+                            labelLine={false}
+                            label={({ name, value }) => `${name}: ${value}%`}
+                            outerRadius={100}
+                            dataKey="value"
+                          >
+                            {pieChartData.map((entry, index) => (
+                              <Cell key={`cell-${index}`} fill={entry.fill} />
+                            ))}
+                          </Pie>
+                          <Tooltip />
+                          <Legend />
+                        </PieChart>
+                      </ResponsiveContainer>
+
+                      <div className="mt-6 space-y-3">
+                        {instruments.map((instrument) => (
+                          <div key={instrument.id} className="p-3 bg-gray-50 rounded-lg">
+                            <div className="flex justify-between items-center mb-2">
+                              <span className="font-medium">{instrument.name} ({instrument.label})</span>
+                              <span className="flex items-center gap-1">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="100"
+                                  step="1"
+                                  value={allocation[instrument.id] ?? 0}
+                                  onChange={(e) => updateWeight(instrument.id, e.target.value)}
+                                  disabled={instruments.length === 1}
+                                  className="w-16 px-2 py-1 border border-gray-300 rounded-md text-sm text-right font-bold focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                  style={{ color: instrument.color }}
+                                  aria-label={`${instrument.label} weight`}
+                                />
+                                <span className="font-bold" style={{ color: instrument.color }}>%</span>
+                              </span>
+                            </div>
+                            <input
+                              type="range"
+                              min="0"
+                              max="100"
+                              step="1"
+                              value={allocation[instrument.id] ?? 0}
+                              onChange={(e) => updateWeight(instrument.id, e.target.value)}
+                              disabled={instruments.length === 1}
+                              className="w-full"
+                              style={{ accentColor: instrument.color }}
+                              aria-label={`${instrument.label} weight slider`}
+                            />
+                          </div>
+                        ))}
+                        <div className="flex gap-2">
+                          <Button variant="outline" onClick={() => setAllocation(equalWeights(catalog.map((instrument) => instrument.id)))}>
+                            Equal Weights
+                          </Button>
+                          {Object.keys(caseStudyAllocation).every((id) => catalogById[id]) && (
+                            <Button variant="outline" onClick={() => setAllocation(caseStudyAllocation)}>
+                              Recommended {Object.values(caseStudyAllocation).join('/')}
+                            </Button>
+                          )}
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          Weights are whole percentages and always add up to 100%: moving one scales the others in proportion to their weights.
+                        </p>
+                      </div>
+                    </div>
+
+                    {/* Right: Rationale */}
+                    <div>
+                      <h4 className="text-lg font-semibold mb-4">Allocation Rationale</h4>
+                      <div className="prose max-w-none space-y-4">
+                        <p className="text-gray-700">
+                          This portfolio balances Ms. An&apos;s <strong>moderate risk profile</strong> with her <strong>{investmentHorizon}-year investment horizon</strong>.
+                          The allocation provides diversification across asset classes and risk levels.
+                        </p>
+
+                        <div className="space-y-3">
+                          {instruments.filter((instrument) => (allocation[instrument.id] ?? 0) > 0).map((instrument) => {
+                            const role = allocationRole(instrument);
+                            return (
+                              <div key={instrument.id} className="border-l-4 pl-4" style={{ borderColor: instrument.color }}>
+                                <h5 className="font-semibold" style={{ color: instrument.color }}>
+                                  {allocation[instrument.id]}% {instrument.name} ({instrument.label})
+                                </h5>
+                                <p className="text-sm text-gray-600">
+                                  Provides <strong>{role.headline}</strong> {role.detail}
+                                </p>
+                              </div>
+                            );
+                          })}
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle>Portfolio Performance Metrics</CardTitle>
+                  <CardDescription>
+                    Expected returns and risk characteristics of the current allocation
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="grid md:grid-cols-2 gap-6">
+                    <div className="p-6 bg-gradient-to-br from-blue-50 to-purple-50 rounded-lg">
+                      <h5 className="text-sm text-gray-600 mb-2">Weighted Expected Nominal Return</h5>
+                      <p className="text-4xl font-bold text-blue-600 mb-2">{portfolioMetrics.weightedNominalReturn}%</p>
+                      <p className="text-sm text-gray-600">
+                        = {instruments.map((instrument) => `(${allocation[instrument.id] ?? 0}% × ${instrument.nominalReturn.toFixed(2)}%)`).join(' + ')}
+                      </p>
+                    </div>
+
+                    <div className="p-6 bg-gradient-to-br from-green-50 to-teal-50 rounded-lg">
+                      <h5 className="text-sm text-gray-600 mb-2">Weighted Expected Real Return</h5>
+                      <p className="text-4xl font-bold text-green-600 mb-2">{portfolioMetrics.weightedRealReturn}%</p>
+                      <p className="text-sm text-gray-600">
+                        = ({(1 + portfolioMetrics.weightedNominalReturn / 100).toFixed(4)} / {1 + inflation}) - 1 (inflation-adjusted)
+                      </p>
+                    </div>
+
+                    <div className="p-6 bg-gradient-to-br from-purple-50 to-pink-50 rounded-lg">
+                      <h5 className="text-sm text-gray-600 mb-2">Portfolio Duration</h5>
+                      <p className="text-4xl font-bold text-purple-600 mb-2">{rateSensitivity.portfolio.effectiveDuration.toFixed(2)}</p>
+                      <p className="text-sm text-gray-600">
+                        Effective duration of the whole portfolio: a 1bp rise in rates costs {formatVnd(rateSensitivity.portfolio.dv01)}
+                      </p>
+                    </div>
+
+                    <div className="p-6 bg-gradient-to-br from-yellow-50 to-orange-50 rounded-lg">
+                      <h5 className="text-sm text-gray-600 mb-2">Portfolio Volatility</h5>
+                      <p className="text-4xl font-bold text-orange-600 mb-2">{frontierAnalysis.error ? 'n/a' : `${portfolioMetrics.volatility}%`}</p>
+                      <p className="text-sm text-gray-600">
+                        {frontierAnalysis.error
+                          ? `Check the risk assumptions: ${frontierAnalysis.error}`
+                          : '= √(wᵀΣw), from the holdings\' volatilities and correlations in the Optimizer and Monte Carlo tabs'}
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="mt-6 p-4 bg-gray-50 rounded-lg">
+                    <h5 className="font-semibold mb-3">Portfolio Advantages</h5>
+                    <ul className="space-y-2 text-sm text-gray-700">
+                      <li className="flex items-start">
+                        <span className="text-green-600 mr-2">✓</span>
+                        <span><strong>Diversification:</strong> Spreads risk across government-backed securities, corporate debt, and equity markets</span>
+                      </li>
+                      <li className="flex items-start">
+                        <span className="text-green-600 mr-2">✓</span>
+                        <span><strong>Risk-Adjusted Returns:</strong> Balances growth potential with downside protection</span>
+                      </li>
+                      <li className="flex items-start">
+                        <span className="text-green-600 mr-2">✓</span>
+                        <span><strong>Accessibility:</strong> Options A and C are readily available to retail investors</span>
+                      </li>
+                      <li className="flex items-start">
+                        <span className="text-green-600 mr-2">✓</span>
+                        <span><strong>Inflation Protection:</strong> Real return of {portfolioMetrics.weightedRealReturn}% exceeds inflation target</span>
+                      </li>
+                    </ul>
+                  </div>
+                </CardContent>
+              </Card>
+            </div>
+          </TabsContent>
+
+          {/* Tab: Optimizer */}
+          <TabsContent value="optimizer">
+            <div className="space-y-6">
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <Target className="h-5 w-5 text-blue-600" />
+                    Mean-Variance Efficient Frontier
+                  </CardTitle>
+                  <CardDescription>
+                    The lowest-volatility mix of the catalog for each expected return, with long-only weights capped at a maximum, and where the current allocation sits against it
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="grid md:grid-cols-3 gap-6">
+                    <div className="space-y-4">
+                      <div className="grid grid-cols-2 gap-3">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Risk-Free Rate (%)</label>
+                          <input
+                            type="number"
+                            step="0.05"
+                            value={optimizerInputs.riskFree}
+                            onChange={(e) => updateOptimizerInput('riskFree', e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Max Weight (%)</label>
+                          <input
+                            type="number"
+                            step="5"
+                            value={optimizerInputs.maxWeight}
+                            onChange={(e) => updateOptimizerInput('maxWeight', e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                        </div>
+                      </div>
+                      <RiskAssumptionsEditor instruments={instruments} inputs={optimizerInputs} onChange={updateOptimizerInput} />
+                      <p className="text-xs text-gray-500">
+                        Blank returns and volatilities use the catalog&apos;s, and blank correlations are 0. The case study gives no volatility for its bonds, so the optimizer starts from assumed volatilities and correlations for them.
+                      </p>
+                    </div>
+
+                    <div className="md:col-span-2">
+                      {frontierAnalysis.error ? (
+                        <Alert variant="warning">
+                          <AlertTriangle className="h-5 w-5 inline-block mr-2" />
+                          <AlertTitle>Cannot Optimize</AlertTitle>
+                          <AlertDescription>{frontierAnalysis.error}</AlertDescription>
+                        </Alert>
+                      ) : (
+                        <>
+                          <ResponsiveContainer width="100%" height={360}>
+                            <ComposedChart margin={{ bottom: 10 }}>
+                              <CartesianGrid strokeDasharray="3 3" />
+                              <XAxis
+                                type="number"
+                                dataKey="volatility"
+                                domain={[0, 'auto']}
+                                tickFormatter={(value) => `${value.toFixed(1)}%`}
+                                label={{ value: 'Volatility (σ)', position: 'insideBottom', offset: -5 }}
+                              />
+                              <YAxis
+                                type="number"
+                                dataKey="expectedReturn"
+                                domain={['auto', 'auto']}
+                                tickFormatter={(value) => `${value.toFixed(1)}%`}
+                              />
+                              <Tooltip formatter={(value) => `${Number(value).toFixed(2)}%`} />
+                              <Legend />
+                              <Line
+                                data={frontierAnalysis.frontier.map((p) => ({ volatility: p.volatility * 100, expectedReturn: p.expectedReturn * 100 }))}
+                                type="monotone"
+                                dataKey="expectedReturn"
+                                name="Efficient frontier"
+                                stroke="#3b82f6"
+                                strokeWidth={2}
+                                dot={false}
+                                isAnimationActive={false}
+                              />
+                              {frontierAnalysis.assets.map(({ instrument, expectedReturn, volatility }) => (
+                                <Scatter
+                                  key={instrument.id}
+                                  data={[{ volatility: volatility * 100, expectedReturn: expectedReturn * 100 }]}
+                                  dataKey="expectedReturn"
+                                  name={instrument.label}
+                                  fill={instrument.color}
+                                  isAnimationActive={false}
+                                />
+                              ))}
+                              {[
+                                { key: 'minVariance', name: 'Minimum variance', fill: '#0f172a', shape: 'diamond' },
+                                { key: 'maxSharpe', name: 'Max Sharpe', fill: '#f59e0b', shape: 'star' },
+                                { key: 'current', name: `Current (${allocationSplit})`, fill: '#ef4444', shape: 'triangle' },
+                              ].filter(({ key }) => frontierAnalysis[key]).map(({ key, name, fill, shape }) => (
+                                <Scatter
+                                  key={key}
+                                  data={[{ volatility: frontierAnalysis[key].volatility * 100, expectedReturn: frontierAnalysis[key].expectedReturn * 100 }]}
+                                  dataKey="expectedReturn"
+                                  name={name}
+                                  fill={fill}
+                                  shape={shape}
+                                  isAnimationActive={false}
+                                />
+                              ))}
+                            </ComposedChart>
+                          </ResponsiveContainer>
+
+                          <Table>
+                            <TableHeader>
+                              <TableRow>
+                                <TableHead>Portfolio</TableHead>
+                                {instruments.map((instrument) => (
+                                  <TableHead key={instrument.id} style={{ color: instrument.color }}>{instrument.label}</TableHead>
+                                ))}
+                                <TableHead>Return</TableHead>
+                                <TableHead>Volatility</TableHead>
+                                <TableHead>Sharpe</TableHead>
+                                <TableHead />
+                              </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                              {[
+                                { key: 'current', label: 'Current allocation' },
+                                { key: 'minVariance', label: 'Minimum variance' },
+                                { key: 'maxSharpe', label: 'Max Sharpe' },
+                                { key: 'sameReturn', label: 'Efficient, same return' },
+                              ].filter(({ key }) => frontierAnalysis[key]).map(({ key, label }) => {
+                                const portfolio = frontierAnalysis[key];
+                                return (
+                                  <TableRow key={key}>
+                                    <TableCell className="font-medium">{label}</TableCell>
+                                    {portfolio.weights.map((weight, i) => (
+                                      <TableCell key={frontierAnalysis.ids[i]}>{(weight * 100).toFixed(1)}%</TableCell>
+                                    ))}
+                                    <TableCell>{(portfolio.expectedReturn * 100).toFixed(2)}%</TableCell>
+                                    <TableCell>{(portfolio.volatility * 100).toFixed(2)}%</TableCell>
+                                    <TableCell>
+                                      {portfolio.volatility > 0 ? ((portfolio.expectedReturn - frontierAnalysis.riskFree) / portfolio.volatility).toFixed(2) : '—'}
+                                    </TableCell>
+                                    <TableCell>
+                                      {key !== 'current' && (
+                                        <Button variant="outline" onClick={() => setAllocation(allocationFromWeights(frontierAnalysis.ids, portfolio.weights))}>
+                                          Use
+                                        </Button>
+                                      )}
+                                    </TableCell>
+                                  </TableRow>
+                                );
+                              })}
+                            </TableBody>
+                          </Table>
+
+                          <div className="mt-4 p-4 bg-blue-50 rounded-lg text-sm text-gray-700 space-y-2">
+                            {frontierAnalysis.maxSharpeError && <p>Max Sharpe: {frontierAnalysis.maxSharpeError}.</p>}
+                            {!frontierAnalysis.currentFeasible && (
+                              <p>The current allocation breaks the {optimizerInputs.maxWeight}% cap, so it can sit beyond the capped frontier.</p>
+                            )}
+                            {frontierAnalysis.sameReturn && (
+                              <p>
+                                The frontier reaches the current {(frontierAnalysis.current.expectedReturn * 100).toFixed(2)}% expected return with
+                                {' '}{(frontierAnalysis.sameReturn.volatility * 100).toFixed(2)}% volatility, against{' '}
+                                {(frontierAnalysis.current.volatility * 100).toFixed(2)}% for the current allocation.
+                              </p>
+                            )}
+                            <p className="text-xs text-gray-500">
+                              Each frontier portfolio minimizes ½·wᵀΣw − λ·μᵀw over long-only weights no larger than the cap, for a risk tolerance λ searched to hit the target return. Using a portfolio rounds its weights to whole percentages.
+                            </p>
+                          </div>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <Shield className="h-5 w-5 text-blue-600" />
+                    Downside-Risk Optimizer
+                  </CardTitle>
+                  <CardDescription>
+                    Search allocations on simulated {investmentHorizon}-year scenarios for the best worst-case average (CVaR) or the best chance of reaching a target amount
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="grid md:grid-cols-5 gap-4 items-end">
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Objective</label>
+                      <select
+                        value={downsideInputs.objective}
+                        onChange={(e) => setDownsideInputs(prev => ({ ...prev, objective: e.target.value }))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="cvar">Minimize CVaR (best average of the worst outcomes)</option>
+                        <option value="shortfall">Maximize the probability of reaching the target</option>
+                      </select>
+                    </div>
+                    {[
+                      { key: 'target', label: 'Target Amount (₫)', step: '10000000' },
+                      { key: 'tail', label: 'CVaR Tail (%)', step: '1' },
+                      { key: 'trials', label: 'Scenarios', step: '500' },
+                    ].map(({ key, label, step }) => (
+                      <div key={key}>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                        <input
+                          type="number"
+                          step={step}
+                          value={downsideInputs[key]}
+                          onChange={(e) => setDownsideInputs(prev => ({ ...prev, [key]: e.target.value }))}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex flex-wrap items-end justify-center gap-4 mt-4">
+                    <SeedField value={simulationSeed} onChange={setSimulationSeed} disabled={isOptimizingDownside} />
+                    <Button onClick={runDownsideOptimizer} disabled={isOptimizingDownside} className="px-8 py-3">
+                      {isOptimizingDownside ? 'Searching Allocations...' : 'Run Optimizer'}
+                    </Button>
+                  </div>
+
+                  {downsideResults?.error && (
+                    <Alert variant="warning" className="mt-4">
+                      <AlertTriangle className="h-5 w-5 inline-block mr-2" />
+                      <AlertDescription>{downsideResults.error}</AlertDescription>
+                    </Alert>
+                  )}
+
+                  {downsideResults && !downsideResults.error && (
+                    <div className="grid md:grid-cols-2 gap-6 mt-6">
+                      <div>
+                        <h5 className="font-semibold mb-2">Risk/Return Trade-off</h5>
+                        <ResponsiveContainer width="100%" height={320}>
+                          <ComposedChart margin={{ bottom: 10 }}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis
+                              type="number"
+                              dataKey="downside"
+                              domain={['auto', 'auto']}
+                              tickFormatter={(value) => (downsideResults.objective === 'shortfall' ? `${value.toFixed(0)}%` : `₫${value.toFixed(0)}M`)}
+                              label={{
+                                value: downsideResults.objective === 'shortfall'
+                                  ? `Chance of reaching ${formatCurrency(downsideResults.target)}`
+                                  : `CVaR ${(downsideResults.alpha * 100).toFixed(0)}%: average of the worst outcomes`,
+                                position: 'insideBottom',
+                                offset: -5,
+                              }}
+                            />
+                            <YAxis type="number" dataKey="mean" domain={['auto', 'auto']} tickFormatter={(value) => `₫${value.toFixed(0)}M`} />
+                            <Tooltip formatter={(value, name) => (name === 'Trade-off' || name === 'Best' || name === 'Current' ? Number(value).toFixed(1) : value)} />
+                            <Legend />
+                            {(() => {
+                              const point = (c) => ({
+                                downside: downsideResults.objective === 'shortfall' ? (1 - c.shortfallProbability) * 100 : c.expectedShortfall / 1e6,
+                                mean: c.mean / 1e6,
+                              });
+                              return [
+                                <Line key="frontier" data={downsideResults.frontier.map(point)} type="linear" dataKey="mean" name="Trade-off" stroke="#3b82f6" strokeWidth={2} isAnimationActive={false} />,
+                                <Scatter key="best" data={[point(downsideResults.best)]} dataKey="mean" name="Best" fill="#f59e0b" shape="star" isAnimationActive={false} />,
+                                <Scatter key="current" data={[point(downsideResults.current)]} dataKey="mean" name="Current" fill="#ef4444" shape="triangle" isAnimationActive={false} />,
+                              ];
+                            })()}
+                          </ComposedChart>
+                        </ResponsiveContainer>
+                        <p className="text-xs text-gray-500 mt-2">
+                          Each point is an allocation no other beats on both the expected final value and the {downsideResults.objective === 'shortfall' ? 'chance of reaching the target' : 'CVaR'}.
+                        </p>
+                      </div>
+                      <div>
+                        <Table>
+                          <TableHeader>
+                            <TableRow>
+                              <TableHead>Allocation</TableHead>
+                              {downsideResults.ids.map((id) => (
+                                <TableHead key={id} style={{ color: investmentData[id]?.color }}>{investmentData[id]?.label ?? id}</TableHead>
+                              ))}
+                              <TableHead />
+                            </TableRow>
+                          </TableHeader>
+                          <TableBody>
+                            {[
+                              { key: 'best', label: 'Best' },
+                              { key: 'current', label: 'Current' },
+                            ].map(({ key, label }) => (
+                              <TableRow key={key}>
+                                <TableCell className="font-medium">{label}</TableCell>
+                                {downsideResults[key].weights.map((weight, i) => (
+                                  <TableCell key={downsideResults.ids[i]}>{(weight * 100).toFixed(1)}%</TableCell>
+                                ))}
+                                <TableCell>
+                                  {key === 'best' && (
+                                    <Button variant="outline" onClick={() => setAllocation(allocationFromWeights(downsideResults.ids, downsideResults.best.weights))}>
+                                      Use
+                                    </Button>
+                                  )}
+                                </TableCell>
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                        <Table>
+                          <TableHeader>
+                            <TableRow>
+                              <TableHead>Final Value</TableHead>
+                              <TableHead>Best</TableHead>
+                              <TableHead>Current</TableHead>
+                            </TableRow>
+                          </TableHeader>
+                          <TableBody>
+                            {[
+                              { label: 'Expected', value: (c) => formatCurrency(c.mean) },
+                              { label: `CVaR ${(downsideResults.alpha * 100).toFixed(0)}% (average of the worst)`, value: (c) => formatCurrency(c.expectedShortfall) },
+                              { label: '5th percentile', value: (c) => formatCurrency(c.p5) },
+                              { label: 'Median', value: (c) => formatCurrency(c.p50) },
+                              { label: `Chance of reaching ${formatCurrency(downsideResults.target)}`, value: (c) => `${((1 - c.shortfallProbability) * 100).toFixed(1)}%` },
+                            ].map(({ label, value }) => (
+                              <TableRow key={label}>
+                                <TableCell className="font-medium">{label}</TableCell>
+                                <TableCell>{value(downsideResults.best)}</TableCell>
+                                <TableCell>{value(downsideResults.current)}</TableCell>
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                        <p className="text-xs text-gray-500 mt-2">
+                          {downsideResults.candidates.toLocaleString()} allocations on a {(downsideResults.step * 100).toFixed(1).replace(/\.0$/, '')}% grid within the optimizer&apos;s weight cap, each scored on the same {downsideResults.trials.toLocaleString()} scenarios (seed {downsideResults.seed}).
+                          Annual returns are jointly normal with the expected returns, volatilities and correlations above, and the portfolio is rebalanced to its weights every year.
+                        </p>
+                      </div>
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+            </div>
+          </TabsContent>
+
+          {/* Tab: Yield Curve */}
+          <TabsContent value="yield-curve">
+            <div className="space-y-6">
+              <Card>
+                <CardHeader>
+                  <CardTitle>Government Yield Curve</CardTitle>
+                  <CardDescription>
+                    Fit a Nelson-Siegel or Svensson curve to Vietnamese government bond yields by tenor
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="grid md:grid-cols-3 gap-6">
+                    <div className="space-y-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Curve Model</label>
+                        <select
+                          value={curveModelId}
+                          onChange={(e) => setCurveModelId(e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {YIELD_CURVE_MODELS.map((model) => (
+                            <option key={model.id} value={model.id}>{model.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <Table>
+                        <TableHeader>
+                          <TableRow>
+                            <TableHead>Tenor (years)</TableHead>
+                            <TableHead>Yield (%)</TableHead>
+                            <TableHead />
+                          </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                          {curveInputs.map((row, index) => (
+                            <TableRow key={index}>
+                              {['tenor', 'yield'].map((field) => (
+                                <TableCell key={field} className="py-1">
+                                  <input
+                                    type="number"
+                                    step={field === 'tenor' ? '1' : '0.05'}
+                                    value={row[field]}
+                                    onChange={(e) => updateCurveInput(index, field, e.target.value)}
+                                    className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                  />
+                                </TableCell>
+                              ))}
+                              <TableCell className="py-1">
+                                <button
+                                  onClick={() => setCurveInputs(prev => prev.filter((_, i) => i !== index))}
+                                  className="text-gray-400 hover:text-red-600"
+                                  aria-label="Remove tenor"
+                                >
+                                  <X className="w-4 h-4" />
+                                </button>
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                      <Button variant="outline" onClick={() => setCurveInputs(prev => [...prev, { tenor: '', yield: '' }])}>
+                        Add Tenor
+                      </Button>
+                    </div>
+
+                    <div className="md:col-span-2">
+                      {yieldCurveFit.error ? (
+                        <Alert variant="warning">
+                          <AlertTriangle className="h-5 w-5 inline-block mr-2" />
+                          <AlertTitle>Not Enough Data</AlertTitle>
+                          <AlertDescription>{yieldCurveFit.error}</AlertDescription>
+                        </Alert>
+                      ) : (
+                        <>
+                          <ResponsiveContainer width="100%" height={340}>
+                            <ComposedChart>
+                              <CartesianGrid strokeDasharray="3 3" />
+                              <XAxis
+                                type="number"
+                                dataKey="tenor"
+                                domain={[0, 'dataMax']}
+                                label={{ value: 'Tenor (years)', position: 'insideBottom', offset: -5 }}
+                              />
+                              <YAxis tickFormatter={(value) => `${value.toFixed(2)}%`} domain={['auto', 'auto']} />
+                              <Tooltip
+                                formatter={(value) => `${value.toFixed(3)}%`}
+                                labelFormatter={(value) => `${Number(value).toFixed(2)} years`}
+                              />
+                              <Legend />
+                              <Line
+                                data={yieldCurveFit.chartData}
+                                type="monotone"
+                                dataKey="fitted"
+                                name={`${yieldCurveFit.model.label} fit`}
+                                stroke="#3b82f6"
+                                strokeWidth={2}
+                                dot={false}
+                                isAnimationActive={false}
+                              />
+                              <Scatter data={yieldCurveFit.observed} dataKey="yield" name="Observed" fill="#ef4444" isAnimationActive={false} />
+                            </ComposedChart>
+                          </ResponsiveContainer>
+                          <div className="mt-4 p-4 bg-blue-50 rounded-lg text-sm text-gray-700">
+                            <p className="mb-2">
+                              Fit error (RMSE): <strong>{(yieldCurveFit.rmse * 10000).toFixed(1)} bps</strong> across {yieldCurveFit.observed.length} tenors
+                            </p>
+                            <p className="font-mono text-xs">
+                              {Object.entries(yieldCurveFit.interpolator.coefs())
+                                .map(([key, value]) => `${key} = ${key.startsWith('tau') ? value.toFixed(4) : `${(value * 100).toFixed(3)}%`}`)
+                                .join(', ')}
+                            </p>
+                          </div>
+                        </>
+                      )}
+                    </div>
+                  </div>
                 </CardContent>
               </Card>
 
+              {curvePricing && (
+                <Card>
+                  <CardHeader>
+                    <CardTitle>Bonds Priced off the Curve</CardTitle>
+                    <CardDescription>
+                      Each cash flow is discounted at the fitted curve rate for its date plus the bond&apos;s spread, instead of one flat YTM
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent>
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Bond</TableHead>
+                          <TableHead className="text-right">Spread (bps)</TableHead>
+                          <TableHead className="text-right">Curve Clean Price</TableHead>
+                          <TableHead className="text-right">Curve Dirty Price</TableHead>
+                          <TableHead className="text-right">Quoted Clean Price</TableHead>
+                          <TableHead className="text-right">Implied Spread</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {curvePricing.map(({ key, bond, dirtyPrice, cleanPrice, impliedSpread }) => (
+                          <TableRow key={key}>
+                            <TableCell className="font-medium">{bond.name}</TableCell>
+                            <TableCell className="text-right">
+                              <input
+                                type="number"
+                                step="5"
+                                value={curveSpreads[key]}
+                                onChange={(e) => setCurveSpreads(prev => ({ ...prev, [key]: e.target.value }))}
+                                className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm text-right focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              />
+                            </TableCell>
+                            <TableCell className="text-right">{cleanPrice.toFixed(3)}</TableCell>
+                            <TableCell className="text-right">{dirtyPrice.toFixed(3)}</TableCell>
+                            <TableCell className="text-right">{bond.price.toFixed(3)}</TableCell>
+                            <TableCell className="text-right">
+                              {(impliedSpread * 10000).toFixed(1)} bps
+                              <button
+                                onClick={() => setCurveSpreads(prev => ({ ...prev, [key]: (impliedSpread * 10000).toFixed(1) }))}
+                                className="ml-2 text-xs text-blue-600 hover:underline"
+                              >
+                                Use
+                              </button>
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                    <p className="text-xs text-gray-500 mt-2">
+                      Fitted yields are treated as zero rates compounded at each bond&apos;s coupon frequency. The implied spread is the one that reproduces the quoted price.
+                    </p>
+                  </CardContent>
+                </Card>
+              )}
+
               <Card>
                 <CardHeader>
-                  <CardTitle>10-Year Future Value Comparison</CardTitle>
+                  <CardTitle>Bootstrapped Zero Curve</CardTitle>
                   <CardDescription>
-                    Visual comparison of projected future values for all investment options
+                    Paste government bond quotes to bootstrap spot rates, forward rates and discount factors, then value Options A and B off them
                   </CardDescription>
                 </CardHeader>
                 <CardContent>
-                  <ResponsiveContainer width="100%" height={400}>
-                    <BarChart data={fvComparisonData}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="name" />
-                      <YAxis 
-                        tickFormatter={(value) => `₫${(value / 1000000).toFixed(0)}M`}
+                  <div className="grid md:grid-cols-3 gap-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Bond Quotes (code, maturity in years, coupon %, clean price, coupons per year)
+                      </label>
+                      <textarea
+                        value={bondQuotesText}
+                        onChange={(e) => setBondQuotesText(e.target.value)}
+                        rows={10}
+                        spellCheck={false}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-xs font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
                       />
-                      <Tooltip 
-                        formatter={(value) => formatCurrency(value)}
-                        labelStyle={{ color: '#000' }}
+                      <p className="text-xs text-gray-500 mt-2">
+                        Maturities are measured from the settlement date; coupon dates are rolled back from maturity.
+                      </p>
+                    </div>
+
+                    <div className="md:col-span-2">
+                      {discountCurve.error ? (
+                        <Alert variant="warning">
+                          <AlertTriangle className="h-5 w-5 inline-block mr-2" />
+                          <AlertTitle>Cannot Bootstrap</AlertTitle>
+                          <AlertDescription>{discountCurve.error}</AlertDescription>
+                        </Alert>
+                      ) : (
+                        <ResponsiveContainer width="100%" height={300}>
+                          <LineChart data={discountCurve.chartData}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis
+                              type="number"
+                              dataKey="tenor"
+                              domain={[0, 'dataMax']}
+                              label={{ value: 'Tenor (years)', position: 'insideBottom', offset: -5 }}
+                            />
+                            <YAxis tickFormatter={(value) => `${value.toFixed(2)}%`} domain={['auto', 'auto']} />
+                            <Tooltip
+                              formatter={(value) => `${value.toFixed(3)}%`}
+                              labelFormatter={(value) => `${Number(value).toFixed(2)} years`}
+                            />
+                            <Legend />
+                            <Line type="monotone" dataKey="spot" name="Spot rate" stroke="#3b82f6" strokeWidth={2} dot={false} isAnimationActive={false} />
+                            <Line type="stepAfter" dataKey="forward" name="Forward rate" stroke="#f59e0b" strokeWidth={2} dot={false} isAnimationActive={false} />
+                          </LineChart>
+                        </ResponsiveContainer>
+                      )}
+                    </div>
+                  </div>
+
+                  {!discountCurve.error && (
+                    <div className="grid md:grid-cols-2 gap-6 mt-6">
+                      <Table>
+                        <TableHeader>
+                          <TableRow>
+                            <TableHead>Bond</TableHead>
+                            <TableHead className="text-right">Maturity</TableHead>
+                            <TableHead className="text-right">Discount Factor</TableHead>
+                            <TableHead className="text-right">Spot</TableHead>
+                            <TableHead className="text-right">Forward</TableHead>
+                          </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                          {discountCurve.curve.knots.map((knot) => (
+                            <TableRow key={knot.quote.code}>
+                              <TableCell className="font-medium">{knot.quote.code}</TableCell>
+                              <TableCell className="text-right">{knot.time}y</TableCell>
+                              <TableCell className="text-right">{knot.discountFactor.toFixed(5)}</TableCell>
+                              <TableCell className="text-right">{(spotRateAt(discountCurve.curve, knot.time) * 100).toFixed(3)}%</TableCell>
+                              <TableCell className="text-right">{(knot.forwardRate * 100).toFixed(3)}%</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                      <Table>
+                        <TableHeader>
+                          <TableRow>
+                            <TableHead>Catalog Bond</TableHead>
+                            <TableHead className="text-right">Curve Clean Price</TableHead>
+                            <TableHead className="text-right">Quoted Clean Price</TableHead>
+                            <TableHead className="text-right">Z-Spread</TableHead>
+                          </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                          {catalogBonds.map(({ id: key }) => (
+                            <TableRow key={key}>
+                              <TableCell className="font-medium" style={{ color: investmentData[key].color }}>{investmentData[key].label}</TableCell>
+                              <TableCell className="text-right">{discountCurve.valuations[key].cleanPrice.toFixed(3)}</TableCell>
+                              <TableCell className="text-right">{investmentData[key].price.toFixed(3)}</TableCell>
+                              <TableCell className="text-right">{(discountCurve.valuations[key].zSpread * 10000).toFixed(1)} bps</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </div>
+                  )}
+                  <p className="text-xs text-gray-500 mt-4">
+                    Rates are continuously compounded with flat forwards between maturities. The Z-spread is the constant spread over the spot curve that reproduces each bond&apos;s quoted price.
+                  </p>
+                </CardContent>
+              </Card>
+            </div>
+          </TabsContent>
+
+          {/* Tab: Rate Shock */}
+          <TabsContent value="rate-shock">
+            <div className="space-y-6">
+              <Card>
+                <CardHeader>
+                  <CardTitle>Interest-Rate Stress Test</CardTitle>
+                  <CardDescription>
+                    How much would each holding and the {allocationSplit} portfolio lose if the yield curve moved?
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <div className="grid md:grid-cols-3 gap-6 mb-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Shock Size (bps)</label>
+                      <input
+                        type="number"
+                        step="25"
+                        value={rateShockBps}
+                        onChange={(e) => setRateShockBps(Number(e.target.value) || 0)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
                       />
-                      <Bar dataKey="fv" radius={[8, 8, 0, 0]}>
-                        {fvComparisonData.map((entry, index) => (
-                          <Cell key={`cell-${index}`} fill={entry.fill} />
+                      <p className="text-xs text-gray-500 mt-2">Use a negative value to test falling rates.</p>
+                    </div>
+                    <div className="md:col-span-2 p-4 bg-blue-50 rounded-lg">
+                      <h6 className="text-sm font-medium text-gray-700 mb-2">Scenarios</h6>
+                      <ul className="text-sm space-y-1 text-gray-600">
+                        {RATE_SHOCK_SCENARIOS.map((scenario) => (
+                          <li key={scenario.id}>• <strong>{scenario.label}:</strong> {scenario.description}</li>
                         ))}
-                      </Bar>
+                      </ul>
+                    </div>
+                  </div>
+
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart
+                      data={rateShockResults.map(({ scenario, portfolio }) => ({
+                        name: scenario.label,
+                        'Duration only': portfolio.durationOnly,
+                        'Duration + convexity': portfolio.withConvexity,
+                        'Full reprice': portfolio.fullReprice,
+                      }))}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis tickFormatter={(value) => `₫${(value / 1000000).toFixed(1)}M`} />
+                      <Tooltip formatter={(value) => formatVnd(value)} labelStyle={{ color: '#000' }} />
+                      <Legend />
+                      <Bar dataKey="Duration only" fill="#93c5fd" />
+                      <Bar dataKey="Duration + convexity" fill="#8b5cf6" />
+                      <Bar dataKey="Full reprice" fill="#10b981" />
                     </BarChart>
                   </ResponsiveContainer>
+                  <p className="text-sm text-gray-600 mt-2 text-center">
+                    Portfolio value change in VND on {formatCurrency(initialInvestment)} for a {rateShockBps}bp shock
+                  </p>
                 </CardContent>
               </Card>
 
+              {rateShockResults.map(({ scenario, holdings, portfolio }) => (
+                <Card key={scenario.id}>
+                  <CardHeader>
+                    <CardTitle className="text-lg">{scenario.label} ({rateShockBps}bp)</CardTitle>
+                    <CardDescription>{scenario.description}</CardDescription>
+                  </CardHeader>
+                  <CardContent>
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Holding</TableHead>
+                          <TableHead>Equivalent Yield Change</TableHead>
+                          <TableHead>Duration Only</TableHead>
+                          <TableHead>Duration + Convexity</TableHead>
+                          <TableHead>Full Reprice</TableHead>
+                          <TableHead>Value Change (Full Reprice)</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {instruments.map(({ id: key, label, color }) => (
+                          <TableRow key={key}>
+                            <TableCell className="font-medium" style={{ color }}>{label}</TableCell>
+                            <TableCell>{(holdings[key].yieldChange * 10000).toFixed(1)}bp</TableCell>
+                            <TableCell>{(holdings[key].durationOnly.valueReturn * 100).toFixed(2)}%</TableCell>
+                            <TableCell>{(holdings[key].withConvexity.valueReturn * 100).toFixed(2)}%</TableCell>
+                            <TableCell className="font-semibold">{(holdings[key].fullReprice.valueReturn * 100).toFixed(2)}%</TableCell>
+                            <TableCell className={holdings[key].fullReprice.valueChange < 0 ? 'text-red-600' : 'text-green-600'}>
+                              {formatVnd(holdings[key].fullReprice.valueChange)}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                        <TableRow className="bg-gray-50">
+                          <TableCell className="font-bold">Portfolio ({allocationSplit})</TableCell>
+                          <TableCell>—</TableCell>
+                          <TableCell>{formatVnd(portfolio.durationOnly)}</TableCell>
+                          <TableCell>{formatVnd(portfolio.withConvexity)}</TableCell>
+                          <TableCell className="font-semibold">{formatVnd(portfolio.fullReprice)}</TableCell>
+                          <TableCell className={cn('font-bold', portfolio.fullReprice < 0 ? 'text-red-600' : 'text-green-600')}>
+                            {((portfolio.fullReprice / initialInvestment) * 100).toFixed(2)}% of portfolio
+                          </TableCell>
+                        </TableRow>
+                      </TableBody>
+                    </Table>
+                  </CardContent>
+                </Card>
+              ))}
+
               <Alert>
-                <TrendingUp className="h-5 w-5 inline-block mr-2" />
-                <AlertTitle>Key Insights</AlertTitle>
+                <Info className="h-5 w-5 inline-block mr-2" />
+                <AlertTitle>Reading the Three Methods</AlertTitle>
                 <AlertDescription>
                   <ul className="mt-2 space-y-2">
-                    <li><strong>Option C (Balanced Fund)</strong> offers the highest projected future value (₫473M) due to its equity exposure and professional management.</li>
-                    <li><strong>Option B (Corporate Bond)</strong> provides a middle ground (₫427M) with higher yields than government bonds but lower volatility than equity-heavy funds.</li>
-                    <li><strong>Option A (Government Bond)</strong> offers the most stability (₫332M) and is backed by the Vietnamese government, making it suitable for conservative investors.</li>
-                    <li>Real returns (adjusted for 4% inflation) show that all options provide positive inflation-adjusted returns, with Option C leading at 4.81% real CAGR.</li>
+                    <li><strong>Duration only:</strong> the linear estimate, −Modified Duration × Δy.</li>
+                    <li><strong>Duration + convexity:</strong> adds ½ × Convexity × Δy², which cushions losses and boosts gains for large moves.</li>
+                    <li><strong>Full reprice:</strong> discounts every cash flow off the shocked curve, the benchmark the approximations are judged against.</li>
+                    <li>Non-parallel shocks are reduced to a single equivalent yield change by weighting each tenor&apos;s move by its key-rate duration.</li>
                   </ul>
                 </AlertDescription>
               </Alert>
             </div>
           </TabsContent>
 
-          {/* Tab 3: Portfolio Allocation */}
-          <TabsContent value="portfolio">
+          {/* Tab: Short-Rate Model */}
+          <TabsContent value="rate-model">
             <div className="space-y-6">
               <Card>
                 <CardHeader>
-                  <CardTitle>Recommended Portfolio Allocation</CardTitle>
+                  <CardTitle>Short-Rate Simulation</CardTitle>
                   <CardDescription>
-                    Diversified portfolio designed for Ms. An's moderate risk profile
+                    {findShortRateModel(rateModelId).formula}. The selected model drives the bond valuation and reinvestment below.
                   </CardDescription>
                 </CardHeader>
                 <CardContent>
-                  <div className="grid md:grid-cols-2 gap-8">
-                    {/* Left: Pie Chart */}
-                    <div>
-                      <h4 className="text-lg font-semibold mb-4 text-center">Portfolio Mix</h4>
-                      <ResponsiveContainer width="100%" height={300}>
-                        <PieChart>
-                          <Pie
-                            data={pieChartData}
-                            cx="50%"
-                            cy="50%"
-                            labelLine={false}
-                            label={({ name, value }) => `${name}: ${value}%`}
-                            outerRadius={100}
-                            dataKey="value"
-                          >
-                            {pieChartData.map((entry, index) => (
-                              <Cell key={`cell-${index}`} fill={entry.fill} />
-                            ))}
-                          </Pie>
-                          <Tooltip />
-                          <Legend />
-                        </PieChart>
-                      </ResponsiveContainer>
-
-                      <div className="mt-6 space-y-3">
-                        <div className="flex justify-between items-center p-3 bg-blue-50 rounded-lg">
-                          <span className="font-medium">Government Bond (A)</span>
-                          <span className="text-lg font-bold text-blue-600">{portfolioAllocation.optionA}%</span>
-                        </div>
-                        <div className="flex justify-between items-center p-3 bg-purple-50 rounded-lg">
-                          <span className="font-medium">Corporate Bond (B)</span>
-                          <span className="text-lg font-bold text-purple-600">{portfolioAllocation.optionB}%</span>
-                        </div>
-                        <div className="flex justify-between items-center p-3 bg-green-50 rounded-lg">
-                          <span className="font-medium">Balanced Fund (C)</span>
-                          <span className="text-lg font-bold text-green-600">{portfolioAllocation.optionC}%</span>
-                        </div>
+                  <div className="space-y-6">
+                    <div className="grid md:grid-cols-5 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Rate Model</label>
+                        <select
+                          value={rateModelId}
+                          onChange={(e) => setRateModelId(e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {SHORT_RATE_MODELS.map((model) => (
+                            <option key={model.id} value={model.id}>{model.label}</option>
+                          ))}
+                        </select>
                       </div>
+                      {findShortRateModel(rateModelId).params.map(({ key, label }) => (
+                        <div key={key}>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                          <input
+                            type="number"
+                            step="0.05"
+                            value={rateModelInputs[rateModelId][key]}
+                            onChange={(e) => setRateModelInputs(prev => ({
+                              ...prev,
+                              [rateModelId]: { ...prev[rateModelId], [key]: e.target.value },
+                            }))}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                        </div>
+                      ))}
                     </div>
 
-                    {/* Right: Rationale */}
-                    <div>
-                      <h4 className="text-lg font-semibold mb-4">Allocation Rationale</h4>
-                      <div className="prose max-w-none space-y-4">
-                        <p className="text-gray-700">
-                          This portfolio balances Ms. An's <strong>moderate risk profile</strong> with her <strong>10-year investment horizon</strong>. 
-                          The allocation provides diversification across asset classes and risk levels.
-                        </p>
+                    <div className="flex flex-wrap items-end justify-center gap-4">
+                      <SeedField value={simulationSeed} onChange={setSimulationSeed} disabled={isSimulatingRates} />
+                      <Button
+                        onClick={runRateSimulation}
+                        disabled={isSimulatingRates}
+                        className="px-8 py-3"
+                      >
+                        {isSimulatingRates ? 'Simulating Rates...' : 'Simulate Rate Paths'}
+                      </Button>
+                    </div>
 
-                        <div className="space-y-3">
-                          <div className="border-l-4 border-blue-500 pl-4">
-                            <h5 className="font-semibold text-blue-600">20% Government Bond (Option A)</h5>
-                            <p className="text-sm text-gray-600">
-                              Provides <strong>stability and capital preservation</strong>. Acts as a defensive anchor 
-                              during market volatility. Backed by the Vietnamese government with virtually no default risk.
-                            </p>
-                          </div>
+                    {rateSimulation?.error && (
+                      <Alert variant="warning">
+                        <AlertTriangle className="h-5 w-5 inline-block mr-2" />
+                        <AlertTitle>Invalid Parameters</AlertTitle>
+                        <AlertDescription>{rateSimulation.error}</AlertDescription>
+                      </Alert>
+                    )}
 
-                          <div className="border-l-4 border-purple-500 pl-4">
-                            <h5 className="font-semibold text-purple-600">40% Corporate Bond (Option B)</h5>
-                            <p className="text-sm text-gray-600">
-                              Provides <strong>higher, stable income</strong> through semi-annual coupon payments. 
-                              If accessible directly or via fund, offers better yields than government bonds while 
-                              maintaining fixed-income characteristics.
-                            </p>
+                    {rateSimulation && !rateSimulation.error && (
+                      <>
+                        <div className="grid md:grid-cols-2 gap-6">
+                          <div>
+                            <h6 className="font-semibold text-sm mb-3 text-center text-blue-600">
+                              Sample Rate Paths ({rateSimulation.samplePaths.length} of {rateSimulation.trials.toLocaleString()}, seed {rateSimulation.seed})
+                            </h6>
+                            <ResponsiveContainer width="100%" height={320}>
+                              <LineChart>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis
+                                  type="number"
+                                  dataKey="year"
+                                  domain={[0, rateSimulation.years]}
+                                  label={{ value: 'Year', position: 'insideBottom', offset: -5 }}
+                                />
+                                <YAxis tickFormatter={(value) => `${value.toFixed(1)}%`} />
+                                <Tooltip
+                                  formatter={(value) => `${value.toFixed(2)}%`}
+                                  labelFormatter={(value) => `Year ${Number(value).toFixed(2)}`}
+                                />
+                                {rateSimulation.samplePaths.map((path, idx) => (
+                                  <Line
+                                    key={idx}
+                                    data={path}
+                                    type="linear"
+                                    dataKey="rate"
+                                    stroke="#3b82f6"
+                                    strokeWidth={0.5}
+                                    opacity={0.3}
+                                    dot={false}
+                                    isAnimationActive={false}
+                                  />
+                                ))}
+                              </LineChart>
+                            </ResponsiveContainer>
                           </div>
+                          <div>
+                            <h6 className="font-semibold text-sm mb-3 text-center text-purple-600">Percentile Fan (5–95% and 25–75%)</h6>
+                            <ResponsiveContainer width="100%" height={320}>
+                              <ComposedChart data={rateSimulation.fanData}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis
+                                  type="number"
+                                  dataKey="year"
+                                  domain={[0, rateSimulation.years]}
+                                  label={{ value: 'Year', position: 'insideBottom', offset: -5 }}
+                                />
+                                <YAxis tickFormatter={(value) => `${value.toFixed(1)}%`} />
+                                <Tooltip
+                                  formatter={(value) => Array.isArray(value)
+                                    ? `${value[0].toFixed(2)}% – ${value[1].toFixed(2)}%`
+                                    : `${value.toFixed(2)}%`}
+                                  labelFormatter={(value) => `Year ${Number(value).toFixed(2)}`}
+                                />
+                                <Legend />
+                                <Area type="monotone" dataKey="band90" name="5th–95th" stroke="none" fill="#c4b5fd" fillOpacity={0.5} isAnimationActive={false} />
+                                <Area type="monotone" dataKey="band50" name="25th–75th" stroke="none" fill="#8b5cf6" fillOpacity={0.5} isAnimationActive={false} />
+                                <Line type="monotone" dataKey="median" name="Median" stroke="#5b21b6" strokeWidth={2} dot={false} isAnimationActive={false} />
+                                <Line type="monotone" dataKey="mean" name="Mean" stroke="#f59e0b" strokeDasharray="5 5" strokeWidth={2} dot={false} isAnimationActive={false} />
+                              </ComposedChart>
+                            </ResponsiveContainer>
+                          </div>
+                        </div>
 
-                          <div className="border-l-4 border-green-500 pl-4">
-                            <h5 className="font-semibold text-green-600">40% Balanced Fund (Option C)</h5>
-                            <p className="text-sm text-gray-600">
-                              Provides <strong>diversification and highest growth potential</strong> through its 
-                              20% equity exposure. Professional fund management and liquidity make it suitable for 
-                              long-term wealth accumulation.
-                            </p>
+                        <div className="grid md:grid-cols-3 gap-6">
+                          <div className="md:col-span-2">
+                            <h6 className="font-semibold text-sm mb-3 text-center text-green-600">
+                              Year-{rateSimulation.years} Rates{rateSimulation.stationary && ' vs Long-Run (Stationary) Distribution'}
+                            </h6>
+                            <ResponsiveContainer width="100%" height={260}>
+                              <ComposedChart data={rateSimulation.distributionData}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="rate" tickFormatter={(value) => `${value.toFixed(1)}%`} tick={{ fontSize: 10 }} />
+                                <YAxis tick={{ fontSize: 10 }} />
+                                <Tooltip
+                                  formatter={(value, name) => [name === 'simulated' ? `${value} paths` : value.toFixed(1), name]}
+                                  labelFormatter={(value) => `Rate: ${Number(value).toFixed(2)}%`}
+                                />
+                                <Legend />
+                                <Bar dataKey="simulated" fill="#10b981" fillOpacity={0.6} isAnimationActive={false} />
+                                {rateSimulation.stationary && (
+                                  <Line type="monotone" dataKey="stationary" stroke="#047857" strokeWidth={2} dot={false} isAnimationActive={false} />
+                                )}
+                              </ComposedChart>
+                            </ResponsiveContainer>
                           </div>
+                          <div className="p-4 bg-green-50 rounded-lg space-y-2 text-sm text-gray-700">
+                            {rateSimulation.stationary ? (
+                              <>
+                                <h6 className="font-semibold">Long-Run Distribution</h6>
+                                <p>Mean b: <strong>{(rateSimulation.stationary.mean * 100).toFixed(2)}%</strong></p>
+                                <p>Std. dev.: <strong>{(rateSimulation.stationary.stdDev * 100).toFixed(2)}%</strong></p>
+                                <p>Half-life of shocks: <strong>{(Math.log(2) / rateSimulation.params.a).toFixed(2)} years</strong></p>
+                              </>
+                            ) : (
+                              <>
+                                <h6 className="font-semibold">{rateSimulation.model.label}</h6>
+                                <p className="text-xs text-gray-500">This model has no long-run distribution to compare against.</p>
+                              </>
+                            )}
+                            <h6 className="font-semibold pt-2">Simulated Year-{rateSimulation.years} Rate</h6>
+                            <p>5th / 50th / 95th: <strong>
+                              {(rateSimulation.terminal.p5 * 100).toFixed(2)}% / {(rateSimulation.terminal.p50 * 100).toFixed(2)}% / {(rateSimulation.terminal.p95 * 100).toFixed(2)}%
+                            </strong></p>
+                          </div>
+                        </div>
+
+                        <div>
+                          <h6 className="font-semibold text-sm mb-3 text-blue-600">Bond Outcomes Under {rateSimulation.model.label}</h6>
+                          <Table>
+                            <TableHeader>
+                              <TableRow>
+                                <TableHead>Bond</TableHead>
+                                <TableHead className="text-right">Market Dirty Price</TableHead>
+                                <TableHead className="text-right">Model Price</TableHead>
+                                <TableHead className="text-right">Year-{rateSimulation.years} Value (5th)</TableHead>
+                                <TableHead className="text-right">Median</TableHead>
+                                <TableHead className="text-right">95th</TableHead>
+                              </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                              {rateSimulation.bondOutcomes.map((outcome) => (
+                                <TableRow key={outcome.key}>
+                                  <TableCell className="font-medium">{outcome.name}</TableCell>
+                                  <TableCell className="text-right">{outcome.dirtyPrice.toFixed(2)}</TableCell>
+                                  <TableCell className="text-right">{outcome.modelPrice.toFixed(2)}</TableCell>
+                                  <TableCell className="text-right">{formatCurrency(outcome.horizon.p5)}</TableCell>
+                                  <TableCell className="text-right">{formatCurrency(outcome.horizon.p50)}</TableCell>
+                                  <TableCell className="text-right">{formatCurrency(outcome.horizon.p95)}</TableCell>
+                                </TableRow>
+                              ))}
+                            </TableBody>
+                          </Table>
+                          <p className="text-xs text-gray-500 mt-2">
+                            Model price discounts each cash flow at exp(−∫r dt) along every path. Horizon values start from {formatCurrency(initialInvestment)} bought at the dirty price, with coupons and redemptions reinvested at the simulated short rate.
+                          </p>
                         </div>
+                      </>
+                    )}
+
+                    {!rateSimulation && (
+                      <div className="text-center py-12 text-gray-500">
+                        <Activity className="w-16 h-16 mx-auto mb-4 opacity-30" />
+                        <p>Click &quot;Simulate Rate Paths&quot; to see how short rates could evolve</p>
                       </div>
-                    </div>
+                    )}
                   </div>
                 </CardContent>
               </Card>
 
               <Card>
                 <CardHeader>
-                  <CardTitle>Portfolio Performance Metrics</CardTitle>
+                  <CardTitle>Calibrate from Historical Yields</CardTitle>
                   <CardDescription>
-                    Expected returns and risk characteristics of the recommended portfolio
+                    Upload a CSV of historical yields (one per row, optionally with a date column). Vasicek a, b and σ are fitted by maximum likelihood.
                   </CardDescription>
                 </CardHeader>
                 <CardContent>
                   <div className="grid md:grid-cols-2 gap-6">
-                    <div className="p-6 bg-gradient-to-br from-blue-50 to-purple-50 rounded-lg">
-                      <h5 className="text-sm text-gray-600 mb-2">Weighted Expected Nominal Return</h5>
-                      <p className="text-4xl font-bold text-blue-600 mb-2">{portfolioMetrics.weightedNominalReturn}%</p>
-                      <p className="text-sm text-gray-600">
-                        = (20% × 5.21%) + (40% × 7.91%) + (40% × 9.00%)
-                      </p>
+                    <div className="space-y-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Yield History (CSV)</label>
+                        <input
+                          type="file"
+                          accept=".csv,text/csv,text/plain"
+                          onChange={handleCalibrationUpload}
+                          className="block w-full text-sm text-gray-600 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Yields In</label>
+                        <select
+                          value={calibrationUnit}
+                          onChange={(e) => setCalibrationUnit(e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {SERIES_UNITS.map((unit) => (
+                            <option key={unit.id} value={unit.id}>{unit.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Observation Frequency</label>
+                        <select
+                          value={calibrationFrequency}
+                          onChange={(e) => setCalibrationFrequency(Number(e.target.value))}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value={252}>Daily (252 per year)</option>
+                          <option value={52}>Weekly (52 per year)</option>
+                          <option value={12}>Monthly (12 per year)</option>
+                          <option value={4}>Quarterly (4 per year)</option>
+                          <option value={1}>Annual (1 per year)</option>
+                        </select>
+                      </div>
                     </div>
-
-                    <div className="p-6 bg-gradient-to-br from-green-50 to-teal-50 rounded-lg">
-                      <h5 className="text-sm text-gray-600 mb-2">Weighted Expected Real Return</h5>
-                      <p className="text-4xl font-bold text-green-600 mb-2">{portfolioMetrics.weightedRealReturn}%</p>
-                      <p className="text-sm text-gray-600">
-                        = (1.0781 / 1.04) - 1 (inflation-adjusted)
-                      </p>
+                    <div className="p-4 bg-blue-50 rounded-lg text-sm text-gray-700">
+                      {!vasicekCalibration && <p className="text-gray-500">No yield history uploaded yet.</p>}
+                      {vasicekCalibration?.error && (
+                        <p className="text-red-600"><strong>{calibrationSeries.fileName}:</strong> {vasicekCalibration.error}</p>
+                      )}
+                      {vasicekCalibration && !vasicekCalibration.error && (
+                        <div className="space-y-2">
+                          <p><strong>{calibrationSeries.fileName}</strong> — {vasicekCalibration.observations} observations</p>
+                          <p>a = <strong>{vasicekCalibration.a.toFixed(4)}</strong></p>
+                          <p>b = <strong>{(vasicekCalibration.b * 100).toFixed(2)}%</strong></p>
+                          <p>σ = <strong>{(vasicekCalibration.sigma * 100).toFixed(2)}%</strong></p>
+                          <p>Log-likelihood: {vasicekCalibration.logLikelihood.toFixed(1)}</p>
+                          <p>Latest yield (used as r₀): {(vasicekCalibration.lastRate * 100).toFixed(2)}%</p>
+                          <Button onClick={applyVasicekCalibration} variant="outline" className="mt-2">
+                            Use Calibrated Parameters
+                          </Button>
+                        </div>
+                      )}
                     </div>
                   </div>
-
-                  <div className="mt-6 p-4 bg-gray-50 rounded-lg">
-                    <h5 className="font-semibold mb-3">Portfolio Advantages</h5>
-                    <ul className="space-y-2 text-sm text-gray-700">
-                      <li className="flex items-start">
-                        <span className="text-green-600 mr-2">✓</span>
-                        <span><strong>Diversification:</strong> Spreads risk across government-backed securities, corporate debt, and equity markets</span>
-                      </li>
-                      <li className="flex items-start">
-                        <span className="text-green-600 mr-2">✓</span>
-                        <span><strong>Risk-Adjusted Returns:</strong> Balances growth potential with downside protection</span>
-                      </li>
-                      <li className="flex items-start">
-                        <span className="text-green-600 mr-2">✓</span>
-                        <span><strong>Accessibility:</strong> Options A and C are readily available to retail investors</span>
-                      </li>
-                      <li className="flex items-start">
-                        <span className="text-green-600 mr-2">✓</span>
-                        <span><strong>Inflation Protection:</strong> Real return of 3.66% exceeds inflation target</span>
-                      </li>
-                    </ul>
-                  </div>
                 </CardContent>
               </Card>
             </div>
@@ -2070,9 +5583,9 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
             <div className="space-y-6">
               <Card>
                 <CardHeader>
-                  <CardTitle>Monte Carlo Simulation (10,000 Trials)</CardTitle>
+                  <CardTitle>Monte Carlo Simulation</CardTitle>
                   <CardDescription>
-                    Probabilistic analysis of investment outcomes over 10 years
+                    Probabilistic analysis of investment outcomes over {investmentHorizon} years
                   </CardDescription>
                 </CardHeader>
                 <CardContent>
@@ -2080,55 +5593,280 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                     <div className="p-4 bg-blue-50 rounded-lg">
                       <h5 className="font-semibold mb-3">Simulation Parameters</h5>
                       <div className="grid md:grid-cols-2 gap-6">
-                        <div>
-                          <h6 className="text-sm font-medium text-gray-700 mb-2">Option C (Balanced Fund)</h6>
-                          <ul className="text-sm space-y-1 text-gray-600">
-                            <li>• Mean Annual Return (μ): <strong>9.0%</strong></li>
-                            <li>• Standard Deviation (σ): <strong>12.0%</strong></li>
-                            <li>• Distribution: Normal (log-normal for returns)</li>
-                          </ul>
+                        <div className="space-y-3">
+                          <RiskAssumptionsEditor instruments={instruments} inputs={optimizerInputs} onChange={updateOptimizerInput} />
+                          <p className="text-xs text-gray-500">
+                            The same assumptions as the Optimizer tab. Blank returns and volatilities use the catalog&apos;s, and blank correlations are 0.
+                          </p>
                         </div>
-                        <div>
-                          <h6 className="text-sm font-medium text-gray-700 mb-2">Proposed Portfolio (20/40/40)</h6>
-                          <ul className="text-sm space-y-1 text-gray-600">
-                            <li>• Mean Annual Return (μ): <strong>7.81%</strong></li>
-                            <li>• Standard Deviation (σ): <strong>4.8%</strong></li>
-                            <li>• Lower volatility due to bond allocation</li>
-                          </ul>
+                        <div className="space-y-4">
+                          <div>
+                            <div className="flex items-center gap-2 mb-2">
+                              <label className="text-sm font-medium text-gray-700">Compare against</label>
+                              <select
+                                value={(investmentData[monteCarloBenchmarkId] ?? instruments[0]).id}
+                                onChange={(e) => setMonteCarloBenchmarkId(e.target.value)}
+                                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                              >
+                                {instruments.map((instrument) => (
+                                  <option key={instrument.id} value={instrument.id}>{instrument.label} ({instrument.name})</option>
+                                ))}
+                              </select>
+                            </div>
+                            {!meanVarianceModel.error && (() => {
+                              const index = meanVarianceModel.ids.indexOf((investmentData[monteCarloBenchmarkId] ?? instruments[0]).id);
+                              return (
+                                <ul className="text-sm space-y-1 text-gray-600">
+                                  <li>• Mean Annual Return (μ): <strong>{(meanVarianceModel.means[index] * 100).toFixed(1)}%</strong></li>
+                                  <li>• Standard Deviation (σ): <strong>{(Math.sqrt(meanVarianceModel.covariance[index][index]) * 100).toFixed(1)}%</strong></li>
+                                  <li>• Returns: {RETURN_MODELS.find((model) => model.id === returnModel).formula}, drawn monthly and compounded</li>
+                                  <li>• Shocks: {SHOCK_DISTRIBUTIONS.find((shape) => shape.id === shockInputs.distribution).label}, scaled to mean 0 and variance 1</li>
+                                </ul>
+                              );
+                            })()}
+                          </div>
+                          <div>
+                            <h6 className="text-sm font-medium text-gray-700 mb-2">Proposed Portfolio ({allocationSplit})</h6>
+                            {!frontierAnalysis.error && (
+                              <ul className="text-sm space-y-1 text-gray-600">
+                                <li>• Mean Annual Return (μ): <strong>{(frontierAnalysis.current.expectedReturn * 100).toFixed(2)}%</strong></li>
+                                <li>• Standard Deviation (σ): <strong>{(frontierAnalysis.current.volatility * 100).toFixed(2)}%</strong> = √(wᵀΣw), from the holdings&apos; volatilities and correlations</li>
+                                <li>• Each holding is simulated monthly with correlated draws and the portfolio is the sum of the holdings</li>
+                              </ul>
+                            )}
+                          </div>
+                          <div>
+                            <h6 className="text-sm font-medium text-gray-700 mb-2">Rebalancing</h6>
+                            <div className="grid grid-cols-3 gap-3">
+                              <div>
+                                <label className="block text-xs text-gray-600 mb-1">Policy</label>
+                                <select
+                                  value={rebalancingInputs.policy}
+                                  onChange={(e) => setRebalancingInputs(prev => ({ ...prev, policy: e.target.value }))}
+                                  className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                >
+                                  {REBALANCING_POLICIES.map((policy) => (
+                                    <option key={policy.id} value={policy.id}>{policy.label}</option>
+                                  ))}
+                                </select>
+                              </div>
+                              {[
+                                { key: 'band', label: 'Tolerance band (±%)', step: '1' },
+                                { key: 'costBps', label: 'Transaction cost (bps)', step: '5' },
+                              ].map(({ key, label, step }) => (
+                                <div key={key}>
+                                  <label className="block text-xs text-gray-600 mb-1">{label}</label>
+                                  <input
+                                    type="number"
+                                    step={step}
+                                    min="0"
+                                    value={rebalancingInputs[key]}
+                                    onChange={(e) => setRebalancingInputs(prev => ({ ...prev, [key]: e.target.value }))}
+                                    className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                  />
+                                </div>
+                              ))}
+                            </div>
+                            <p className="text-xs text-gray-500 mt-2">
+                              Calendar policies trade back to the target weights every 12 or 6 months; the tolerance band does so at a month end when any weight has drifted further than the band from its target. Every trade pays the transaction cost on the value traded.
+                            </p>
+                          </div>
+                          <div>
+                            <h6 className="text-sm font-medium text-gray-700 mb-2">Return Model</h6>
+                            <select
+                              value={returnModel}
+                              onChange={(e) => setReturnModel(e.target.value)}
+                              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                            >
+                              {RETURN_MODELS.map((model) => (
+                                <option key={model.id} value={model.id}>{model.label}: {model.formula}</option>
+                              ))}
+                            </select>
+                            <p className="text-xs text-gray-500 mt-2">
+                              Arithmetic normal returns can fall below −100%, wiping a holding out. Geometric Brownian motion compounds normal log returns, so a holding can never lose more than it is worth. The drift-corrected model keeps the expected annual return at μ; the pyesg model treats μ as a continuously compounded rate, for an expected growth of e<sup>μ</sup> a year.
+                            </p>
+                          </div>
+                          <div>
+                            <h6 className="text-sm font-medium text-gray-700 mb-2">Return Distribution</h6>
+                            <div className="grid grid-cols-3 gap-3">
+                              <div>
+                                <label className="block text-xs text-gray-600 mb-1">Shape</label>
+                                <select
+                                  value={shockInputs.distribution}
+                                  onChange={(e) => setShockInputs(prev => ({ ...prev, distribution: e.target.value }))}
+                                  className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                >
+                                  {SHOCK_DISTRIBUTIONS.map((shape) => (
+                                    <option key={shape.id} value={shape.id}>{shape.label}</option>
+                                  ))}
+                                </select>
+                              </div>
+                              {[
+                                { key: 'degreesOfFreedom', label: 'Degrees of freedom ν', step: '1', min: '0', shapes: ['student', 'skewed'] },
+                                { key: 'skew', label: 'Skew γ (below 0 fattens losses)', step: '0.05', shapes: ['skewed'] },
+                                { key: 'blockLength', label: 'Block length (months)', step: '1', min: '0', shapes: ['bootstrap'] },
+                              ].filter(({ shapes }) => shapes.includes(shockInputs.distribution)).map(({ key, label, step, min }) => (
+                                <div key={key}>
+                                  <label className="block text-xs text-gray-600 mb-1">{label}</label>
+                                  <input
+                                    type="number"
+                                    step={step}
+                                    min={min}
+                                    value={shockInputs[key]}
+                                    onChange={(e) => setShockInputs(prev => ({ ...prev, [key]: e.target.value }))}
+                                    className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                  />
+                                </div>
+                              ))}
+                            </div>
+                            {shockInputs.distribution === 'bootstrap' && (
+                              <div className="mt-3">
+                                <label className="block text-xs text-gray-600 mb-1">Monthly return history (CSV, one return per row, optionally with a date column)</label>
+                                <div className="flex items-center gap-3">
+                                  <input
+                                    type="file"
+                                    accept=".csv,text/csv,text/plain"
+                                    onChange={handleReturnHistoryUpload}
+                                    className="block w-full text-sm text-gray-600 file:mr-4 file:py-1 file:px-3 file:rounded-md file:border-0 file:bg-blue-100 file:text-blue-700 hover:file:bg-blue-200"
+                                  />
+                                  <select
+                                    value={returnHistoryUnit}
+                                    onChange={(e) => setReturnHistoryUnit(e.target.value)}
+                                    className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                    aria-label="Unit of the return history"
+                                  >
+                                    {SERIES_UNITS.map((unit) => (
+                                      <option key={unit.id} value={unit.id}>{unit.label}</option>
+                                    ))}
+                                  </select>
+                                </div>
+                                {returnHistory && (
+                                  <p className="text-xs text-gray-600 mt-1">
+                                    <strong>{returnHistory.fileName}</strong>: {returnHistory.returns.length} months, worst {(Math.min(...returnHistory.returns) * 100).toFixed(1)}%, best {(Math.max(...returnHistory.returns) * 100).toFixed(1)}%, volatility {(returnHistory.volatility * 100).toFixed(1)}% a year
+                                  </p>
+                                )}
+                              </div>
+                            )}
+                            <p className="text-xs text-gray-500 mt-2">
+                              Under the arithmetic normal model every shape keeps each holding&apos;s μ and σ and changes the tails. Under the GBM models the shapes keep σ of the log returns but not the mean: their drift correction assumes normal shocks, so the mean final value shifts with the shape. The t shapes draw one shock size a year shared by every holding, so a bad year hits them all at once. Student&apos;s t fattens both tails, more so as ν falls; the skewed t (ν above 4) with γ below 0 puts the extra weight on losses. The bootstrap resamples the history in blocks, so crash runs such as 2008&apos;s carry over whole, but only the shape of the history is kept: it is standardized and rescaled to each holding&apos;s μ and σ, so a −60% year in a history with 20% volatility comes out as a loss of about three of a holding&apos;s σ, not −60%. The tail comparison below runs the same draws with normal shocks.
+                            </p>
+                          </div>
+                          <div>
+                            <h6 className="text-sm font-medium text-gray-700 mb-2">Variance Reduction</h6>
+                            <div className="flex flex-wrap items-center gap-4">
+                              <select
+                                value={shockInputs.distribution === 'bootstrap' ? 'pseudo' : varianceReduction.sampling}
+                                disabled={shockInputs.distribution === 'bootstrap'}
+                                onChange={(e) => setVarianceReduction(prev => ({ ...prev, sampling: e.target.value }))}
+                                className="px-2 py-1 border border-gray-300 rounded-md text-sm disabled:bg-gray-100 disabled:text-gray-400"
+                              >
+                                {SAMPLING_METHODS.map((method) => (
+                                  <option key={method.id} value={method.id}>{method.label}</option>
+                                ))}
+                              </select>
+                              <label className="flex items-center gap-2 text-sm text-gray-700">
+                                <input
+                                  type="checkbox"
+                                  checked={varianceReduction.controlVariate}
+                                  disabled={shockInputs.distribution !== 'normal'}
+                                  onChange={(e) => setVarianceReduction(prev => ({ ...prev, controlVariate: e.target.checked }))}
+                                />
+                                Buy-and-hold control variate for means
+                              </label>
+                            </div>
+                            <p className="text-xs text-gray-500 mt-2">
+                              Antithetic variates pair every trial with its mirror image; Sobol points cover the possible draws more evenly than random ones. The control variate corrects each mean by how far buy and hold&apos;s simulated mean is from its known value, which is only known for normal shocks. The bootstrap draws its blocks directly, so it always uses pseudo-random sampling.
+                            </p>
+                          </div>
                         </div>
                       </div>
                     </div>
 
-                    <div className="flex justify-center">
+                    {(meanVarianceModel.error || rebalancingError) && (
+                      <Alert variant="warning">
+                        <AlertTriangle className="h-5 w-5 inline-block mr-2" />
+                        <AlertDescription>Cannot simulate: {meanVarianceModel.error ?? rebalancingError}</AlertDescription>
+                      </Alert>
+                    )}
+
+                    <div className="flex flex-wrap items-end justify-center gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Trials</label>
+                        <input
+                          type="number"
+                          step="10000"
+                          min="1000"
+                          max={MAX_MONTE_CARLO_TRIALS}
+                          value={monteCarloTrials}
+                          onChange={(e) => setMonteCarloTrials(e.target.value)}
+                          disabled={isSimulating}
+                          className="w-36 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                      </div>
+                      <SeedField value={simulationSeed} onChange={setSimulationSeed} disabled={isSimulating} />
                       <Button 
                         onClick={runMonteCarloSimulation}
-                        disabled={isSimulating}
+                        disabled={isSimulating || Boolean(meanVarianceModel.error)}
                         className="px-8 py-3"
                       >
                         {isSimulating ? 'Running Simulation...' : 'Run Simulation'}
                       </Button>
+                      {isSimulating && (
+                        <Button variant="outline" onClick={cancelMonteCarloSimulation} className="px-6 py-3">
+                          Cancel
+                        </Button>
+                      )}
                     </div>
 
+                    {simulationProgress && (
+                      <div>
+                        <div className="flex justify-between text-sm text-gray-600 mb-1">
+                          <span>Simulating in the background</span>
+                          <span>{simulationProgress.completed.toLocaleString()} of {simulationProgress.trials.toLocaleString()} trials</span>
+                        </div>
+                        <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                          <div
+                            className="h-full bg-blue-600 transition-all"
+                            style={{ width: `${(simulationProgress.completed / simulationProgress.trials) * 100}%` }}
+                          />
+                        </div>
+                      </div>
+                    )}
+
                     {simulationResults && (
                       <>
+                        {(frontierAnalysis.error
+                          || simulationResults.portfolio.mean !== frontierAnalysis.current.expectedReturn
+                          || simulationResults.portfolio.stdDev !== frontierAnalysis.current.volatility
+                          || ['policy', 'band', 'costBps'].some((key) => simulationResults.rebalancing[key] !== rebalancingInputs[key])
+                          || simulationResults.rebalancing.returnModel !== returnModel
+                          || ['distribution', 'degreesOfFreedom', 'skew', 'blockLength'].some((key) => simulationResults.rebalancing.shocks[key] !== shockInputs[key])
+                          || (shockInputs.distribution === 'bootstrap' && simulationResults.rebalancing.shocks.history !== returnHistory)) && (
+                          <Alert variant="warning">
+                            <AlertTriangle className="h-5 w-5 inline-block mr-2" />
+                            <AlertDescription>
+                              The allocation, the risk assumptions, the rebalancing or the return model or distribution have changed since this run (μ {(simulationResults.portfolio.mean * 100).toFixed(2)}%, σ {(simulationResults.portfolio.stdDev * 100).toFixed(2)}%). Run the simulation again for the current portfolio.
+                            </AlertDescription>
+                          </Alert>
+                        )}
                         <Card>
                           <CardHeader>
                             <CardTitle className="text-lg">Monte Carlo Simulation Paths</CardTitle>
                             <CardDescription>
-                              100 sample paths from 10,000 simulations showing possible 10-year trajectories
+                              {simulationResults.benchmark.paths.length} sample paths from {simulationResults.trials.toLocaleString()} simulations showing possible {investmentHorizon}-year trajectories
                             </CardDescription>
                           </CardHeader>
                           <CardContent>
                             <div className="grid md:grid-cols-2 gap-6">
                               <div>
-                                <h6 className="font-semibold text-sm mb-3 text-center text-green-600">Option C (Fund) - Sample Paths</h6>
+                                <h6 className="font-semibold text-sm mb-3 text-center" style={{ color: simulationResults.benchmark.color }}>{simulationResults.benchmark.label} ({simulationResults.benchmark.name}) - Sample Paths</h6>
                                 <ResponsiveContainer width="100%" height={350}>
                                   <LineChart>
                                     <CartesianGrid strokeDasharray="3 3" />
                                     <XAxis 
                                       type="number"
                                       dataKey="year" 
-                                      domain={[0, 10]}
+                                      domain={[0, investmentHorizon]}
                                       interval="preserveStartEnd"
                                       label={{ value: 'Year', position: 'insideBottom', offset: -5 }}
                                     />
@@ -2140,13 +5878,13 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                                       formatter={(value) => formatCurrency(value)}
                                       labelFormatter={(value) => `Year ${value}`}
                                     />
-                                    {simulationResults.optionC.paths.map((path, idx) => (
+                                    {simulationResults.benchmark.paths.map((path, idx) => (
                                       <Line 
                                         key={idx}
                                         data={path}
                                         type="linear" 
                                         dataKey="value" 
-                                        stroke="#10b981" 
+                                        stroke={simulationResults.benchmark.color}
                                         strokeWidth={0.5}
                                         opacity={0.2}
                                         dot={false}
@@ -2157,8 +5895,8 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                                     <Line 
                                       data={simulationResults.avgPathData}
                                       type="monotone" 
-                                      dataKey="optionC_expected" 
-                                      stroke="#059669" 
+                                      dataKey="benchmark_expected" 
+                                      stroke={simulationResults.benchmark.color}
                                       strokeWidth={3}
                                       dot={false}
                                       name="Expected Path"
@@ -2174,7 +5912,7 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                                     <XAxis 
                                       type="number"
                                       dataKey="year" 
-                                      domain={[0, 10]}
+                                      domain={[0, investmentHorizon]}
                                       interval="preserveStartEnd"
                                       label={{ value: 'Year', position: 'insideBottom', offset: -5 }}
                                     />
@@ -2214,8 +5952,8 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                               </div>
                             </div>
                             <p className="text-sm text-gray-600 mt-4 text-center">
-                              Each thin line represents one possible 10-year outcome. The thick line shows the expected (mean) path. 
-                              Notice how the Portfolio paths are tighter (less spread) than Option C, demonstrating lower volatility.
+                              Each thin line represents one possible {investmentHorizon}-year outcome. The thick line shows the expected (mean) path. 
+                              The spread of the paths reflects each one&apos;s volatility: {(simulationResults.portfolio.stdDev * 100).toFixed(1)}% for the portfolio against {(simulationResults.benchmark.stdDev * 100).toFixed(1)}% for {simulationResults.benchmark.label}.
                             </p>
                           </CardContent>
                         </Card>
@@ -2224,7 +5962,7 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                           <CardHeader>
                             <CardTitle className="text-lg">Simulation Results</CardTitle>
                             <CardDescription>
-                              Percentile outcomes after 10 years (10,000 Monte Carlo trials)
+                              Percentile outcomes after {investmentHorizon} years ({simulationResults.trials.toLocaleString()} Monte Carlo trials, seed {simulationResults.seed})
                             </CardDescription>
                           </CardHeader>
                           <CardContent>
@@ -2233,49 +5971,69 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                                 <TableRow>
                                   <TableHead>Percentile</TableHead>
                                   <TableHead>Scenario</TableHead>
-                                  <TableHead>Option C (Fund)</TableHead>
+                                  <TableHead>{simulationResults.benchmark.label} ({simulationResults.benchmark.name})</TableHead>
                                   <TableHead>Proposed Portfolio</TableHead>
                                 </TableRow>
                               </TableHeader>
                               <TableBody>
-                                <TableRow>
-                                  <TableCell className="font-bold">5th</TableCell>
-                                  <TableCell className="text-red-600 font-medium">Worst Case</TableCell>
-                                  <TableCell className="font-bold text-red-600">
-                                    {formatCurrency(simulationResults.optionC.p5)}
-                                  </TableCell>
-                                  <TableCell className="font-bold text-red-600">
-                                    {formatCurrency(simulationResults.portfolio.p5)}
-                                  </TableCell>
-                                </TableRow>
-                                <TableRow>
-                                  <TableCell className="font-bold">50th</TableCell>
-                                  <TableCell className="text-blue-600 font-medium">Median</TableCell>
-                                  <TableCell className="font-bold text-blue-600">
-                                    {formatCurrency(simulationResults.optionC.p50)}
-                                  </TableCell>
-                                  <TableCell className="font-bold text-blue-600">
-                                    {formatCurrency(simulationResults.portfolio.p50)}
-                                  </TableCell>
-                                </TableRow>
-                                <TableRow>
-                                  <TableCell className="font-bold">95th</TableCell>
-                                  <TableCell className="text-green-600 font-medium">Best Case</TableCell>
-                                  <TableCell className="font-bold text-green-600">
-                                    {formatCurrency(simulationResults.optionC.p95)}
-                                  </TableCell>
-                                  <TableCell className="font-bold text-green-600">
-                                    {formatCurrency(simulationResults.portfolio.p95)}
-                                  </TableCell>
-                                </TableRow>
+                                {[
+                                  { key: 'p5', percentile: '5th', scenario: 'Worst Case', color: 'text-red-600' },
+                                  { key: 'p50', percentile: '50th', scenario: 'Median', color: 'text-blue-600' },
+                                  { key: 'p95', percentile: '95th', scenario: 'Best Case', color: 'text-green-600' },
+                                  { key: 'mean', percentile: 'Mean', scenario: 'Average', color: 'text-gray-700' },
+                                ].map(({ key, percentile, scenario, color }) => (
+                                  <TableRow key={key}>
+                                    <TableCell className="font-bold">{percentile}</TableCell>
+                                    <TableCell className={`${color} font-medium`}>{scenario}</TableCell>
+                                    {[simulationResults.benchmark, simulationResults.portfolio].map((result, i) => (
+                                      <TableCell key={i}>
+                                        <span className={`font-bold ${color}`}>{formatCurrency(result.errors[key].estimate)}</span>
+                                        <span className="text-xs text-gray-500"> ± {formatMillions(result.errors[key].standardError)}</span>
+                                        <div className="text-xs text-gray-500">
+                                          95% CI {formatMillions(result.errors[key].low)} to {formatMillions(result.errors[key].high)}
+                                        </div>
+                                      </TableCell>
+                                    ))}
+                                  </TableRow>
+                                ))}
                               </TableBody>
                             </Table>
 
+                            <p className="text-xs text-gray-500 mt-2">
+                              ± is the standard error, measured across {simulationResults.batches} independent batches of trials ({SAMPLING_METHODS.find((method) => method.id === simulationResults.rebalancing.sampling)?.label.toLowerCase()}
+                              {simulationResults.rebalancing.controlVariate ? ', with the buy-and-hold control variate on the portfolio mean' : ''}).
+                            </p>
+
+                            <h6 className="font-semibold text-sm text-gray-700 mt-6 mb-2">Convergence of the Portfolio Estimates</h6>
+                            <ResponsiveContainer width="100%" height={260}>
+                              <LineChart data={simulationResults.convergence} margin={{ bottom: 10 }}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis
+                                  dataKey="trials"
+                                  type="number"
+                                  scale="log"
+                                  domain={['dataMin', 'dataMax']}
+                                  tickFormatter={(value) => value.toLocaleString()}
+                                  label={{ value: 'Trials (log scale)', position: 'insideBottom', offset: -5 }}
+                                />
+                                <YAxis tickFormatter={(value) => `₫${value.toFixed(0)}M`} domain={['auto', 'auto']} />
+                                <Tooltip formatter={(value) => `₫${Number(value).toFixed(1)}M`} labelFormatter={(value) => `${Number(value).toLocaleString()} trials`} />
+                                <Legend />
+                                <Line type="monotone" dataKey="p95" name="95th" stroke="#10b981" strokeWidth={2} dot isAnimationActive={false} />
+                                <Line type="monotone" dataKey="mean" name="Mean" stroke="#6b7280" strokeWidth={2} dot isAnimationActive={false} />
+                                <Line type="monotone" dataKey="p50" name="Median" stroke="#3b82f6" strokeWidth={2} dot isAnimationActive={false} />
+                                <Line type="monotone" dataKey="p5" name="5th" stroke="#ef4444" strokeWidth={2} dot isAnimationActive={false} />
+                              </LineChart>
+                            </ResponsiveContainer>
+                            <p className="text-xs text-gray-500 mt-2">
+                              Each point uses only the first trials of the run. Estimates that have stopped moving by the right-hand end have converged to within their standard errors.
+                            </p>
+
                             <div className="mt-6 grid md:grid-cols-2 gap-4">
                               <div className="p-4 bg-white rounded-lg">
                                 <h6 className="font-semibold text-sm text-gray-700 mb-2">Range (5th to 95th percentile)</h6>
                                 <p className="text-sm text-gray-600">
-                                  <strong>Option C:</strong> {formatCurrency(simulationResults.optionC.p5)} to {formatCurrency(simulationResults.optionC.p95)}
+                                  <strong>{simulationResults.benchmark.label}:</strong> {formatCurrency(simulationResults.benchmark.p5)} to {formatCurrency(simulationResults.benchmark.p95)}
                                 </p>
                                 <p className="text-sm text-gray-600 mt-1">
                                   <strong>Portfolio:</strong> {formatCurrency(simulationResults.portfolio.p5)} to {formatCurrency(simulationResults.portfolio.p95)}
@@ -2284,12 +6042,152 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                               <div className="p-4 bg-white rounded-lg">
                                 <h6 className="font-semibold text-sm text-gray-700 mb-2">Protection Comparison (5th percentile)</h6>
                                 <p className="text-sm text-gray-600">
-                                  Portfolio provides <strong className="text-green-600">
-                                    {formatCurrency(simulationResults.portfolio.p5 - simulationResults.optionC.p5)}
-                                  </strong> more downside protection in worst-case scenarios
+                                  Portfolio provides <strong className={simulationResults.portfolio.p5 >= simulationResults.benchmark.p5 ? 'text-green-600' : 'text-red-600'}>
+                                    {formatCurrency(simulationResults.portfolio.p5 - simulationResults.benchmark.p5)}
+                                  </strong> more downside protection than {simulationResults.benchmark.label} in worst-case scenarios
                                 </p>
                               </div>
                             </div>
+
+                            <h6 className="font-semibold text-sm text-gray-700 mt-6 mb-2">Rebalancing Policies (same draws, {simulationResults.rebalancing.costBps} bps per trade)</h6>
+                            <Table>
+                              <TableHeader>
+                                <TableRow>
+                                  <TableHead>Policy</TableHead>
+                                  <TableHead>5th</TableHead>
+                                  <TableHead>Median</TableHead>
+                                  <TableHead>95th</TableHead>
+                                  <TableHead>Mean</TableHead>
+                                  <TableHead>Turnover / Year</TableHead>
+                                  <TableHead>Rebalances / Year</TableHead>
+                                  <TableHead>Costs Paid</TableHead>
+                                </TableRow>
+                              </TableHeader>
+                              <TableBody>
+                                {simulationResults.rebalancing.policies.map((policy) => (
+                                  <TableRow key={policy.id} className={policy.id === simulationResults.rebalancing.policy ? 'bg-blue-50' : undefined}>
+                                    <TableCell className="font-medium">{policy.label}</TableCell>
+                                    <TableCell>{formatCurrency(policy.p5)}</TableCell>
+                                    <TableCell>{formatCurrency(policy.p50)}</TableCell>
+                                    <TableCell>{formatCurrency(policy.p95)}</TableCell>
+                                    <TableCell>{formatCurrency(policy.mean)}</TableCell>
+                                    <TableCell>{(policy.turnover * 100).toFixed(1)}%</TableCell>
+                                    <TableCell>{policy.rebalancesPerYear.toFixed(2)}</TableCell>
+                                    <TableCell>{formatVnd(policy.costs)}</TableCell>
+                                  </TableRow>
+                                ))}
+                              </TableBody>
+                            </Table>
+                            <p className="text-xs text-gray-500 mt-2">
+                              Terminal wealth of the portfolio under each policy. Turnover is the one-way value traded each year as a share of the portfolio, and costs are the average total paid over {investmentHorizon} years. The highlighted policy is the one shown above.
+                            </p>
+
+                            <h6 className="font-semibold text-sm text-gray-700 mt-6 mb-2">Return Models (same draws, {REBALANCING_POLICIES.find((policy) => policy.id === simulationResults.rebalancing.policy)?.label.toLowerCase()})</h6>
+                            <Table>
+                              <TableHeader>
+                                <TableRow>
+                                  <TableHead>Return Model</TableHead>
+                                  <TableHead>5th</TableHead>
+                                  <TableHead>Median</TableHead>
+                                  <TableHead>95th</TableHead>
+                                  <TableHead>Mean</TableHead>
+                                </TableRow>
+                              </TableHeader>
+                              <TableBody>
+                                {simulationResults.returnModels.map((model) => {
+                                  const chosen = simulationResults.returnModels.find((other) => other.id === simulationResults.rebalancing.returnModel);
+                                  return (
+                                    <TableRow key={model.id} className={model.id === chosen.id ? 'bg-blue-50' : undefined}>
+                                      <TableCell>
+                                        <div className="font-medium">{model.label}</div>
+                                        <div className="text-xs text-gray-500">{model.formula}</div>
+                                      </TableCell>
+                                      {['p5', 'p50', 'p95', 'mean'].map((key) => (
+                                        <TableCell key={key}>
+                                          {formatCurrency(model[key])}
+                                          {model.id !== chosen.id && (
+                                            <span className={`text-xs ${model[key] >= chosen[key] ? 'text-green-600' : 'text-red-600'}`}>
+                                              {' '}({model[key] >= chosen[key] ? '+' : '−'}{formatMillions(Math.abs(model[key] - chosen[key]))})
+                                            </span>
+                                          )}
+                                        </TableCell>
+                                      ))}
+                                    </TableRow>
+                                  );
+                                })}
+                              </TableBody>
+                            </Table>
+                            <p className="text-xs text-gray-500 mt-2">
+                              The portfolio under the same policy with every holding&apos;s returns drawn from each model, on the same random draws. Differences are against the highlighted model, the one shown above. With monthly steps the arithmetic normal and drift-corrected models nearly agree; the pyesg model&apos;s continuously compounded drift lifts every percentile.
+                            </p>
+
+                            {simulationResults.tails && (
+                              <>
+                                <h6 className="font-semibold text-sm text-gray-700 mt-6 mb-2">
+                                  Tail Comparison: {SHOCK_DISTRIBUTIONS.find((shape) => shape.id === simulationResults.rebalancing.shocks.distribution)?.label} against Normal Shocks
+                                </h6>
+                                <Table>
+                                  <TableHeader>
+                                    <TableRow>
+                                      <TableHead>Outcome</TableHead>
+                                      <TableHead>Normal Shocks</TableHead>
+                                      <TableHead>{SHOCK_DISTRIBUTIONS.find((shape) => shape.id === simulationResults.rebalancing.shocks.distribution)?.label}</TableHead>
+                                      <TableHead>Difference</TableHead>
+                                    </TableRow>
+                                  </TableHeader>
+                                  <TableBody>
+                                    {[
+                                      { key: 'p1', label: '1st percentile' },
+                                      { key: 'p5', label: '5th percentile' },
+                                      { key: 'p10', label: '10th percentile' },
+                                      { key: 'expectedShortfall', label: 'Expected shortfall (worst 5%)' },
+                                      { key: 'p50', label: 'Median' },
+                                      { key: 'p95', label: '95th percentile' },
+                                      { key: 'mean', label: 'Mean' },
+                                    ].map(({ key, label }) => {
+                                      const { baseline, shaped } = simulationResults.tails;
+                                      const difference = shaped[key] - baseline[key];
+                                      return (
+                                        <TableRow key={key}>
+                                          <TableCell className="font-medium">{label}</TableCell>
+                                          <TableCell>{formatCurrency(baseline[key])}</TableCell>
+                                          <TableCell>{formatCurrency(shaped[key])}</TableCell>
+                                          <TableCell className={difference >= 0 ? 'text-green-600' : 'text-red-600'}>
+                                            {difference >= 0 ? '+' : '−'}{formatMillions(Math.abs(difference))}
+                                          </TableCell>
+                                        </TableRow>
+                                      );
+                                    })}
+                                    <TableRow>
+                                      <TableCell className="font-medium">Chance of ending below {formatCurrency(initialInvestment)}</TableCell>
+                                      <TableCell>{(simulationResults.tails.baseline.shortfallProbability * 100).toFixed(2)}%</TableCell>
+                                      <TableCell>{(simulationResults.tails.shaped.shortfallProbability * 100).toFixed(2)}%</TableCell>
+                                      <TableCell>
+                                        {((simulationResults.tails.shaped.shortfallProbability - simulationResults.tails.baseline.shortfallProbability) * 100).toFixed(2)} pts
+                                      </TableCell>
+                                    </TableRow>
+                                  </TableBody>
+                                </Table>
+                                {(() => {
+                                  const { baseline, shaped } = simulationResults.tails;
+                                  const checks = [
+                                    { key: 'p1', label: '1st percentile' },
+                                    { key: 'p5', label: '5th percentile' },
+                                    { key: 'expectedShortfall', label: 'expected shortfall' },
+                                  ].map((check) => ({ ...check, lower: shaped[check.key] < baseline[check.key] }));
+                                  const fatter = checks.every(({ lower }) => lower);
+                                  return (
+                                    <p className={`text-sm mt-3 ${fatter ? 'text-gray-700' : 'text-amber-700'}`}>
+                                      {fatter ? 'Fatter loss tail than normal shocks: ' : 'Not a fatter loss tail than normal shocks: '}
+                                      {checks.map(({ label, lower }) => `${label} ${lower ? '✓ lower' : '✗ not lower'}`).join(', ')}
+                                    </p>
+                                  );
+                                })()}
+                                <p className="text-xs text-gray-500 mt-2">
+                                  The portfolio under the chosen policy and return model on the same draws, with and without the shaping. The t shapes widen each year&apos;s shocks for every holding at once, so the {investmentHorizon}-year losses widen with them; blocks of history keep bad months together.
+                                </p>
+                              </>
+                            )}
                           </CardContent>
                         </Card>
 
@@ -2299,23 +6197,23 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                           <AlertDescription>
                             <div className="mt-2 space-y-2 text-sm">
                               <p>
-                                <strong>1. Higher Median for Option C:</strong> The balanced fund (Option C) shows a higher median outcome 
-                                ({formatCurrency(simulationResults.optionC.p50)} vs {formatCurrency(simulationResults.portfolio.p50)}), 
-                                reflecting its higher expected return of 9%.
+                                <strong>1. Median Outcome:</strong> {simulationResults.benchmark.label} ({simulationResults.benchmark.name}) has a median of{' '}
+                                {formatCurrency(simulationResults.benchmark.p50)} against {formatCurrency(simulationResults.portfolio.p50)} for the portfolio,
+                                reflecting expected returns of {(simulationResults.benchmark.mean * 100).toFixed(1)}% and {(simulationResults.portfolio.mean * 100).toFixed(1)}%.
                               </p>
                               <p>
-                                <strong>2. Better Downside Protection for Portfolio:</strong> The proposed portfolio significantly outperforms 
-                                in the worst-case scenario (5th percentile: {formatCurrency(simulationResults.portfolio.p5)} vs {formatCurrency(simulationResults.optionC.p5)}). 
-                                This demonstrates the power of diversification in managing downside risk.
+                                <strong>2. Downside Protection:</strong> In the worst-case scenario the portfolio ends at {formatCurrency(simulationResults.portfolio.p5)}{' '}
+                                against {formatCurrency(simulationResults.benchmark.p5)} (5th percentile).
+                                Diversification is what limits the downside.
                               </p>
                               <p>
-                                <strong>3. Narrower Distribution:</strong> The portfolio's lower volatility (4.8% vs 12.0%) results in a 
-                                tighter range of outcomes, providing more predictable results—ideal for a moderate-risk investor like Ms. An.
+                                <strong>3. Distribution Width:</strong> Volatility of {(simulationResults.portfolio.stdDev * 100).toFixed(1)}% for the portfolio against{' '}
+                                {(simulationResults.benchmark.stdDev * 100).toFixed(1)}% sets how tight the range of outcomes is; a narrower range gives the
+                                more predictable results a moderate-risk investor like Ms. An needs.
                               </p>
                               <p>
-                                <strong>4. Risk-Adjusted Recommendation:</strong> While Option C offers higher upside potential, the proposed 
-                                portfolio better aligns with Ms. An's moderate risk tolerance by sacrificing some upside for substantial 
-                                downside protection and more consistent outcomes.
+                                <strong>4. Risk-Adjusted Recommendation:</strong> Weigh the higher upside of the more volatile choice against Ms. An&apos;s
+                                moderate risk tolerance: giving up some upside for downside protection and more consistent outcomes suits her profile.
                               </p>
                             </div>
                           </AlertDescription>
@@ -2324,15 +6222,15 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                           <CardHeader>
                             <CardTitle className="text-lg">Distribution Visualization</CardTitle>
                             <CardDescription>
-                              Frequency distribution of 10-year outcomes (10,000 trials)
+                              Frequency distribution of {investmentHorizon}-year outcomes ({simulationResults.trials.toLocaleString()} trials)
                             </CardDescription>
                           </CardHeader>
                           <CardContent>
                             <div className="grid md:grid-cols-2 gap-6">
                               <div>
-                                <h6 className="font-semibold text-sm mb-3 text-center text-green-600">Option C (Fund) Distribution</h6>
+                                <h6 className="font-semibold text-sm mb-3 text-center" style={{ color: simulationResults.benchmark.color }}>{simulationResults.benchmark.label} ({simulationResults.benchmark.name}) Distribution</h6>
                                 <ResponsiveContainer width="100%" height={250}>
-                                  <AreaChart data={simulationResults.optionC.histogram}>
+                                  <AreaChart data={simulationResults.benchmark.histogram}>
                                     <CartesianGrid strokeDasharray="3 3" />
                                     <XAxis 
                                       dataKey="value" 
@@ -2344,7 +6242,7 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                                       formatter={(value) => [`${value} trials`, 'Frequency']}
                                       labelFormatter={(value) => `Value: ${formatCurrency(value)}`}
                                     />
-                                    <Area type="monotone" dataKey="Option C" stroke="#10b981" fill="#10b981" fillOpacity={0.6} />
+                                    <Area type="monotone" dataKey={simulationResults.benchmark.label} stroke={simulationResults.benchmark.color} fill={simulationResults.benchmark.color} fillOpacity={0.6} />
                                   </AreaChart>
                                 </ResponsiveContainer>
                               </div>
@@ -2369,8 +6267,7 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                               </div>
                             </div>
                             <p className="text-sm text-gray-600 mt-4 text-center">
-                              Notice how the Portfolio distribution is narrower (less spread) than Option C, 
-                              demonstrating reduced volatility and more predictable outcomes.
+                              The narrower a distribution, the lower the volatility behind it and the more predictable the outcome.
                             </p>
                           </CardContent>
                         </Card>
@@ -2404,8 +6301,8 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                       <li><strong>Portfolio Comparison:</strong> We can compare how different investment strategies perform under uncertainty.</li>
                     </ul>
                     <p className="mt-3">
-                      In this analysis, each of the 10,000 trials simulates 10 years of investment returns using randomly generated 
-                      annual returns based on the expected mean and standard deviation. This approach accounts for the inherent 
+                      In this analysis, each trial (10,000 by default, and up to {MAX_MONTE_CARLO_TRIALS.toLocaleString()}) simulates {investmentHorizon} years of monthly returns for every holding,
+                      drawn from their expected returns, volatilities and correlations. The trials run in a background worker, so the page stays responsive. This approach accounts for the inherent 
                       volatility in financial markets and provides a more realistic picture than simple compound interest calculations.
                     </p>
                   </div>
@@ -2472,10 +6369,10 @@ Please provide a clear, educational, and beautifully formatted explanation in Ge
                     <p className="text-sm text-gray-500 mb-4">Béo sẽ defend mọi insight và data trên website này bằng mọi giá! 🔥✨</p>
                     <div className="space-y-2">
                       <button 
-                        onClick={() => sendMessageToGemini("Chứng minh cho tôi tại sao portfolio 20/40/40 là tối ưu nhất!")}
+                        onClick={() => sendMessageToGemini(`Chứng minh cho tôi tại sao portfolio ${allocationSplit} là tối ưu nhất!`)}
                         className="block w-full text-left p-3 text-sm bg-white hover:bg-blue-50 rounded-lg shadow-sm border border-blue-100 transition-all"
                       >
-                        <span className="text-blue-600 font-medium">🏆</span> Tại sao portfolio 20/40/40 là GOAT?
+                        <span className="text-blue-600 font-medium">🏆</span> Tại sao portfolio {allocationSplit} là GOAT?
                       </button>
                       <button 
                         onClick={() => sendMessageToGemini("YTM của Option A tính như nào? Chứng minh tính toán này đúng nha!")}
@@ -0,0 +1,47 @@
+// ============================================================================
+// Portfolio Weights
+// ============================================================================
+// Allocations are whole percentages keyed by instrument id that add up to 100. Holdings
+// missing from an allocation have a weight of 0.
+
+// Whole percentages proportional to `shares`, adding up to exactly `total`: each is rounded
+// down and the leftover points go to the largest remainders
+function apportion(shares, total) {
+  const sum = shares.reduce((acc, share) => acc + share, 0);
+  const exact = shares.map((share) => (sum > 0 ? (share / sum) * total : total / shares.length));
+  const floors = exact.map(Math.floor);
+  let leftover = total - floors.reduce((acc, value) => acc + value, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - floors[index] }))
+    .sort((x, y) => y.remainder - x.remainder)
+    .forEach(({ index }) => {
+      if (leftover > 0) {
+        floors[index] += 1;
+        leftover -= 1;
+      }
+    });
+  return floors;
+}
+
+// Set one holding's weight and spread the rest over the other holdings in proportion to their
+// current weights (evenly if they are all 0), so the allocation still adds up to 100
+export function setWeight(allocation, ids, id, weight) {
+  const fixed = Math.min(100, Math.max(0, Math.round(weight)));
+  const others = ids.filter((other) => other !== id);
+  if (others.length === 0) return { [id]: 100 };
+
+  const rest = apportion(others.map((other) => allocation[other] ?? 0), 100 - fixed);
+  return Object.fromEntries([[id, fixed], ...others.map((other, i) => [other, rest[i]])]);
+}
+
+// Equal weights across the holdings
+export function equalWeights(ids) {
+  const weights = apportion(ids.map(() => 1), 100);
+  return Object.fromEntries(ids.map((id, i) => [id, weights[i]]));
+}
+
+// Whole-percent allocation from fractional weights (adding up to 1), keeping the total at 100
+export function allocationFromWeights(ids, weights) {
+  const percents = apportion(weights.map((weight) => Math.max(0, weight)), 100);
+  return Object.fromEntries(ids.map((id, i) => [id, percents[i]]));
+}
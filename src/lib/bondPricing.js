@@ -0,0 +1,254 @@
+// ============================================================================
+// Bond Pricing Engine
+// ============================================================================
+// Prices are quoted per 100 of face value and rates are decimals (0.048 = 4.8%).
+// A cash flow is { period, time, amount }: `period` counts coupon periods from
+// settlement (fractional between coupon dates) and `time` is the same in years.
+// Scheduled cash flows also split the amount into `coupon` and `principal` and carry the
+// principal `outstanding` after the payment.
+
+import { addMonths, couponPeriodFraction, formatDate, parseDate } from './dayCount.js';
+
+const YIELD_TOLERANCE = 1e-10;
+const MAX_ITERATIONS = 100;
+
+// Number of coupon payments per year for the frequency labels used in the case study
+export const FREQUENCY_PER_YEAR = {
+  Annual: 1,
+  'Semi-annual': 2,
+  Quarterly: 4,
+};
+
+// Whole-period cash flows of a bullet bond bought on a coupon date
+export function bulletCashFlows(couponRate, maturity, frequency = 1, faceValue = 100) {
+  const couponPayment = (couponRate * faceValue) / frequency;
+  const periods = Math.round(maturity * frequency);
+  if (!(periods >= 1)) {
+    throw new Error(`Maturity of ${maturity} years leaves no coupon periods at ${frequency} per year`);
+  }
+  const cashFlows = [];
+
+  for (let t = 1; t <= periods; t++) {
+    const principal = t === periods ? faceValue : 0;
+    cashFlows.push({
+      period: t,
+      time: t / frequency,
+      coupon: couponPayment,
+      principal,
+      outstanding: faceValue - principal,
+      amount: couponPayment + principal,
+    });
+  }
+
+  return cashFlows;
+}
+
+// Coupon schedule of a bond as seen from a settlement date between coupons.
+// Coupon dates are rolled back from maturity, so the final period is always regular.
+// bond: { couponRate, frequency, maturityDate, dayCount, faceValue, redemptions }
+// redemptions: optional partial repayments [{ date, amount }] on coupon dates before maturity,
+// per `faceValue` of original principal; whatever is left is repaid at maturity. Coupons are
+// paid on the principal outstanding, and the schedule is scaled to `faceValue` outstanding at
+// settlement, the basis prices are quoted on.
+export function datedCashFlows(bond, settlementDate) {
+  const { couponRate, frequency, maturityDate, dayCount, faceValue = 100, redemptions = [] } = bond;
+  const settlement = parseDate(settlementDate);
+  const maturity = parseDate(maturityDate);
+  if (settlement >= maturity) {
+    throw new Error(`Settlement ${formatDate(settlement)} must be before maturity ${formatDate(maturity)}`);
+  }
+
+  const monthsPerPeriod = 12 / frequency;
+  const couponDates = [];
+  let previousCouponDate = maturity;
+  for (let k = 0; previousCouponDate > settlement; k++) {
+    couponDates.unshift(previousCouponDate);
+    previousCouponDate = addMonths(maturity, -(k + 1) * monthsPerPeriod);
+  }
+
+  const nextCouponDate = couponDates[0];
+  const couponPayment = (couponRate * faceValue) / frequency;
+  const accruedFraction = couponPeriodFraction(previousCouponDate, settlement, previousCouponDate, nextCouponDate, dayCount, frequency);
+  const firstPeriod = couponPeriodFraction(settlement, nextCouponDate, previousCouponDate, nextCouponDate, dayCount, frequency);
+
+  const upcomingDates = new Set(couponDates.map(formatDate));
+  let redeemed = 0;
+  const redeemedOn = new Map();
+  redemptions.forEach(({ date, amount }) => {
+    const redemptionDate = parseDate(date);
+    if (!(amount >= 0)) {
+      throw new Error(`Redemption on ${date} must be a positive amount`);
+    }
+    if (redemptionDate >= maturity) {
+      throw new Error(`Redemption on ${date} is not before maturity ${formatDate(maturity)}`);
+    }
+    if (redemptionDate <= settlement) {
+      redeemed += amount;
+    } else if (upcomingDates.has(formatDate(redemptionDate))) {
+      redeemedOn.set(formatDate(redemptionDate), (redeemedOn.get(formatDate(redemptionDate)) ?? 0) + amount);
+    } else {
+      throw new Error(`Redemption on ${date} does not fall on a coupon date`);
+    }
+  });
+  const totalRedeemed = redeemed + [...redeemedOn.values()].reduce((sum, amount) => sum + amount, 0);
+  if (totalRedeemed >= faceValue - 1e-9) {
+    throw new Error(`Redemptions before maturity total ${totalRedeemed.toFixed(2)}, which leaves nothing to repay at maturity`);
+  }
+
+  const scale = faceValue / (faceValue - redeemed);
+  let outstanding = faceValue;
+  const cashFlows = couponDates.map((date, index) => {
+    const coupon = (couponRate * outstanding) / frequency;
+    const principal = index === couponDates.length - 1 ? outstanding : (redeemedOn.get(formatDate(date)) ?? 0) * scale;
+    outstanding -= principal;
+    return {
+      date: formatDate(date),
+      period: firstPeriod + index,
+      time: (firstPeriod + index) / frequency,
+      coupon,
+      principal,
+      outstanding,
+      amount: coupon + principal,
+    };
+  });
+
+  return {
+    cashFlows,
+    accruedInterest: couponPayment * accruedFraction,
+    previousCouponDate: formatDate(previousCouponDate),
+    nextCouponDate: formatDate(nextCouponDate),
+  };
+}
+
+// Present value of cash flows at a periodically compounded yield (dirty price for dated flows)
+export function priceCashFlows(cashFlows, ytm, frequency = 1) {
+  const discountPerPeriod = 1 + ytm / frequency;
+  return cashFlows.reduce((sum, cf) => sum + cf.amount / Math.pow(discountPerPeriod, cf.period), 0);
+}
+
+// First derivative of price with respect to yield, used by the Newton solver
+function priceDerivative(cashFlows, ytm, frequency) {
+  const discountPerPeriod = 1 + ytm / frequency;
+  return cashFlows.reduce(
+    (sum, cf) => sum - (cf.period / frequency) * cf.amount / Math.pow(discountPerPeriod, cf.period + 1),
+    0
+  );
+}
+
+// Solve the yield that discounts cash flows to a target price.
+// Newton-Raphson from an initial guess, falling back to bisection if it wanders off.
+export function solveYield(cashFlows, price, frequency = 1, initialGuess = 0.05) {
+  if (!(price > 0)) {
+    throw new Error(`Bond price must be positive, got ${price}`);
+  }
+  if (cashFlows.length === 0) {
+    throw new Error('Bond has no remaining cash flows to solve a yield from');
+  }
+
+  let ytm = initialGuess;
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const error = priceCashFlows(cashFlows, ytm, frequency) - price;
+    if (Math.abs(error) < YIELD_TOLERANCE) return ytm;
+
+    const next = ytm - error / priceDerivative(cashFlows, ytm, frequency);
+    if (!Number.isFinite(next) || next <= -frequency) break;
+    ytm = next;
+  }
+
+  // Price is strictly decreasing in yield, so bisection always converges
+  let low = -frequency + 1e-6;
+  let high = 1;
+  while (priceCashFlows(cashFlows, high, frequency) > price) high *= 2;
+  for (let i = 0; i < 200 && high - low > YIELD_TOLERANCE; i++) {
+    const mid = (low + high) / 2;
+    if (priceCashFlows(cashFlows, mid, frequency) > price) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Clean price of a bullet bond discounted at a flat yield
+export function bondPrice(couponRate, maturity, ytm, frequency = 1, faceValue = 100) {
+  return priceCashFlows(bulletCashFlows(couponRate, maturity, frequency, faceValue), ytm, frequency);
+}
+
+// Solve yield to maturity from a quoted clean price, bought on a coupon date
+export function solveYieldToMaturity(price, couponRate, maturity, frequency = 1, faceValue = 100) {
+  const initialGuess = couponRate > 0 ? (couponRate * faceValue) / price : 0.05;
+  return solveYield(bulletCashFlows(couponRate, maturity, frequency, faceValue), price, frequency, initialGuess);
+}
+
+// Clean price, dirty price and accrued interest of a dated bond at a yield
+export function priceFromYield(bond, settlementDate, ytm) {
+  const schedule = datedCashFlows(bond, settlementDate);
+  const dirtyPrice = priceCashFlows(schedule.cashFlows, ytm, bond.frequency);
+  return {
+    ...schedule,
+    dirtyPrice,
+    cleanPrice: dirtyPrice - schedule.accruedInterest,
+  };
+}
+
+// Solve yield to maturity of a dated bond from its quoted clean price
+export function yieldFromCleanPrice(bond, settlementDate, cleanPrice) {
+  const schedule = datedCashFlows(bond, settlementDate);
+  const faceValue = bond.faceValue ?? 100;
+  const initialGuess = bond.couponRate > 0 ? (bond.couponRate * faceValue) / cleanPrice : 0.05;
+  return solveYield(schedule.cashFlows, cleanPrice + schedule.accruedInterest, bond.frequency, initialGuess);
+}
+
+// Annual coupon as a percentage of the quoted price
+export function calculateCurrentYield(couponRate, price, faceValue = 100) {
+  return (couponRate * faceValue) / price;
+}
+
+// Calculate Bond Duration (Macaulay Duration), weighted by the dirty price
+export function calculateDuration(cashFlows, ytm, frequency = 1) {
+  const discountPerPeriod = 1 + ytm / frequency;
+  let duration = 0;
+  let price = 0;
+
+  cashFlows.forEach((cf) => {
+    const pv = cf.amount / Math.pow(discountPerPeriod, cf.period);
+    duration += cf.time * pv;
+    price += pv;
+  });
+
+  return duration / price;
+}
+
+// Average time to repayment of principal, weighted by the principal repaid
+export function weightedAverageLife(cashFlows) {
+  const principal = cashFlows.reduce((sum, cf) => sum + cf.principal, 0);
+  return cashFlows.reduce((sum, cf) => sum + cf.time * cf.principal, 0) / principal;
+}
+
+// Calculate Modified Duration
+export function calculateModifiedDuration(macaulayDuration, ytm, frequency = 1) {
+  return macaulayDuration / (1 + ytm / frequency);
+}
+
+// Calculate Bond Convexity
+export function calculateConvexity(cashFlows, ytm, frequency = 1) {
+  const discountPerPeriod = 1 + ytm / frequency;
+  let convexity = 0;
+  let price = 0;
+
+  cashFlows.forEach((cf) => {
+    const pv = cf.amount / Math.pow(discountPerPeriod, cf.period);
+    convexity += (cf.period * (cf.period + 1)) * pv / Math.pow(frequency, 2);
+    price += pv;
+  });
+
+  return convexity / (price * Math.pow(discountPerPeriod, 2));
+}
+
+// Calculate price change using Duration and Convexity
+export function priceChangeWithConvexity(price, modDuration, convexity, yieldChange) {
+  const durationEffect = -modDuration * yieldChange * price;
+  const convexityEffect = 0.5 * convexity * Math.pow(yieldChange, 2) * price;
+  return durationEffect + convexityEffect;
+}
@@ -0,0 +1,137 @@
+// ============================================================================
+// Discount Curve Bootstrapping
+// ============================================================================
+// Builds discount factors from coupon bond quotes, shortest maturity first. Forward rates
+// are flat (continuously compounded) between bond maturities, so log discount factors
+// are linear in time. Spot and forward rates are continuously compounded decimals.
+
+import { parseCsv } from './csv.js';
+
+// Cash flows of a quoted bond `maturity` years from settlement, with coupon dates rolled
+// back from maturity, plus the accrued interest to add to its clean price.
+// quote: { maturity, couponRate, cleanPrice, frequency }
+export function quoteCashFlows(quote, faceValue = 100) {
+  const { maturity, couponRate, frequency } = quote;
+  const couponPayment = (couponRate * faceValue) / frequency;
+  const cashFlows = [];
+  for (let k = 0; maturity - k / frequency > 1e-9; k++) {
+    const time = maturity - k / frequency;
+    cashFlows.unshift({ period: time * frequency, time, amount: couponPayment + (k === 0 ? faceValue : 0) });
+  }
+  const accruedInterest = couponPayment * (1 - cashFlows[0].period);
+  return { cashFlows, accruedInterest };
+}
+
+// Rows of "code, maturity (years), coupon (%), clean price[, coupons per year]"; the code
+// column is optional and header rows are skipped. Frequency defaults to annual.
+export function parseBondQuotes(text) {
+  const quotes = [];
+  parseCsv(text).forEach((cells, row) => {
+    const hasCode = cells.length > 0 && !Number.isFinite(Number(cells[0]));
+    const values = (hasCode ? cells.slice(1) : cells).map((cell) => Number(cell.replace(/%$/, '')));
+    if (values.length < 3 || values.slice(0, 3).some((value) => !Number.isFinite(value))) return;
+
+    const [maturity, coupon, cleanPrice, frequency = 1] = values;
+    if (!(maturity > 0 && cleanPrice > 0 && [1, 2, 4].includes(frequency))) {
+      throw new Error(`Row ${row + 1}: expected maturity > 0, price > 0 and 1, 2 or 4 coupons per year`);
+    }
+    quotes.push({
+      code: hasCode ? cells[0] : `${maturity}Y`,
+      maturity,
+      couponRate: coupon / 100,
+      cleanPrice,
+      frequency,
+    });
+  });
+  return quotes;
+}
+
+// Discount factor at time t. Before the first knot the first forward rate is used back to 0;
+// after the last knot the last forward rate is held.
+export function discountFactorAt(curve, t) {
+  const { knots } = curve;
+  let i = 0;
+  while (i < knots.length - 1 && knots[i].time < t) i++;
+  const start = i === 0 ? { time: 0, discountFactor: 1 } : knots[i - 1];
+  const forward = knots[i].time < t ? knots[knots.length - 1].forwardRate : knots[i].forwardRate;
+  return start.discountFactor * Math.exp(-forward * (t - start.time));
+}
+
+export function spotRateAt(curve, t) {
+  return -Math.log(discountFactorAt(curve, t)) / t;
+}
+
+// Average forward rate between two times
+export function periodForwardRate(curve, start, end) {
+  return Math.log(discountFactorAt(curve, start) / discountFactorAt(curve, end)) / (end - start);
+}
+
+// Instantaneous forward rate at time t
+export function forwardRateAt(curve, t) {
+  const knot = curve.knots.find((k) => k.time >= t) ?? curve.knots[curve.knots.length - 1];
+  return knot.forwardRate;
+}
+
+// Dirty price of cash flows off the discount curve, with a constant spread added to every spot rate
+export function priceOffDiscountCurve(cashFlows, curve, zSpread = 0) {
+  return cashFlows.reduce(
+    (sum, cf) => sum + cf.amount * discountFactorAt(curve, cf.time) * Math.exp(-zSpread * cf.time),
+    0
+  );
+}
+
+// Bisection for the rate x in [low, high] at which a decreasing price(x) hits the target
+function solveDecreasing(price, target, low, high) {
+  while (price(high) > target) high *= 2;
+  for (let i = 0; i < 200 && high - low > 1e-12; i++) {
+    const mid = (low + high) / 2;
+    if (price(mid) > target) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Z-spread: the constant spread over the spot curve that reprices cash flows to a dirty price
+export function solveZSpread(cashFlows, curve, dirtyPrice) {
+  if (!(dirtyPrice > 0)) {
+    throw new Error(`Bond price must be positive, got ${dirtyPrice}`);
+  }
+  return solveDecreasing((z) => priceOffDiscountCurve(cashFlows, curve, z), dirtyPrice, -1, 1);
+}
+
+// Bootstrap knots { time, discountFactor, forwardRate } at each quote's maturity. Each quote
+// adds one knot, solved so the bond reprices exactly given the knots already found.
+export function bootstrapDiscountCurve(quotes) {
+  if (quotes.length === 0) {
+    throw new Error('At least one bond quote is needed to bootstrap a curve');
+  }
+  const sorted = [...quotes].sort((x, y) => x.maturity - y.maturity);
+  const knots = [];
+
+  sorted.forEach((quote, index) => {
+    if (index > 0 && quote.maturity - sorted[index - 1].maturity < 1e-9) {
+      throw new Error(`Two quotes mature at ${quote.maturity} years; keep one bond per maturity`);
+    }
+    const { cashFlows, accruedInterest } = quoteCashFlows(quote);
+    const dirtyPrice = quote.cleanPrice + accruedInterest;
+    const start = knots.length > 0 ? knots[knots.length - 1] : { time: 0, discountFactor: 1 };
+
+    const priceWithForward = (forwardRate) => {
+      const trial = { knots: [...knots, { time: quote.maturity, forwardRate, discountFactor: start.discountFactor * Math.exp(-forwardRate * (quote.maturity - start.time)) }] };
+      return priceOffDiscountCurve(cashFlows, trial);
+    };
+    const forwardRate = solveDecreasing(priceWithForward, dirtyPrice, -1, 1);
+
+    knots.push({
+      time: quote.maturity,
+      forwardRate,
+      discountFactor: start.discountFactor * Math.exp(-forwardRate * (quote.maturity - start.time)),
+      quote: { ...quote, dirtyPrice },
+    });
+  });
+
+  return { knots };
+}
@@ -0,0 +1,41 @@
+// ============================================================================
+// Consistency Checks
+// ============================================================================
+// Compare each figure with an independent calculation of it and flag the ones that drift.
+// Returns are in percent (5.21 = 5.21%) to match how the case study states them.
+
+// Value after compounding year by year, for whole and fractional years
+export function compoundGrowth(initial, ratePercent, years) {
+  let value = initial;
+  for (let year = 0; year < years; year++) value *= Math.pow(1 + ratePercent / 100, Math.min(1, years - year));
+  return value;
+}
+
+// Compound annual growth rate, in percent
+export function compoundAnnualGrowthRate(initial, finalValue, years) {
+  return (Math.pow(finalValue / initial, 1 / years) - 1) * 100;
+}
+
+// Real return from a nominal return and inflation (Fisher), all in percent
+export function realRate(nominalPercent, inflationPercent) {
+  return ((1 + nominalPercent / 100) / (1 + inflationPercent / 100) - 1) * 100;
+}
+
+// check: { label, stated, recomputed, tolerance, relative }. With `relative` the tolerance is
+// a fraction of the recomputed value; otherwise it is absolute, e.g. 0.005 for a percentage
+// stated to two decimals.
+export function checkFigure(check) {
+  const { stated, recomputed, tolerance, relative = false } = check;
+  const difference = stated - recomputed;
+  const allowed = relative ? tolerance * Math.abs(recomputed) : tolerance;
+  return {
+    ...check,
+    difference,
+    ok: Number.isFinite(difference) && Math.abs(difference) <= allowed + 1e-12,
+  };
+}
+
+export function runConsistencyChecks(checks) {
+  const results = checks.map(checkFigure);
+  return { results, failures: results.filter((result) => !result.ok).length };
+}
@@ -0,0 +1,78 @@
+// ============================================================================
+// Credit Risk
+// ============================================================================
+// Reduced-form model: default arrives at a constant hazard rate λ per year, so the issuer
+// survives to time t with probability e^(-λt). On default, holders recover a fraction R
+// of face value. Rates and probabilities are decimals; spreads are continuously compounded.
+
+// Indicative credit spreads over government bonds by rating, in basis points
+export const DEFAULT_RATING_SPREADS = [
+  { rating: 'AAA', spreadBps: 40 },
+  { rating: 'AA', spreadBps: 70 },
+  { rating: 'A', spreadBps: 110 },
+  { rating: 'BBB', spreadBps: 180 },
+  { rating: 'BB', spreadBps: 320 },
+  { rating: 'B', spreadBps: 550 },
+  { rating: 'CCC', spreadBps: 1000 },
+];
+
+// Credit triangle: spread ≈ λ(1 - R)
+export function hazardRateFromSpread(spread, recoveryRate) {
+  if (!(recoveryRate >= 0 && recoveryRate < 1)) {
+    throw new Error(`Recovery rate must be between 0% and 100%, got ${(recoveryRate * 100).toFixed(1)}%`);
+  }
+  return Math.max(0, spread) / (1 - recoveryRate);
+}
+
+export function survivalProbability(hazardRate, t) {
+  return Math.exp(-hazardRate * t);
+}
+
+export function cumulativeDefaultProbability(hazardRate, t) {
+  return 1 - survivalProbability(hazardRate, t);
+}
+
+// Rating whose spread is closest to an observed spread
+export function impliedRating(ratingSpreads, spreadBps) {
+  return ratingSpreads.reduce((best, row) =>
+    Math.abs(row.spreadBps - spreadBps) < Math.abs(best.spreadBps - spreadBps) ? row : best
+  ).rating;
+}
+
+// Promised vs expected cash flows. Each flow is paid only if the issuer survives to its date;
+// a default between two dates recovers R of the face value then outstanding at the later date.
+export function expectedCashFlows(cashFlows, hazardRate, recoveryRate, faceValue = 100) {
+  let previousSurvival = 1;
+  return cashFlows.map((cf) => {
+    const survival = survivalProbability(hazardRate, cf.time);
+    const outstanding = cf.outstanding !== undefined ? cf.outstanding + cf.principal : faceValue;
+    const expectedAmount = cf.amount * survival + recoveryRate * outstanding * (previousSurvival - survival);
+    previousSurvival = survival;
+    return { ...cf, survival, expectedAmount };
+  });
+}
+
+// Default probabilities, expected loss and the yield left after expected losses.
+// ytm is the bond's promised yield; the expected loss rate λ(1 - R) comes off it.
+export function analyzeCreditRisk({ cashFlows, ytm, hazardRate, recoveryRate, faceValue = 100 }) {
+  const maturity = cashFlows[cashFlows.length - 1].time;
+  const expected = expectedCashFlows(cashFlows, hazardRate, recoveryRate, faceValue);
+  const promisedTotal = cashFlows.reduce((sum, cf) => sum + cf.amount, 0);
+  const expectedTotal = expected.reduce((sum, cf) => sum + cf.expectedAmount, 0);
+  const expectedLossRate = hazardRate * (1 - recoveryRate);
+
+  return {
+    hazardRate,
+    recoveryRate,
+    maturity,
+    annualDefaultProbability: cumulativeDefaultProbability(hazardRate, 1),
+    cumulativeDefaultProbability: cumulativeDefaultProbability(hazardRate, maturity),
+    expectedLossRate,
+    // Share of promised coupons and principal expected to be lost to default
+    promisedTotal,
+    expectedTotal,
+    expectedLossShare: 1 - expectedTotal / promisedTotal,
+    expectedReturn: ytm - expectedLossRate,
+    expectedCashFlows: expected,
+  };
+}
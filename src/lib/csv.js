@@ -0,0 +1,41 @@
+// ============================================================================
+// CSV Parsing
+// ============================================================================
+
+// Split CSV text into trimmed cells; accepts comma, semicolon or tab separators
+export function parseCsv(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0)
+    .map((line) => line.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"(.*)"$/, '$1')));
+}
+
+// One number per row from the last numeric cell, so "date,value" files and bare columns
+// both work. Header rows and rows without a number are skipped.
+export function parseNumericSeries(text) {
+  const values = [];
+  parseCsv(text).forEach((cells) => {
+    for (let i = cells.length - 1; i >= 0; i--) {
+      const cell = cells[i].replace(/%$/, '');
+      if (cell !== '' && Number.isFinite(Number(cell))) {
+        values.push(Number(cell));
+        return;
+      }
+    }
+  });
+  return values;
+}
+
+// Units a series of rates or returns can be uploaded in, with the factor to decimals. Small
+// rates look alike in both (0.8 could be 0.8% or 80%), so the unit is chosen, not guessed.
+export const SERIES_UNITS = [
+  { id: 'percent', label: 'Percent (4.8 = 4.8%)', scale: 0.01 },
+  { id: 'decimal', label: 'Decimals (0.048 = 4.8%)', scale: 1 },
+];
+
+// Rates or returns from CSV text (as parseNumericSeries reads it) in `unit`, as decimals
+export function parseRateSeries(text, unit) {
+  const { scale } = SERIES_UNITS.find((entry) => entry.id === unit) ?? SERIES_UNITS[0];
+  return parseNumericSeries(text).map((value) => value * scale);
+}
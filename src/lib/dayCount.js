@@ -0,0 +1,91 @@
+// ============================================================================
+// Day-Count Conventions
+// ============================================================================
+// Dates are ISO strings ('2025-10-28') or Date objects; all arithmetic is done in UTC
+// so daylight-saving shifts never change a day count.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const DAY_COUNT_CONVENTIONS = ['ACT/365', 'ACT/ACT', '30/360'];
+
+export function parseDate(value) {
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid date "${value}", expected YYYY-MM-DD`);
+  }
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+}
+
+export function formatDate(value) {
+  return parseDate(value).toISOString().slice(0, 10);
+}
+
+// Shift by whole months, clamping to the last day of shorter months (31 Aug - 6M = 28/29 Feb)
+export function addMonths(value, months) {
+  const date = parseDate(value);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+}
+
+export function actualDays(start, end) {
+  return Math.round((parseDate(end) - parseDate(start)) / MS_PER_DAY);
+}
+
+// 30/360 bond basis: the 31st counts as the 30th, and so does the end date when the start is month-end
+export function days30360(start, end) {
+  const d1 = parseDate(start);
+  const d2 = parseDate(end);
+  let day1 = d1.getUTCDate();
+  let day2 = d2.getUTCDate();
+  if (day1 === 31) day1 = 30;
+  if (day2 === 31 && day1 === 30) day2 = 30;
+  return 360 * (d2.getUTCFullYear() - d1.getUTCFullYear())
+    + 30 * (d2.getUTCMonth() - d1.getUTCMonth())
+    + (day2 - day1);
+}
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+// ACT/ACT (ISDA): days in each calendar year divided by that year's length
+function actualActualIsda(start, end) {
+  const d1 = parseDate(start);
+  const d2 = parseDate(end);
+  let fraction = 0;
+  for (let year = d1.getUTCFullYear(); year <= d2.getUTCFullYear(); year++) {
+    const from = year === d1.getUTCFullYear() ? d1 : new Date(Date.UTC(year, 0, 1));
+    const to = year === d2.getUTCFullYear() ? d2 : new Date(Date.UTC(year + 1, 0, 1));
+    fraction += actualDays(from, to) / (isLeapYear(year) ? 366 : 365);
+  }
+  return fraction;
+}
+
+// Fraction of a coupon period between two dates. The reference period is the coupon
+// period containing them; ACT/ACT (ICMA) divides by its actual length.
+export function couponPeriodFraction(start, end, periodStart, periodEnd, convention, frequency = 1) {
+  switch (convention) {
+    case 'ACT/365':
+      return actualDays(start, end) / (365 / frequency);
+    case 'ACT/ACT':
+      return actualDays(start, end) / actualDays(periodStart, periodEnd);
+    case '30/360':
+      return days30360(start, end) / (360 / frequency);
+    default:
+      throw new Error(`Unknown day-count convention "${convention}"`);
+  }
+}
+
+// Year fraction between two dates. ACT/ACT uses the ICMA rule when a coupon period is
+// supplied and falls back to ISDA calendar-year splitting otherwise.
+export function yearFraction(start, end, convention, { frequency = 1, periodStart, periodEnd } = {}) {
+  if (convention === 'ACT/ACT' && !(periodStart && periodEnd)) {
+    return actualActualIsda(start, end);
+  }
+  return couponPeriodFraction(start, end, periodStart, periodEnd, convention, frequency) / frequency;
+}
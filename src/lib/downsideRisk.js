@@ -0,0 +1,103 @@
+// ============================================================================
+// Downside-Risk Optimization
+// ============================================================================
+// Allocations chosen on scenarios from simulateReturnScenarios rather than on variance. The
+// portfolio is rebalanced to its weights every step, so its value grows by 1 + w·r each step.
+// Expected shortfall (CVaR) at level α is the average final value of the worst α of scenarios.
+
+// Final value of `initial` in every scenario, ascending
+export function scenarioValues(scenarios, weights, initial) {
+  const { returns, trials, steps, holdings } = scenarios;
+  const values = new Float64Array(trials);
+  for (let trial = 0, offset = 0; trial < trials; trial++) {
+    let value = initial;
+    for (let step = 0; step < steps; step++, offset += holdings) {
+      let growth = 1;
+      for (let i = 0; i < holdings; i++) growth += weights[i] * returns[offset + i];
+      value *= Math.max(0, growth);
+    }
+    values[trial] = value;
+  }
+  return values.sort();
+}
+
+// Mean, percentiles, expected shortfall at level alpha and the chance of ending below target,
+// from ascending final values
+export function downsideStats(sorted, { alpha = 0.05, target }) {
+  const tail = Math.max(1, Math.floor(sorted.length * alpha));
+  let sum = 0;
+  let tailSum = 0;
+  let below = 0;
+  sorted.forEach((value, i) => {
+    sum += value;
+    if (i < tail) tailSum += value;
+    if (value < target) below += 1;
+  });
+  const at = (p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+  return {
+    mean: sum / sorted.length,
+    p5: at(0.05),
+    p50: at(0.5),
+    p95: at(0.95),
+    expectedShortfall: tailSum / tail,
+    shortfallProbability: below / sorted.length,
+  };
+}
+
+// Every long-only allocation on a grid of `step` (a fraction that divides 1) with no weight
+// above maxWeight
+export function allocationGrid(holdings, step, maxWeight = 1) {
+  const units = Math.round(1 / step);
+  const cap = Math.floor(maxWeight * units + 1e-9);
+  const grid = [];
+  const fill = (prefix, remaining) => {
+    if (prefix.length === holdings - 1) {
+      if (remaining <= cap) grid.push([...prefix, remaining].map((u) => u / units));
+      return;
+    }
+    for (let u = Math.min(cap, remaining); u >= 0; u--) fill([...prefix, u], remaining - u);
+  };
+  if (holdings === 1) return cap >= units ? [[1]] : [];
+  fill([], units);
+  return grid;
+}
+
+// Finest grid step, from 5%, that keeps the search to about maxCandidates allocations
+export function gridStepFor(holdings, maxCandidates = 2500) {
+  const choose = (n, k) => {
+    let result = 1;
+    for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+    return result;
+  };
+  return [0.05, 0.1, 0.125, 0.2, 0.25, 0.5, 1].find((step) => choose(Math.round(1 / step) + holdings - 1, holdings - 1) <= maxCandidates) ?? 1;
+}
+
+// Search the grid for the allocation with the highest expected shortfall (the best worst-α
+// average) or the lowest chance of ending below target. The trade-off curve keeps the
+// allocations no other beats on both the mean and the downside measure.
+export function optimizeDownside(scenarios, { objective, alpha, target, initial, maxWeight, step }) {
+  const grid = allocationGrid(scenarios.holdings, step, maxWeight);
+  if (grid.length === 0) {
+    throw new Error(`No allocation on a ${(step * 100).toFixed(0)}% grid meets the ${(maxWeight * 100).toFixed(0)}% cap`);
+  }
+  // Higher is better for both measures
+  const score = objective === 'shortfall'
+    ? (stats) => 1 - stats.shortfallProbability
+    : (stats) => stats.expectedShortfall;
+
+  const candidates = grid.map((weights) => {
+    const stats = downsideStats(scenarioValues(scenarios, weights, initial), { alpha, target });
+    return { weights, ...stats, score: score(stats) };
+  });
+
+  const best = candidates.reduce((top, c) => (c.score > top.score || (c.score === top.score && c.mean > top.mean) ? c : top));
+
+  const frontier = [];
+  [...candidates]
+    .sort((x, y) => y.score - x.score || y.mean - x.mean)
+    .forEach((c) => {
+      if (frontier.length === 0 || c.mean > frontier[frontier.length - 1].mean) frontier.push(c);
+    });
+
+  return { best, frontier, candidates: candidates.length };
+}
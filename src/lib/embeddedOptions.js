@@ -0,0 +1,100 @@
+// ============================================================================
+// Callable and Putable Bonds
+// ============================================================================
+// Embedded options are valued on a Hull-White tree fitted to the government discount curve.
+// Exercise dates fall on coupon dates at a clean price per 100 (nothing has accrued on a
+// coupon date). An exercise is { type: 'call' | 'put', date, price }.
+
+import { solveYield } from './bondPricing.js';
+import { buildHullWhiteTree, priceOnTree } from './shortRateTree.js';
+
+const BASIS_POINT = 0.0001;
+
+// Cash flows if the bond is redeemed at `price` per 100 of the principal still outstanding
+// on the coupon date of cashFlows[index]
+export function cashFlowsToExercise(cashFlows, index, price) {
+  return cashFlows.slice(0, index + 1).map((cf, i) => (i === index ? { ...cf, amount: cf.amount + exerciseAmount(cf, price) } : cf));
+}
+
+function exerciseAmount(cf, price) {
+  return (price * cf.outstanding) / 100;
+}
+
+// Yield to each exercise date and yield to worst: the lowest of the yield to maturity and
+// the yields to call. Yields to put are reported but a put is the holder's choice, so it
+// never sets the worst case. Exercises whose date is not an upcoming coupon date are skipped.
+export function exerciseYields(cashFlows, exercises, dirtyPrice, frequency) {
+  const ytm = solveYield(cashFlows, dirtyPrice, frequency);
+  const yields = exercises
+    .map((exercise) => ({ ...exercise, index: cashFlows.findIndex((cf) => cf.date === exercise.date) }))
+    .filter(({ index }) => index >= 0 && index < cashFlows.length - 1)
+    .map((exercise) => ({
+      ...exercise,
+      time: cashFlows[exercise.index].time,
+      amount: exerciseAmount(cashFlows[exercise.index], exercise.price),
+      yield: solveYield(cashFlowsToExercise(cashFlows, exercise.index, exercise.price), dirtyPrice, frequency, ytm),
+    }));
+
+  const worst = yields
+    .filter(({ type }) => type === 'call')
+    .reduce((lowest, exercise) => (exercise.yield < lowest.yield ? exercise : lowest), { date: null, yield: ytm });
+  return { ytm, yields, yieldToWorst: worst.yield, worstDate: worst.date };
+}
+
+// Bisection for the spread at which the tree price matches the dirty price
+export function solveOptionAdjustedSpread(tree, cashFlows, dirtyPrice, exercises = []) {
+  const price = (spread) => priceOnTree(tree, cashFlows, { exercises, spread });
+  let low = -0.5;
+  let high = 1;
+  if (price(low) < dirtyPrice || price(high) > dirtyPrice) {
+    throw new Error('No spread between −50% and 100% reprices the bond; check the price and exercise schedule');
+  }
+  for (let i = 0; i < 100 && high - low > 1e-10; i++) {
+    const mid = (low + high) / 2;
+    if (price(mid) > dirtyPrice) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Option-adjusted spread over the curve, the net value of the embedded options to the holder
+// (the callable's price less the same bond without options, both at the OAS), and effective
+// duration/convexity at a constant OAS, with and without the options. The default bump is
+// wider than for straight bonds: the exercise boundary moves across the lattice in node-sized
+// jumps, which makes convexity from a small bump noisy.
+// bond: { cashFlows, dirtyPrice, frequency }, exercises as returned by exerciseYields.
+// Tree settings: curve discount factors, Hull-White a and σ, and tree steps per coupon period.
+export function analyzeEmbeddedOptions(bond, exercises, { discountAt, a, sigma, stepsPerPeriod = 6, shock = 50 * BASIS_POINT }) {
+  const { cashFlows, dirtyPrice, frequency } = bond;
+  const dt = 1 / (frequency * stepsPerPeriod);
+  const steps = Math.max(1, Math.round(cashFlows[cashFlows.length - 1].time / dt));
+  const treeFor = (shift) => buildHullWhiteTree({ discountAt: (t) => discountAt(t) * Math.exp(-shift * t), a, sigma, dt, steps });
+
+  const tree = treeFor(0);
+  const oas = solveOptionAdjustedSpread(tree, cashFlows, dirtyPrice, exercises);
+  const straightPrice = priceOnTree(tree, cashFlows, { spread: oas });
+
+  // Reprice off the curve shifted in parallel, holding the spread
+  const sensitivity = (options, spread) => {
+    const base = priceOnTree(tree, cashFlows, { exercises: options, spread });
+    const down = priceOnTree(treeFor(-shock), cashFlows, { exercises: options, spread });
+    const up = priceOnTree(treeFor(shock), cashFlows, { exercises: options, spread });
+    return {
+      effectiveDuration: (down - up) / (2 * base * shock),
+      effectiveConvexity: (down + up - 2 * base) / (base * shock * shock),
+    };
+  };
+
+  return {
+    oas,
+    straightPrice,
+    // Puts add value for the holder and calls take it away
+    optionValue: dirtyPrice - straightPrice,
+    withOptions: sensitivity(exercises, oas),
+    withoutOptions: sensitivity([], oas),
+    dt,
+  };
+}
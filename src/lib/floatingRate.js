@@ -0,0 +1,37 @@
+// ============================================================================
+// Floating-Rate Bonds
+// ============================================================================
+// A floater pays a fixed rate for its first periods, then a reference rate plus a margin,
+// reset at the start of each coupon period and held within an optional cap and floor.
+// note: { fixedRate, fixedPeriods, referenceRate, margin, cap, floor, frequency, totalPeriods }
+// Rates are decimals; cap and floor may be null. `referenceRateAt(t)` gives the reference
+// rate expected to be fixed t years from settlement.
+
+export function floatingCouponRate(note, referenceRate) {
+  let rate = referenceRate + note.margin;
+  if (note.cap !== null) rate = Math.min(rate, note.cap);
+  if (note.floor !== null) rate = Math.max(rate, note.floor);
+  return rate;
+}
+
+// Replace the coupons of a schedule of remaining cash flows with projected floating coupons,
+// paid on the principal outstanding over each period. Periods that reset before settlement
+// are fixed at today's reference rate.
+export function floatingCashFlows(schedule, note, referenceRateAt) {
+  const { frequency, totalPeriods, fixedPeriods } = note;
+  const periodsPaid = totalPeriods - schedule.length;
+
+  return schedule.map((cf, i) => {
+    const resetTime = Math.max(0, cf.time - 1 / frequency);
+    const couponRate = periodsPaid + i < fixedPeriods
+      ? note.fixedRate
+      : floatingCouponRate(note, referenceRateAt(resetTime));
+    const coupon = (couponRate * (cf.outstanding + cf.principal)) / frequency;
+    return {
+      ...cf,
+      couponRate,
+      coupon,
+      amount: coupon + cf.principal,
+    };
+  });
+}
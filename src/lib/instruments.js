@@ -0,0 +1,183 @@
+// ============================================================================
+// Instrument Catalog
+// ============================================================================
+// The instruments a portfolio can hold, as typed records: coupon bonds, funds and term
+// deposits. Every kind shares an id, a short label (e.g. "Option A"), a name, a description,
+// a chart colour, a risk level and an annual return volatility; the other fields depend on
+// the kind. Rates and shares are in percent, as they are entered, and dates are YYYY-MM-DD.
+
+import { FREQUENCY_PER_YEAR } from './bondPricing.js';
+import { DAY_COUNT_CONVENTIONS, addMonths, formatDate } from './dayCount.js';
+
+export const RISK_LEVELS = ['Very Low', 'Low', 'Moderate', 'High', 'Very High'];
+
+// Colours handed to new instruments, skipping any already in use
+export const INSTRUMENT_COLORS = ['#3b82f6', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#06b6d4', '#ec4899', '#84cc16', '#6366f1', '#14b8a6'];
+
+const FREQUENCIES = Object.keys(FREQUENCY_PER_YEAR);
+
+// Field types: text, number (with optional min/max, `exclusiveMin` and `integer`), date and
+// select (with options)
+const COMMON_FIELDS = [
+  { key: 'label', label: 'Label', type: 'text' },
+  { key: 'name', label: 'Name', type: 'text' },
+  { key: 'type', label: 'Description', type: 'text' },
+  { key: 'risk', label: 'Risk level', type: 'select', options: RISK_LEVELS },
+  { key: 'volatility', label: 'Return volatility (%)', type: 'number', min: 0 },
+];
+
+export const INSTRUMENT_KINDS = {
+  bond: {
+    label: 'Bond',
+    fields: [
+      ...COMMON_FIELDS,
+      { key: 'coupon', label: 'Coupon rate (%)', type: 'number', min: 0 },
+      { key: 'frequency', label: 'Coupon frequency', type: 'select', options: FREQUENCIES },
+      { key: 'price', label: 'Clean price (per 100)', type: 'number', min: 0, exclusiveMin: true },
+      { key: 'maturityDate', label: 'Maturity date', type: 'date' },
+      { key: 'years', label: 'Original term (years)', type: 'number', min: 0, exclusiveMin: true },
+      { key: 'dayCount', label: 'Day count', type: 'select', options: DAY_COUNT_CONVENTIONS },
+      { key: 'rolloverRate', label: 'Rollover rate after maturity (%)', type: 'number' },
+    ],
+    defaults: {
+      label: 'New bond',
+      name: 'Bond',
+      type: '5-year Bond',
+      risk: 'Low',
+      volatility: 0,
+      coupon: 6,
+      frequency: 'Annual',
+      price: 100,
+      years: 5,
+      dayCount: 'ACT/365',
+      rolloverRate: 6,
+    },
+  },
+  fund: {
+    label: 'Fund',
+    fields: [
+      ...COMMON_FIELDS,
+      { key: 'expectedReturn', label: 'Expected return (%)', type: 'number' },
+      { key: 'bondShare', label: 'Bond share (%)', type: 'number', min: 0, max: 100 },
+      { key: 'sleeveCoupon', label: 'Bond sleeve coupon (%)', type: 'number', min: 0 },
+      { key: 'sleeveYears', label: 'Bond sleeve maturity (years)', type: 'number', min: 1, integer: true },
+      { key: 'sleeveFrequency', label: 'Bond sleeve frequency', type: 'select', options: FREQUENCIES },
+    ],
+    defaults: {
+      label: 'New fund',
+      name: 'Fund',
+      type: 'Open-ended fund',
+      risk: 'Moderate',
+      volatility: 10,
+      expectedReturn: 8,
+      bondShare: 50,
+      sleeveCoupon: 6,
+      sleeveYears: 5,
+      sleeveFrequency: 'Annual',
+    },
+  },
+  deposit: {
+    label: 'Term deposit',
+    fields: [
+      ...COMMON_FIELDS,
+      { key: 'rate', label: 'Interest rate (% a year)', type: 'number', min: 0 },
+      { key: 'termMonths', label: 'Term (months)', type: 'number', min: 1, max: 60, integer: true },
+    ],
+    defaults: {
+      label: 'New deposit',
+      name: 'Term Deposit',
+      type: '12-month bank deposit',
+      risk: 'Very Low',
+      volatility: 0,
+      rate: 5,
+      termMonths: 12,
+    },
+  },
+};
+
+function readField(field, raw) {
+  const value = typeof raw === 'string' ? raw.trim() : raw;
+  if (field.type === 'text') {
+    if (!value) throw new Error(`${field.label} is required`);
+    return value;
+  }
+  if (field.type === 'select') {
+    if (!field.options.includes(value)) throw new Error(`${field.label} must be one of ${field.options.join(', ')}`);
+    return value;
+  }
+  if (field.type === 'date') {
+    try {
+      return formatDate(value);
+    } catch {
+      throw new Error(`${field.label} must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(number)) throw new Error(`${field.label} must be a number`);
+  if (field.integer && !Number.isInteger(number)) throw new Error(`${field.label} must be a whole number`);
+  if (field.min !== undefined && (field.exclusiveMin ? number <= field.min : number < field.min)) {
+    throw new Error(`${field.label} must be ${field.exclusiveMin ? 'above' : 'at least'} ${field.min}`);
+  }
+  if (field.max !== undefined && number > field.max) throw new Error(`${field.label} must be at most ${field.max}`);
+  return number;
+}
+
+// New instrument of a kind with the kind's defaults, a colour not used by `existing`, and a
+// maturity `years` after settlement for bonds
+export function createInstrument(kind, existing, settlementDate) {
+  const { defaults } = INSTRUMENT_KINDS[kind];
+  const used = new Set(existing.map((instrument) => instrument.color));
+  const instrument = {
+    ...defaults,
+    id: `${kind}-${Date.now().toString(36)}`,
+    kind,
+    label: `${defaults.label} ${existing.length + 1}`,
+    color: INSTRUMENT_COLORS.find((color) => !used.has(color)) ?? INSTRUMENT_COLORS[existing.length % INSTRUMENT_COLORS.length],
+  };
+  if (kind === 'bond') {
+    instrument.maturityDate = formatDate(addMonths(settlementDate, 12 * defaults.years));
+  }
+  return instrument;
+}
+
+// A bond's issue date, its original term before maturity (to the nearest month)
+export function bondIssueDate(bond) {
+  return formatDate(addMonths(bond.maturityDate, -Math.round(12 * bond.years)));
+}
+
+// Typed instrument from entered values (strings or numbers), keeping the id, kind and colour.
+// Throws on the first invalid field. Bonds must mature after settlement and by the horizon,
+// since their value is carried to the horizon from maturity, and must have been issued by
+// settlement, so the original term is never shorter than the time left to maturity.
+export function readInstrument(instrument, values, { settlementDate, horizonYears }) {
+  const { fields } = INSTRUMENT_KINDS[instrument.kind];
+  const typed = { ...instrument };
+  fields.forEach((field) => {
+    typed[field.key] = readField(field, values[field.key]);
+  });
+
+  if (instrument.kind === 'bond') {
+    if (typed.maturityDate <= settlementDate) {
+      throw new Error(`Maturity date must be after the settlement date (${settlementDate})`);
+    }
+    const horizonDate = formatDate(addMonths(settlementDate, 12 * horizonYears));
+    if (typed.maturityDate > horizonDate) {
+      throw new Error(`Maturity date must be on or before the end of the ${horizonYears}-year horizon (${horizonDate})`);
+    }
+    const issueDate = bondIssueDate(typed);
+    if (issueDate > settlementDate) {
+      throw new Error(`An original term of ${typed.years} years means issue on ${issueDate}, after the settlement date (${settlementDate}); the term must cover the time to maturity`);
+    }
+  }
+  return typed;
+}
+
+// A deposit as one cash flow per 100 placed: principal plus simple interest at the end of the
+// term. Renewals are modelled by rolling it over at its rate, so its frequency is the number
+// of terms a year.
+export function depositCashFlows(ratePercent, termMonths) {
+  const time = termMonths / 12;
+  const interest = ratePercent * time;
+  return [{ period: 1, time, amount: 100 + interest, coupon: interest, principal: 100, outstanding: 0 }];
+}
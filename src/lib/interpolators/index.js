@@ -0,0 +1,40 @@
+// ============================================================================
+// Yield-Curve Models
+// ============================================================================
+// Parametric curves fitted to observed yields by tenor. A fitted curve is sampled
+// into the { tenors, rates } shape used by rateSensitivity.js so bonds can be priced off it.
+
+import { NelsonSiegelInterpolator } from './nelsonSiegelInterpolator.js';
+import { SvenssonInterpolator } from './svenssonInterpolator.js';
+
+export { Interpolator } from './interpolator.js';
+export { NelsonSiegelInterpolator, SvenssonInterpolator };
+
+export const YIELD_CURVE_MODELS = [
+  {
+    id: 'nelson-siegel',
+    label: 'Nelson-Siegel',
+    minTenors: 3,
+    create: () => new NelsonSiegelInterpolator(),
+  },
+  {
+    id: 'svensson',
+    label: 'Svensson',
+    minTenors: 4,
+    create: () => new SvenssonInterpolator(),
+  },
+];
+
+export function findYieldCurveModel(id) {
+  const model = YIELD_CURVE_MODELS.find((m) => m.id === id);
+  if (!model) {
+    throw new Error(`Unknown yield-curve model "${id}"`);
+  }
+  return model;
+}
+
+// Rates of a fitted interpolator every `step` years out to maxTenor
+export function sampleCurve(interpolator, maxTenor = 30, step = 0.25) {
+  const tenors = Array.from({ length: Math.round(maxTenor / step) }, (_, i) => (i + 1) * step);
+  return { tenors, rates: tenors.map((t) => interpolator.predict(t)) };
+}
@@ -0,0 +1,71 @@
+// ============================================================================
+// Interpolator Base Class
+// ============================================================================
+// JavaScript port of pyesg's Interpolator for yield curves. Subclasses define:
+//   call(t, params) : the curve's rate at maturity t for a set of parameters
+//   coefs()         : the fitted parameters, null until fit() has been called
+//   fit(tenors, rates)
+// Maturities are in years and must be > 0; rates are decimals.
+
+import { leastSquares } from '../linearAlgebra.js';
+import { nelderMead } from '../optimize.js';
+
+// Log-spaced decay rates from 0.02 to 5 per year, used to seed the search for τ
+export const DECAY_RATE_GRID = Array.from({ length: 16 }, (_, i) => 0.02 * Math.pow(250, i / 15));
+
+export class Interpolator {
+  isFit() {
+    return Object.values(this.coefs()).every((value) => value !== null);
+  }
+
+  predict(t) {
+    if (!this.isFit()) {
+      throw new Error("Must call 'fit' first!");
+    }
+    return this.call(t, this.coefs());
+  }
+
+  // Root-mean-square error of the fitted curve against observed rates
+  rmse(tenors, rates) {
+    const sse = tenors.reduce((sum, t, i) => sum + (this.predict(t) - rates[i]) ** 2, 0);
+    return Math.sqrt(sse / tenors.length);
+  }
+
+  toString() {
+    return `<${this.constructor.name}>`;
+  }
+}
+
+// The curves are linear in their betas once the decay rates are fixed, so the betas come
+// from ordinary least squares and only the decay rates are searched numerically.
+// `loadings(t, taus)` returns the factor loadings for each beta at maturity t. The
+// error surface in τ has local minima, so the search starts from the best grid point.
+export function fitFactorModel(tenors, rates, loadings, { taus, startingTaus }) {
+  const fitBetas = (candidateTaus) => {
+    const betas = leastSquares(tenors.map((t) => loadings(t, candidateTaus)), rates);
+    const sse = tenors.reduce((sum, t, i) => {
+      const fitted = loadings(t, candidateTaus).reduce((total, loading, k) => total + loading * betas[k], 0);
+      return sum + (fitted - rates[i]) ** 2;
+    }, 0);
+    return { betas, sse };
+  };
+
+  if (taus) {
+    return { betas: fitBetas(taus).betas, taus };
+  }
+
+  // Search over log τ so the decay rates stay positive; singular designs are infeasible
+  const objective = (logTaus) => {
+    try {
+      return fitBetas(logTaus.map(Math.exp)).sse;
+    } catch {
+      return Infinity;
+    }
+  };
+  const start = startingTaus
+    .map((candidate) => candidate.map(Math.log))
+    .reduce((best, candidate) => (objective(candidate) < objective(best) ? candidate : best));
+  const { x } = nelderMead(objective, start, { step: 0.5, tolerance: 1e-14 });
+  const fittedTaus = x.map(Math.exp);
+  return { betas: fitBetas(fittedTaus).betas, taus: fittedTaus };
+}
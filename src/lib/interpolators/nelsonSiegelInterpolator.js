@@ -0,0 +1,43 @@
+import { DECAY_RATE_GRID, Interpolator, fitFactorModel } from './interpolator.js';
+
+// Nelson-Siegel curve: y(t) = β0 + β1·(1 - e^(-tτ))/(tτ) + β2·((1 - e^(-tτ))/(tτ) - e^(-tτ))
+// β0 is the long-run level, β1 the short-end slope and β2 the medium-term hump.
+// As in pyesg, τ is a decay rate per year; pass it to keep it fixed during fit().
+export class NelsonSiegelInterpolator extends Interpolator {
+  constructor({ tau = null } = {}) {
+    super();
+    this.tau = tau;
+    this.fitTau = tau === null;
+    this.beta0 = null;
+    this.beta1 = null;
+    this.beta2 = null;
+  }
+
+  static loadings(t, [tau]) {
+    const decay = Math.exp(-t * tau);
+    const factor = (1 - decay) / (t * tau);
+    return [1, factor, factor - decay];
+  }
+
+  call(t, { beta0, beta1, beta2, tau }) {
+    const [level, slope, curvature] = NelsonSiegelInterpolator.loadings(t, [tau]);
+    return beta0 * level + beta1 * slope + beta2 * curvature;
+  }
+
+  coefs() {
+    return { beta0: this.beta0, beta1: this.beta1, beta2: this.beta2, tau: this.tau };
+  }
+
+  fit(tenors, rates) {
+    if (tenors.length < 3) {
+      throw new Error('Nelson-Siegel needs at least three tenors');
+    }
+    const { betas, taus } = fitFactorModel(tenors, rates, NelsonSiegelInterpolator.loadings, {
+      taus: this.fitTau ? null : [this.tau],
+      startingTaus: DECAY_RATE_GRID.map((tau) => [tau]),
+    });
+    [this.beta0, this.beta1, this.beta2] = betas;
+    [this.tau] = taus;
+    return this;
+  }
+}
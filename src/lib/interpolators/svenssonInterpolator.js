@@ -0,0 +1,56 @@
+import { DECAY_RATE_GRID, Interpolator, fitFactorModel } from './interpolator.js';
+import { NelsonSiegelInterpolator } from './nelsonSiegelInterpolator.js';
+
+// Nelson-Siegel-Svensson curve: Nelson-Siegel with a second hump
+// y(t) = β0 + β1·f(tτ0) + β2·(f(tτ0) - e^(-tτ0)) + β3·(f(tτ1) - e^(-tτ1)), f(x) = (1 - e^(-x))/x
+// Both decay rates are fitted unless tau0 and tau1 are given.
+export class SvenssonInterpolator extends Interpolator {
+  constructor({ tau0 = null, tau1 = null } = {}) {
+    super();
+    this.tau0 = tau0;
+    this.tau1 = tau1;
+    this.fitTau = tau0 === null || tau1 === null;
+    this.beta0 = null;
+    this.beta1 = null;
+    this.beta2 = null;
+    this.beta3 = null;
+  }
+
+  static loadings(t, [tau0, tau1]) {
+    const secondHump = NelsonSiegelInterpolator.loadings(t, [tau1])[2];
+    return [...NelsonSiegelInterpolator.loadings(t, [tau0]), secondHump];
+  }
+
+  call(t, { beta0, beta1, beta2, beta3, tau0, tau1 }) {
+    const loadings = SvenssonInterpolator.loadings(t, [tau0, tau1]);
+    return [beta0, beta1, beta2, beta3].reduce((sum, beta, i) => sum + beta * loadings[i], 0);
+  }
+
+  coefs() {
+    return {
+      beta0: this.beta0,
+      beta1: this.beta1,
+      beta2: this.beta2,
+      beta3: this.beta3,
+      tau0: this.tau0,
+      tau1: this.tau1,
+    };
+  }
+
+  fit(tenors, rates) {
+    if (tenors.length < 4) {
+      throw new Error('Svensson needs at least four tenors');
+    }
+    // τ0 > τ1 orders the two humps so each pair of decay rates is tried once
+    const startingTaus = DECAY_RATE_GRID.flatMap((tau0) =>
+      DECAY_RATE_GRID.filter((tau1) => tau1 < tau0).map((tau1) => [tau0, tau1])
+    );
+    const { betas, taus } = fitFactorModel(tenors, rates, SvenssonInterpolator.loadings, {
+      taus: this.fitTau ? null : [this.tau0, this.tau1],
+      startingTaus,
+    });
+    [this.beta0, this.beta1, this.beta2, this.beta3] = betas;
+    [this.tau0, this.tau1] = taus;
+    return this;
+  }
+}
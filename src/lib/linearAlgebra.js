@@ -0,0 +1,72 @@
+// ============================================================================
+// Linear Algebra
+// ============================================================================
+// Small dense systems only; matrices are arrays of rows.
+
+// Solve A·x = b by Gaussian elimination with partial pivoting
+export function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) {
+      throw new Error('Matrix is singular');
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+
+  const x = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+// Ordinary least squares coefficients for design rows X and observations y (normal equations)
+export function leastSquares(X, y) {
+  const p = X[0].length;
+  const XtX = Array.from({ length: p }, (_, i) =>
+    Array.from({ length: p }, (_, j) => X.reduce((sum, row) => sum + row[i] * row[j], 0))
+  );
+  const Xty = Array.from({ length: p }, (_, i) => X.reduce((sum, row, k) => sum + row[i] * y[k], 0));
+  return solveLinearSystem(XtX, Xty);
+}
+
+// Lower-triangular L with L·Lᵀ = A for a symmetric positive semidefinite A. Pivots within
+// `tolerance` of zero are treated as zero, so singular matrices such as perfect correlations
+// still factor; a clearly negative pivot means A is not positive semidefinite.
+export function choleskyDecomposition(A, tolerance = 1e-10) {
+  const n = A.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (let j = 0; j < n; j++) {
+    let pivot = A[j][j];
+    for (let k = 0; k < j; k++) pivot -= L[j][k] * L[j][k];
+    if (pivot < -tolerance) {
+      throw new Error('Matrix is not positive semidefinite');
+    }
+    L[j][j] = pivot > tolerance ? Math.sqrt(pivot) : 0;
+
+    for (let i = j + 1; i < n; i++) {
+      let sum = A[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (L[j][j] > 0) {
+        L[i][j] = sum / L[j][j];
+      } else if (Math.abs(sum) > tolerance) {
+        throw new Error('Matrix is not positive semidefinite');
+      }
+    }
+  }
+  return L;
+}
@@ -0,0 +1,184 @@
+// ============================================================================
+// Mean-Variance Optimization
+// ============================================================================
+// Markowitz portfolios of a handful of holdings under long-only weights capped at `maxWeight`.
+// Returns and volatilities are annual decimals (0.09 = 9%) and weights are fractions adding
+// up to 1. Each efficient portfolio solves min ½·wᵀΣw − λ·μᵀw for some risk tolerance λ ≥ 0,
+// by accelerated projected gradient; λ is then searched to hit a target return.
+
+import { choleskyDecomposition } from './linearAlgebra.js';
+
+// Σ from volatilities and a correlation matrix, after checking the correlations are valid
+export function covarianceMatrix(volatilities, correlations) {
+  const n = volatilities.length;
+  correlations.forEach((row, i) => {
+    if (Math.abs(row[i] - 1) > 1e-12) throw new Error('Correlations of a holding with itself must be 1');
+    row.forEach((rho, j) => {
+      if (!(Math.abs(rho) <= 1)) throw new Error('Correlations must be between -1 and 1');
+      if (Math.abs(rho - correlations[j][i]) > 1e-12) throw new Error('The correlation matrix must be symmetric');
+    });
+  });
+  try {
+    choleskyDecomposition(correlations);
+  } catch {
+    throw new Error('These correlations are inconsistent: the matrix is not positive semidefinite');
+  }
+  return Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => correlations[i][j] * volatilities[i] * volatilities[j])
+  );
+}
+
+export function portfolioStats(weights, means, covariance) {
+  const expectedReturn = weights.reduce((sum, w, i) => sum + w * means[i], 0);
+  let variance = 0;
+  weights.forEach((wi, i) => {
+    weights.forEach((wj, j) => {
+      variance += wi * wj * covariance[i][j];
+    });
+  });
+  return { weights, expectedReturn, volatility: Math.sqrt(Math.max(0, variance)) };
+}
+
+// Euclidean projection onto { 0 ≤ w ≤ maxWeight, Σw = 1 }: w = clip(v − τ). The sum of the
+// clipped weights falls piecewise linearly in τ, with kinks at v and v − maxWeight, so τ is
+// found on the segment where it crosses 1.
+function projectCappedSimplex(v, maxWeight) {
+  const clipped = (tau) => v.map((x) => Math.min(maxWeight, Math.max(0, x - tau)));
+  const total = (tau) => clipped(tau).reduce((sum, w) => sum + w, 0);
+  const kinks = [...v, ...v.map((x) => x - maxWeight)].sort((x, y) => x - y);
+  let i = 0;
+  while (i < kinks.length - 1 && total(kinks[i + 1]) >= 1) i++;
+  const [low, high] = [kinks[i], kinks[Math.min(i + 1, kinks.length - 1)]];
+  const totalLow = total(low);
+  const totalHigh = total(high);
+  const tau = totalLow === totalHigh ? low : low + ((totalLow - 1) / (totalLow - totalHigh)) * (high - low);
+  return clipped(tau);
+}
+
+function solveRiskTolerance(means, covariance, lambda, maxWeight, start) {
+  // Step from a Gershgorin bound on the largest eigenvalue of Σ
+  const lipschitz = Math.max(1e-12, ...covariance.map((row) => row.reduce((sum, c) => sum + Math.abs(c), 0)));
+  let w = projectCappedSimplex(start, maxWeight);
+  let y = w;
+  let t = 1;
+  for (let iteration = 0; iteration < 5000; iteration++) {
+    const gradient = y.map((_, i) => covariance[i].reduce((sum, c, j) => sum + c * y[j], 0) - lambda * means[i]);
+    const next = projectCappedSimplex(y.map((x, i) => x - gradient[i] / lipschitz), maxWeight);
+    const tNext = (1 + Math.sqrt(1 + 4 * t * t)) / 2;
+    y = next.map((x, i) => x + ((t - 1) / tNext) * (x - w[i]));
+    const change = Math.max(...next.map((x, i) => Math.abs(x - w[i])));
+    w = next;
+    t = tNext;
+    if (change < 1e-10) break;
+  }
+  return w;
+}
+
+// Highest attainable return: fill the best-returning holdings up to the cap
+function maxReturnWeights(means, maxWeight) {
+  const weights = new Array(means.length).fill(0);
+  let remaining = 1;
+  means
+    .map((mean, index) => ({ mean, index }))
+    .sort((x, y) => y.mean - x.mean)
+    .forEach(({ index }) => {
+      weights[index] = Math.min(maxWeight, remaining);
+      remaining -= weights[index];
+    });
+  return weights;
+}
+
+// Solver for efficient portfolios on { 0 ≤ w ≤ maxWeight, Σw = 1 }
+export function meanVarianceOptimizer(means, covariance, { maxWeight = 1 } = {}) {
+  if (maxWeight * means.length < 1 - 1e-12) {
+    throw new Error(`A ${(maxWeight * 100).toFixed(0)}% cap on ${means.length} holdings cannot reach 100%`);
+  }
+  const stats = (weights) => portfolioStats(weights, means, covariance);
+  // Each solve starts from the previous solution, which is usually close
+  let start = new Array(means.length).fill(1 / means.length);
+  const solve = (lambda) => {
+    start = solveRiskTolerance(means, covariance, lambda, maxWeight, start);
+    return stats(start);
+  };
+
+  // A small positive λ breaks ties between minimum-variance portfolios in favour of return
+  const lambdaMin = 1e-6;
+  const minVariance = solve(lambdaMin);
+  const maxReturn = stats(maxReturnWeights(means, maxWeight)).expectedReturn;
+  let lambdaMax = 1;
+  while (lambdaMax < 1e8 && solve(lambdaMax).expectedReturn < maxReturn - 1e-9) lambdaMax *= 2;
+
+  // The return of the solution rises with λ, so bisect log λ for the target
+  const atReturn = (target) => {
+    if (target <= minVariance.expectedReturn) return minVariance;
+    let low = Math.log(lambdaMin);
+    let high = Math.log(lambdaMax);
+    let best = solve(lambdaMax);
+    for (let i = 0; i < 60 && Math.abs(best.expectedReturn - target) > 1e-7; i++) {
+      const mid = (low + high) / 2;
+      const portfolio = solve(Math.exp(mid));
+      if (portfolio.expectedReturn < target) {
+        low = mid;
+      } else {
+        high = mid;
+        best = portfolio;
+      }
+    }
+    return best;
+  };
+
+  // Efficient portfolio maximizing f along the frontier, for f unimodal in λ: golden section
+  // over log λ
+  const maximize = (f) => {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let low = Math.log(lambdaMin);
+    let high = Math.log(lambdaMax);
+    let a = high - ratio * (high - low);
+    let b = low + ratio * (high - low);
+    let pa = solve(Math.exp(a));
+    let pb = solve(Math.exp(b));
+    for (let i = 0; i < 60 && high - low > 1e-6; i++) {
+      if (f(pa) < f(pb)) {
+        low = a;
+        a = b;
+        pa = pb;
+        b = low + ratio * (high - low);
+        pb = solve(Math.exp(b));
+      } else {
+        high = b;
+        b = a;
+        pb = pa;
+        a = high - ratio * (high - low);
+        pa = solve(Math.exp(a));
+      }
+    }
+    return [pa, pb, minVariance].reduce((top, portfolio) => (f(portfolio) > f(top) ? portfolio : top));
+  };
+
+  return { minVariance, maxReturn, atReturn, maximize };
+}
+
+// Efficient frontier from the minimum-variance portfolio to the highest attainable return
+export function efficientFrontier(optimizer, points = 25) {
+  const { minVariance, maxReturn, atReturn } = optimizer;
+  if (maxReturn - minVariance.expectedReturn < 1e-9) return [minVariance];
+  return Array.from({ length: points }, (_, i) =>
+    atReturn(minVariance.expectedReturn + ((maxReturn - minVariance.expectedReturn) * i) / (points - 1))
+  );
+}
+
+// Tangency portfolio: the efficient portfolio with the highest Sharpe ratio, which is
+// unimodal along the frontier. Needs the minimum-variance portfolio to be risky and some
+// portfolio to beat the risk-free rate.
+export function maxSharpePortfolio(optimizer, riskFree) {
+  const { minVariance, maxReturn, maximize } = optimizer;
+  if (minVariance.volatility < 1e-9) {
+    throw new Error('A portfolio with no volatility is attainable, so the Sharpe ratio has no maximum');
+  }
+  if (maxReturn <= riskFree) {
+    throw new Error('No portfolio beats the risk-free rate');
+  }
+  const sharpe = (portfolio) => (portfolio.expectedReturn - riskFree) / portfolio.volatility;
+  const best = maximize(sharpe);
+  return { ...best, sharpe: sharpe(best) };
+}
@@ -0,0 +1,51 @@
+// ============================================================================
+// Numerical Optimization
+// ============================================================================
+
+// Nelder-Mead simplex minimization of f over R^n, starting from x0.
+// Derivative-free, so it copes with objectives that return Infinity for infeasible points.
+export function nelderMead(f, x0, { step = 0.1, tolerance = 1e-10, maxIterations = 500 } = {}) {
+  const n = x0.length;
+  let simplex = [x0, ...x0.map((_, i) => x0.map((value, j) => (i === j ? value + step : value)))]
+    .map((x) => ({ x, value: f(x) }));
+
+  const combine = (a, b, weight) => a.map((value, i) => value + weight * (b[i] - value));
+
+  let iteration = 0;
+  for (; iteration < maxIterations; iteration++) {
+    simplex.sort((p, q) => p.value - q.value);
+    const best = simplex[0];
+    const worst = simplex[n];
+    if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) break;
+
+    const centroid = x0.map((_, i) => simplex.slice(0, n).reduce((sum, p) => sum + p.x[i], 0) / n);
+    const reflected = combine(centroid, worst.x, -1);
+    const reflectedValue = f(reflected);
+
+    if (reflectedValue < best.value) {
+      const expanded = combine(centroid, worst.x, -2);
+      const expandedValue = f(expanded);
+      simplex[n] = expandedValue < reflectedValue
+        ? { x: expanded, value: expandedValue }
+        : { x: reflected, value: reflectedValue };
+    } else if (reflectedValue < simplex[n - 1].value) {
+      simplex[n] = { x: reflected, value: reflectedValue };
+    } else {
+      const contracted = combine(centroid, worst.x, reflectedValue < worst.value ? -0.5 : 0.5);
+      const contractedValue = f(contracted);
+      if (contractedValue < Math.min(reflectedValue, worst.value)) {
+        simplex[n] = { x: contracted, value: contractedValue };
+      } else {
+        // Shrink every vertex toward the best one
+        simplex = simplex.map((p, i) => {
+          if (i === 0) return p;
+          const x = combine(best.x, p.x, 0.5);
+          return { x, value: f(x) };
+        });
+      }
+    }
+  }
+
+  simplex.sort((p, q) => p.value - q.value);
+  return { x: simplex[0].x, value: simplex[0].value, iterations: iteration };
+}
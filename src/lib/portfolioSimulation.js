@@ -0,0 +1,277 @@
+// ============================================================================
+// Multi-Asset Return Simulation
+// ============================================================================
+// Every holding is simulated separately. A scenario is one draw of returns for every holding
+// in every step of the horizon, from means μ and covariance Σ (annual decimals, scaled to the
+// step) under one of the return models below. Portfolio values are built from the holdings'
+// values, so the portfolio's volatility follows from Σ and from how it is rebalanced.
+
+import { choleskyDecomposition } from './linearAlgebra.js';
+import { GeometricBrownianMotionProcess } from './processes/geometricBrownianMotionProcess.js';
+import { createRandom, randomNormal } from './random.js';
+import { createHistorySource, createShockMixer } from './returnDistributions.js';
+import { createSobolSequence, sobolDirections } from './sobol.js';
+import { inverseNormalCdf } from './statistics.js';
+
+// Ways to draw the standard normals z. Every method is unbiased; antithetic pairs and
+// quasi-random points just spread the trials more evenly, for less sampling error.
+export const SAMPLING_METHODS = [
+  { id: 'pseudo', label: 'Pseudo-random' },
+  { id: 'antithetic', label: 'Antithetic variates' },
+  { id: 'sobol', label: 'Sobol (randomized quasi-random)' },
+];
+
+// Fills `out` with the next trial's `dimensions` standard normals. Antithetic sampling negates
+// every other trial's draws. Sobol sampling maps each quasi-random point through the inverse
+// normal CDF and restarts the sequence under a fresh digital shift every `batchSize` trials,
+// so batches are independent; keep batchSize even for antithetic pairs to stay together.
+export function createShockSource({ method = 'pseudo', dimensions, random, batchSize = Infinity }) {
+  let trial = 0;
+  if (method === 'sobol') {
+    const sequence = createSobolSequence(sobolDirections(dimensions), random);
+    return (out) => {
+      if (trial > 0 && trial % batchSize === 0) sequence.restart(random);
+      sequence.next(out);
+      for (let j = 0; j < dimensions; j++) out[j] = inverseNormalCdf(out[j]);
+      trial += 1;
+    };
+  }
+  const previous = new Float64Array(dimensions);
+  return (out) => {
+    const mirror = method === 'antithetic' && trial % 2 === 1;
+    for (let j = 0; j < dimensions; j++) {
+      out[j] = mirror ? -previous[j] : randomNormal(0, 1, random);
+      previous[j] = out[j];
+    }
+    trial += 1;
+  };
+}
+
+// Rebalancing policies. Calendar policies trade back to the target weights every
+// `everyMonths`; the tolerance band does so whenever a weight has drifted more than the band
+// from its target, checked at the end of every step.
+export const REBALANCING_POLICIES = [
+  { id: 'none', label: 'None (buy and hold)' },
+  { id: 'annual', label: 'Calendar: annual', everyMonths: 12 },
+  { id: 'semiannual', label: 'Calendar: semi-annual', everyMonths: 6 },
+  { id: 'band', label: 'Tolerance band' },
+];
+
+// How a holding's returns are drawn from its μ and σ and a correlated standard shock ε = L·z,
+// with L the Cholesky factor of the correlation matrix and z independent standard normals.
+// The arithmetic normal model adds r = μ + σ·ε, and can return less than −100% (the holding
+// then stays at 0). The other two step every holding along
+// geometric Brownian motion on correlated normals, so a holding can never go below 0: the
+// drift-corrected model sets the GBM drift to ln(1 + μ) so the expected annual return is still
+// μ, while the pyesg model takes μ as the continuously compounded drift, for an expected growth
+// of e^μ a year. expectedGrowth is a holding's expected value after a year per unit invested.
+export const RETURN_MODELS = [
+  {
+    id: 'normal',
+    label: 'Arithmetic normal',
+    formula: 'r ~ N(μ, σ²)',
+    expectedGrowth: (mean) => 1 + mean,
+  },
+  {
+    id: 'lognormal',
+    label: 'GBM, drift-corrected',
+    formula: 'ln(1 + r) ~ N(ln(1 + μ) − σ²/2, σ²)',
+    drift: (mean) => Math.log(1 + mean),
+    expectedGrowth: (mean) => 1 + mean,
+  },
+  {
+    id: 'gbm',
+    label: 'GBM (pyesg)',
+    formula: 'ln(1 + r) ~ N(μ − σ²/2, σ²)',
+    drift: (mean) => mean,
+    expectedGrowth: (mean) => Math.exp(mean),
+  },
+];
+
+// Correlation matrix of a covariance matrix; a holding with no volatility is uncorrelated
+function correlationOf(covariance, vols) {
+  return covariance.map((row, i) => row.map((c, j) => {
+    if (i === j) return 1;
+    return vols[i] > 0 && vols[j] > 0 ? c / (vols[i] * vols[j]) : 0;
+  }));
+}
+
+// Scenarios as a flat array indexed [trial][step][holding], with `stepsPerYear` steps a year,
+// under the return model `model`. Normal steps have a mean that compounds to μ over a year and
+// σ scaled by √(1 / stepsPerYear), and so do GBM steps' σ. `random` is a generator from
+// createRandom; `shocks` is a source from createShockSource with steps × holdings dimensions,
+// pseudo-random from `random` when not given. `mixer`, from createShockMixer, reshapes each
+// trial's correlated shocks before they become returns.
+export function simulateReturnScenarios({ means, covariance, years, trials, stepsPerYear = 1, model = 'normal', random, shocks, mixer = null }) {
+  const n = means.length;
+  const steps = years * stepsPerYear;
+  const returnModel = RETURN_MODELS.find((m) => m.id === model) ?? RETURN_MODELS[0];
+  const vols = covariance.map((row, i) => Math.sqrt(Math.max(0, row[i])));
+  const L = choleskyDecomposition(correlationOf(covariance, vols));
+  const stepMeans = means.map((mean) => Math.pow(1 + mean, 1 / stepsPerYear) - 1);
+  const stepVols = vols.map((vol) => vol / Math.sqrt(stepsPerYear));
+
+  // One unit stepped along each holding's process: exp(drift·dt) without noise, and the noise
+  // scale σ√dt for a standard normal draw
+  const dt = 1 / stepsPerYear;
+  const processes = returnModel.drift
+    ? means.map((mean, i) => new GeometricBrownianMotionProcess({ mu: returnModel.drift(mean), sigma: vols[i] }))
+    : [];
+  const expected = processes.map((process) => process.expectation(1, dt));
+  const scales = processes.map((process) => process.standardDeviation(1, dt));
+
+  const returns = new Float64Array(trials * steps * n);
+  const draw = shocks ?? createShockSource({ dimensions: steps * n, random });
+  const z = new Float64Array(steps * n);
+  const correlated = new Float64Array(steps * n);
+  for (let trial = 0, offset = 0; trial < trials; trial++) {
+    draw(z);
+    for (let j = 0; j < steps * n; j += n) {
+      for (let i = 0; i < n; i++) {
+        let shock = 0;
+        for (let k = 0; k <= i; k++) shock += L[i][k] * z[j + k];
+        correlated[j + i] = shock;
+      }
+    }
+    if (mixer) mixer(correlated);
+    for (let j = 0; j < steps * n; j += n, offset += n) {
+      for (let i = 0; i < n; i++) {
+        returns[offset + i] = returnModel.drift
+          ? processes[i].apply(expected[i], scales[i] * correlated[j + i]) - 1
+          : stepMeans[i] + stepVols[i] * correlated[j + i];
+      }
+    }
+  }
+  return { returns, trials, years, stepsPerYear, steps, holdings: n };
+}
+
+// Final value in every trial of a portfolio starting at `initial` with `weights` and run under
+// a rebalancing policy, plus `initial` placed entirely in each holding, and year-by-year paths
+// for the first `pathsToKeep` trials. A holding that loses everything stays at 0.
+//
+// Each rebalance trades Σ|target − holding| and pays costRate on it; the cost comes out of the
+// portfolio before it is split by the target weights. Turnover is the one-way traded value
+// (half the total) as a share of the portfolio, summed over the horizon and divided by years.
+export function simulatePortfolio(scenarios, weights, initial, { policy = 'none', band = 0.05, costRate = 0, pathsToKeep = 0 } = {}) {
+  const { returns, trials, years, stepsPerYear, steps, holdings } = scenarios;
+  const { everyMonths } = REBALANCING_POLICIES.find((p) => p.id === policy) ?? {};
+  const everySteps = everyMonths ? Math.max(1, Math.round((everyMonths / 12) * stepsPerYear)) : 0;
+
+  const portfolio = new Float64Array(trials);
+  const standalone = Array.from({ length: holdings }, () => new Float64Array(trials));
+  const turnover = new Float64Array(trials);
+  const costs = new Float64Array(trials);
+  const rebalances = new Float64Array(trials);
+  const paths = [];
+  const values = new Array(holdings);
+  const alone = new Array(holdings);
+
+  for (let trial = 0, offset = 0; trial < trials; trial++) {
+    for (let i = 0; i < holdings; i++) {
+      values[i] = weights[i] * initial;
+      alone[i] = initial;
+    }
+    const path = trial < pathsToKeep ? [{ year: 0, portfolio: initial, holdings: [...alone] }] : null;
+    let traded = 0;
+
+    for (let step = 1; step <= steps; step++, offset += holdings) {
+      let total = 0;
+      for (let i = 0; i < holdings; i++) {
+        const growth = Math.max(0, 1 + returns[offset + i]);
+        values[i] *= growth;
+        alone[i] *= growth;
+        total += values[i];
+      }
+
+      const due = total > 0 && step < steps && (everySteps
+        ? step % everySteps === 0
+        : policy === 'band' && values.some((value, i) => Math.abs(value / total - weights[i]) > band));
+      if (due) {
+        let trade = 0;
+        for (let i = 0; i < holdings; i++) trade += Math.abs(weights[i] * total - values[i]);
+        const cost = costRate * trade;
+        for (let i = 0; i < holdings; i++) values[i] = weights[i] * (total - cost);
+        traded += trade / 2 / total;
+        costs[trial] += cost;
+        rebalances[trial] += 1;
+      }
+
+      if (path && step % stepsPerYear === 0) {
+        path.push({ year: step / stepsPerYear, portfolio: values.reduce((sum, value) => sum + value, 0), holdings: [...alone] });
+      }
+    }
+
+    portfolio[trial] = values.reduce((sum, value) => sum + value, 0);
+    for (let i = 0; i < holdings; i++) standalone[i][trial] = alone[i];
+    turnover[trial] = traded / years;
+    if (path) paths.push(path);
+  }
+  return { portfolio, standalone, turnover, costs, rebalances, paths };
+}
+
+// The whole Monte Carlo run in chunks of `chunkSize` trials, so only one chunk of scenarios is
+// held at a time. After each chunk, `post(message, transfer)` receives that chunk's final values
+// of the benchmark and of the portfolio under every policy (buffers listed for transfer), the
+// chunk's turnover, cost and rebalance totals by policy, and the sample paths of the chosen
+// policy with the first chunk. One shock source seeded with `seed` runs through every chunk,
+// drawing with the `sampling` method in batches of `batchSize` trials.
+//
+// Returns follow the return model `model`, with shocks shaped by `shocks`: { distribution }
+// plus the options of createShockMixer, or the standardized history and block length of
+// createHistorySource for the bootstrap. For the comparison of return models, the chosen
+// policy is also run under every other model, each from its own shock source with the same
+// seed so every model sees the same draws; `models` holds those final values (the chosen
+// model's are the chosen policy's). With a shape other than normal, `baseline` holds the
+// chosen policy and model on the same normal draws left unshaped.
+export function runSimulationChunks(params, post) {
+  const { means, covariance, weights, initial, years, stepsPerYear, trials, chunkSize, benchmarkIndex, policy, band, costRate, pathsToKeep, seed, sampling, batchSize, model, shocks } = params;
+  const holdings = means.length;
+  const shaped = shocks.distribution !== 'normal';
+  // Generators for each run: the normals, then the extra draws of the shape from their own seed
+  const normalsFor = () => createShockSource({
+    method: sampling, dimensions: years * stepsPerYear * holdings, random: createRandom(seed), batchSize,
+  });
+  const shapeRandom = () => createRandom(`${seed}:shape`);
+  const runFor = () => (shocks.distribution === 'bootstrap'
+    ? { shocks: createHistorySource({ ...shocks, holdings, random: shapeRandom() }), mixer: null }
+    : { shocks: normalsFor(), mixer: createShockMixer({ ...shocks, holdings, stepsPerYear, random: shapeRandom() }) });
+  const runs = Object.fromEntries(RETURN_MODELS.map(({ id }) => [id, runFor()]));
+  const baselineRun = shaped ? { shocks: normalsFor(), mixer: null } : null;
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  for (let start = 0; start < trials; start += chunkSize) {
+    const size = Math.min(chunkSize, trials - start);
+    const scenarios = simulateReturnScenarios({ means, covariance, years, trials: size, stepsPerYear, model, ...runs[model] });
+    const portfolios = {};
+    const totals = {};
+    let benchmark = null;
+    let paths = [];
+    REBALANCING_POLICIES.forEach(({ id }) => {
+      const run = simulatePortfolio(scenarios, weights, initial, {
+        policy: id, band, costRate, pathsToKeep: id === policy && start === 0 ? pathsToKeep : 0,
+      });
+      portfolios[id] = run.portfolio;
+      totals[id] = { turnover: sum(run.turnover), costs: sum(run.costs), rebalances: sum(run.rebalances) };
+      if (id === policy) paths = run.paths;
+      benchmark = run.standalone[benchmarkIndex];
+    });
+    const models = {};
+    RETURN_MODELS.filter(({ id }) => id !== model).forEach(({ id }) => {
+      const modelScenarios = simulateReturnScenarios({ means, covariance, years, trials: size, stepsPerYear, model: id, ...runs[id] });
+      models[id] = simulatePortfolio(modelScenarios, weights, initial, { policy, band, costRate }).portfolio;
+    });
+    let baseline = null;
+    if (baselineRun) {
+      const baselineScenarios = simulateReturnScenarios({ means, covariance, years, trials: size, stepsPerYear, model, ...baselineRun });
+      baseline = simulatePortfolio(baselineScenarios, weights, initial, { policy, band, costRate }).portfolio;
+    }
+    post(
+      { type: 'chunk', start, size, completed: start + size, trials, benchmark, portfolios, models, baseline, totals, paths },
+      [
+        benchmark.buffer,
+        ...Object.values(portfolios).map((values) => values.buffer),
+        ...Object.values(models).map((values) => values.buffer),
+        ...(baseline ? [baseline.buffer] : []),
+      ]
+    );
+  }
+}
@@ -0,0 +1,30 @@
+// ============================================================================
+// Principal Repayment Schedules
+// ============================================================================
+// Builders for the `redemptions` accepted by datedCashFlows: partial repayments
+// [{ date, amount }] per 100 of original face on coupon dates before maturity.
+// couponDates are the bond's coupon dates in order, ending with maturity; whatever
+// the redemptions leave outstanding is repaid at maturity.
+
+// Equal principal on every coupon date from startDate through maturity
+export function amortizingRedemptions(couponDates, startDate, faceValue = 100) {
+  const dates = couponDates.filter((date) => date >= startDate);
+  if (dates.length === 0) {
+    throw new Error(`No coupon dates on or after ${startDate}`);
+  }
+  const amount = faceValue / dates.length;
+  return dates.slice(0, -1).map((date) => ({ date, amount }));
+}
+
+// A sinking fund retires `amount` of face on every `interval`-th coupon date from startDate,
+// before maturity, leaving a balloon payment at maturity
+export function sinkingFundRedemptions(couponDates, startDate, amount, interval = 1) {
+  const start = couponDates.indexOf(startDate);
+  if (start < 0) {
+    throw new Error(`${startDate} is not a coupon date`);
+  }
+  return couponDates
+    .slice(start, -1)
+    .filter((_, i) => i % interval === 0)
+    .map((date) => ({ date, amount }));
+}
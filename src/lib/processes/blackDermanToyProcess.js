@@ -0,0 +1,20 @@
+import { HoLeeProcess } from './hoLeeProcess.js';
+
+// Black-Derman-Toy process: dln(X) = θdt + σdW
+export class BlackDermanToyProcess extends HoLeeProcess {
+  _apply(x0, dx) {
+    return x0 * Math.exp(dx);
+  }
+
+  _drift(x0) {
+    return super._drift(Math.log(x0));
+  }
+
+  _diffusion(x0) {
+    return super._diffusion(Math.log(x0));
+  }
+
+  static example() {
+    return new BlackDermanToyProcess({ sigma: 0.015, theta: 0.005 });
+  }
+}
@@ -0,0 +1,22 @@
+import { OrnsteinUhlenbeckProcess } from './ornsteinUhlenbeckProcess.js';
+
+// Black-Karasinski process: dln(X) = θ(μ - ln(X))dt + σdW
+// ln(X) follows an Ornstein-Uhlenbeck process, so μ is the long-run log rate.
+export class BlackKarasinskiProcess extends OrnsteinUhlenbeckProcess {
+  _apply(x0, dx) {
+    return x0 * Math.exp(dx);
+  }
+
+  _drift(x0) {
+    return super._drift(Math.log(x0));
+  }
+
+  // pyesg returns the drift here; the diffusion of ln(X) is the constant σ
+  _diffusion(x0) {
+    return super._diffusion(Math.log(x0));
+  }
+
+  static example() {
+    return new BlackKarasinskiProcess({ mu: 0.01, sigma: 0.005, theta: 0.01 });
+  }
+}
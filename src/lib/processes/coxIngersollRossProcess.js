@@ -0,0 +1,32 @@
+import { StochasticProcess } from './stochasticProcess.js';
+
+// Cox-Ingersoll-Ross process: dX = θ(μ - X)dt + σX**0.5dW
+export class CoxIngersollRossProcess extends StochasticProcess {
+  constructor({ mu, sigma, theta }) {
+    super();
+    this.mu = mu;
+    this.sigma = sigma;
+    this.theta = theta;
+  }
+
+  coefs() {
+    return { mu: this.mu, sigma: this.sigma, theta: this.theta };
+  }
+
+  _apply(x0, dx) {
+    return x0 + dx;
+  }
+
+  _drift(x0) {
+    return this.theta * (this.mu - x0);
+  }
+
+  // Full truncation: an Euler step can dip below zero, where the square root is undefined
+  _diffusion(x0) {
+    return this.sigma * Math.sqrt(Math.max(x0, 0));
+  }
+
+  static example() {
+    return new CoxIngersollRossProcess({ mu: 0.05, sigma: 0.02, theta: 0.1 });
+  }
+}
@@ -0,0 +1,33 @@
+import { StochasticProcess } from './stochasticProcess.js';
+
+// Geometric Brownian motion (Black-Merton-Scholes): X(t + dt) = X·exp((μ − δ − σ²/2)dt + σdW)
+// μ is a continuously compounded rate and δ a continuous dividend yield, so the expected value
+// grows at exp((μ − δ)t) and the median at exp((μ − δ − σ²/2)t). X never goes below 0.
+export class GeometricBrownianMotionProcess extends StochasticProcess {
+  constructor({ mu, sigma, dividend = 0 }) {
+    super();
+    this.mu = mu;
+    this.sigma = sigma;
+    this.dividend = dividend;
+  }
+
+  coefs() {
+    return { mu: this.mu, sigma: this.sigma, dividend: this.dividend };
+  }
+
+  _apply(x0, dx) {
+    return x0 * Math.exp(dx);
+  }
+
+  _drift() {
+    return this.mu - this.dividend - 0.5 * this.sigma * this.sigma;
+  }
+
+  _diffusion() {
+    return this.sigma;
+  }
+
+  static example() {
+    return new GeometricBrownianMotionProcess({ mu: 0.05, sigma: 0.2, dividend: 0.01 });
+  }
+}
@@ -0,0 +1,30 @@
+import { StochasticProcess } from './stochasticProcess.js';
+
+// Ho-Lee process: dX = θdt + σdW
+export class HoLeeProcess extends StochasticProcess {
+  constructor({ sigma, theta }) {
+    super();
+    this.sigma = sigma;
+    this.theta = theta;
+  }
+
+  coefs() {
+    return { sigma: this.sigma, theta: this.theta };
+  }
+
+  _apply(x0, dx) {
+    return x0 + dx;
+  }
+
+  _drift() {
+    return this.theta;
+  }
+
+  _diffusion() {
+    return this.sigma;
+  }
+
+  static example() {
+    return new HoLeeProcess({ sigma: 0.015, theta: 0.005 });
+  }
+}
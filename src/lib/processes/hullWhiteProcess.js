@@ -0,0 +1,39 @@
+import { StochasticProcess } from './stochasticProcess.js';
+
+// Hull-White (extended Vasicek) process: dX = (θ(t) - aX)dt + σdW
+// θ may be a constant or a function of time; fromFlatForwardCurve fits it to a flat curve.
+export class HullWhiteProcess extends StochasticProcess {
+  constructor({ a, sigma, theta }) {
+    super();
+    this.a = a;
+    this.sigma = sigma;
+    this.theta = theta;
+  }
+
+  coefs() {
+    return { a: this.a, sigma: this.sigma, theta: typeof this.theta === 'function' ? 'θ(t)' : this.theta };
+  }
+
+  _apply(x0, dx) {
+    return x0 + dx;
+  }
+
+  _drift(x0, t) {
+    const theta = typeof this.theta === 'function' ? this.theta(t) : this.theta;
+    return theta - this.a * x0;
+  }
+
+  _diffusion() {
+    return this.sigma;
+  }
+
+  // θ(t) = ∂f/∂t + a·f + σ²(1 - e^(-2at))/2a, which reduces to the last two terms for a flat forward curve f
+  static fromFlatForwardCurve({ forwardRate, a, sigma }) {
+    const theta = (t) => a * forwardRate + (sigma * sigma) / (2 * a) * (1 - Math.exp(-2 * a * t));
+    return new HullWhiteProcess({ a, sigma, theta });
+  }
+
+  static example() {
+    return HullWhiteProcess.fromFlatForwardCurve({ forwardRate: 0.05, a: 0.1, sigma: 0.01 });
+  }
+}
@@ -0,0 +1,151 @@
+// ============================================================================
+// Short-Rate Models
+// ============================================================================
+// Registry of the short-rate processes the simulator can drive. Parameters marked
+// `percent` are entered as percentages in the UI and converted to decimals here.
+// Mean-reverting models with a known long-run law also provide stationaryDistribution.
+
+import { BlackDermanToyProcess } from './blackDermanToyProcess.js';
+import { BlackKarasinskiProcess } from './blackKarasinskiProcess.js';
+import { CoxIngersollRossProcess } from './coxIngersollRossProcess.js';
+import { GeometricBrownianMotionProcess } from './geometricBrownianMotionProcess.js';
+import { HoLeeProcess } from './hoLeeProcess.js';
+import { HullWhiteProcess } from './hullWhiteProcess.js';
+import { OrnsteinUhlenbeckProcess } from './ornsteinUhlenbeckProcess.js';
+import { logGamma } from '../statistics.js';
+import { vasicekStationaryDistribution } from '../vasicek.js';
+
+export { StochasticProcess } from './stochasticProcess.js';
+export {
+  BlackDermanToyProcess,
+  BlackKarasinskiProcess,
+  CoxIngersollRossProcess,
+  GeometricBrownianMotionProcess,
+  HoLeeProcess,
+  HullWhiteProcess,
+  OrnsteinUhlenbeckProcess,
+};
+
+export const SHORT_RATE_MODELS = [
+  {
+    id: 'vasicek',
+    label: 'Vasicek (Ornstein-Uhlenbeck)',
+    formula: 'dr = a(b − r)dt + σdW',
+    params: [
+      { key: 'r0', label: 'Initial Rate r₀ (%)', defaultValue: '3.00', percent: true },
+      { key: 'a', label: 'Mean Reversion Speed a', defaultValue: '0.30' },
+      { key: 'b', label: 'Long-Run Mean b (%)', defaultValue: '4.00', percent: true },
+      { key: 'sigma', label: 'Volatility σ (%)', defaultValue: '1.00', percent: true },
+    ],
+    create: ({ a, b, sigma }) => new OrnsteinUhlenbeckProcess({ mu: b, sigma, theta: a }),
+    validate: ({ a, sigma }) => a > 0 && sigma >= 0,
+    stationaryDistribution: ({ a, b, sigma }) => {
+      const { mean, stdDev } = vasicekStationaryDistribution(a, b, sigma);
+      return {
+        mean,
+        stdDev,
+        density: (r) => Math.exp(-0.5 * ((r - mean) / stdDev) ** 2) / (stdDev * Math.sqrt(2 * Math.PI)),
+      };
+    },
+  },
+  {
+    id: 'cir',
+    label: 'Cox-Ingersoll-Ross',
+    formula: 'dr = a(b − r)dt + σ√r dW',
+    params: [
+      { key: 'r0', label: 'Initial Rate r₀ (%)', defaultValue: '3.00', percent: true },
+      { key: 'a', label: 'Mean Reversion Speed a', defaultValue: '0.30' },
+      { key: 'b', label: 'Long-Run Mean b (%)', defaultValue: '4.00', percent: true },
+      { key: 'sigma', label: 'Volatility σ (×√r)', defaultValue: '0.05' },
+    ],
+    create: ({ a, b, sigma }) => new CoxIngersollRossProcess({ mu: b, sigma, theta: a }),
+    validate: ({ r0, a, b, sigma }) => r0 >= 0 && a > 0 && b > 0 && sigma > 0,
+    // Gamma(shape 2ab/σ², rate 2a/σ²)
+    stationaryDistribution: ({ a, b, sigma }) => {
+      const rate = (2 * a) / (sigma * sigma);
+      const shape = rate * b;
+      const logNormalizer = shape * Math.log(rate) - logGamma(shape);
+      return {
+        mean: b,
+        stdDev: Math.sqrt(shape) / rate,
+        density: (r) => (r > 0 ? Math.exp(logNormalizer + (shape - 1) * Math.log(r) - rate * r) : 0),
+      };
+    },
+  },
+  {
+    id: 'ho-lee',
+    label: 'Ho-Lee',
+    formula: 'dr = θdt + σdW',
+    params: [
+      { key: 'r0', label: 'Initial Rate r₀ (%)', defaultValue: '3.00', percent: true },
+      { key: 'theta', label: 'Drift θ (% per year)', defaultValue: '0.10', percent: true },
+      { key: 'sigma', label: 'Volatility σ (%)', defaultValue: '0.80', percent: true },
+    ],
+    create: ({ theta, sigma }) => new HoLeeProcess({ sigma, theta }),
+    validate: ({ sigma }) => sigma >= 0,
+  },
+  {
+    id: 'hull-white',
+    label: 'Hull-White',
+    formula: 'dr = (θ(t) − ar)dt + σdW, θ(t) fitted to a flat forward curve at r₀',
+    params: [
+      { key: 'r0', label: 'Initial Rate / Forward Rate (%)', defaultValue: '3.00', percent: true },
+      { key: 'a', label: 'Mean Reversion Speed a', defaultValue: '0.10' },
+      { key: 'sigma', label: 'Volatility σ (%)', defaultValue: '1.00', percent: true },
+    ],
+    create: ({ r0, a, sigma }) => HullWhiteProcess.fromFlatForwardCurve({ forwardRate: r0, a, sigma }),
+    validate: ({ a, sigma }) => a > 0 && sigma >= 0,
+  },
+  {
+    id: 'black-karasinski',
+    label: 'Black-Karasinski',
+    formula: 'd ln r = a(ln b − ln r)dt + σdW',
+    params: [
+      { key: 'r0', label: 'Initial Rate r₀ (%)', defaultValue: '3.00', percent: true },
+      { key: 'a', label: 'Mean Reversion Speed a', defaultValue: '0.30' },
+      { key: 'b', label: 'Long-Run Rate b (%)', defaultValue: '4.00', percent: true },
+      { key: 'sigma', label: 'Log Volatility σ', defaultValue: '0.25' },
+    ],
+    create: ({ a, b, sigma }) => new BlackKarasinskiProcess({ mu: Math.log(b), sigma, theta: a }),
+    validate: ({ r0, a, b, sigma }) => r0 > 0 && a > 0 && b > 0 && sigma >= 0,
+  },
+  {
+    id: 'bdt',
+    label: 'Black-Derman-Toy',
+    formula: 'd ln r = θdt + σdW',
+    params: [
+      { key: 'r0', label: 'Initial Rate r₀ (%)', defaultValue: '3.00', percent: true },
+      { key: 'theta', label: 'Log Drift θ', defaultValue: '0.02' },
+      { key: 'sigma', label: 'Log Volatility σ', defaultValue: '0.20' },
+    ],
+    create: ({ theta, sigma }) => new BlackDermanToyProcess({ sigma, theta }),
+    validate: ({ r0, sigma }) => r0 > 0 && sigma >= 0,
+  },
+];
+
+export function findShortRateModel(id) {
+  const model = SHORT_RATE_MODELS.find((m) => m.id === id);
+  if (!model) {
+    throw new Error(`Unknown short-rate model "${id}"`);
+  }
+  return model;
+}
+
+// Default inputs (as entered in the UI) for every model, keyed by model id
+export function defaultShortRateInputs() {
+  return Object.fromEntries(SHORT_RATE_MODELS.map((model) => [
+    model.id,
+    Object.fromEntries(model.params.map((param) => [param.key, param.defaultValue])),
+  ]));
+}
+
+// Convert UI inputs to decimal parameters; returns null if any are missing or invalid
+export function readShortRateParams(model, inputs) {
+  const params = {};
+  for (const param of model.params) {
+    const value = parseFloat(inputs[param.key]);
+    if (!Number.isFinite(value)) return null;
+    params[param.key] = param.percent ? value / 100 : value;
+  }
+  return model.validate(params) ? params : null;
+}
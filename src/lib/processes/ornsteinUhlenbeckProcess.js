@@ -0,0 +1,32 @@
+import { StochasticProcess } from './stochasticProcess.js';
+
+// Generalized Ornstein-Uhlenbeck process: dX = θ(μ - X)dt + σdW
+// As a short-rate model this is Vasicek, with a = θ and b = μ.
+export class OrnsteinUhlenbeckProcess extends StochasticProcess {
+  constructor({ mu, sigma, theta }) {
+    super();
+    this.mu = mu;
+    this.sigma = sigma;
+    this.theta = theta;
+  }
+
+  coefs() {
+    return { mu: this.mu, sigma: this.sigma, theta: this.theta };
+  }
+
+  _apply(x0, dx) {
+    return x0 + dx;
+  }
+
+  _drift(x0) {
+    return this.theta * (this.mu - x0);
+  }
+
+  _diffusion() {
+    return this.sigma;
+  }
+
+  static example() {
+    return new OrnsteinUhlenbeckProcess({ mu: 0.05, sigma: 0.015, theta: 0.15 });
+  }
+}
@@ -0,0 +1,64 @@
+// ============================================================================
+// Stochastic Process Base Class
+// ============================================================================
+// JavaScript port of pyesg's StochasticProcess for one-dimensional processes.
+// Subclasses define four methods:
+//   _drift(x0, t)     : how much the process moves in the absence of noise
+//   _diffusion(x0, t) : how large the random perturbations are
+//   _apply(x0, dx)    : how a change is applied, e.g. addition or exponentiation
+//   coefs()           : the model coefficients, for display
+// `t` is the time in years from the start of the scenario; only time-dependent
+// models such as Hull-White use it.
+
+import { randomNormal } from '../random.js';
+
+const standardNormal = () => randomNormal(0, 1);
+
+export class StochasticProcess {
+  apply(x0, dx) {
+    return this._apply(x0, dx);
+  }
+
+  drift(x0, t = 0) {
+    return this._drift(x0, t);
+  }
+
+  diffusion(x0, t = 0) {
+    return this._diffusion(x0, t);
+  }
+
+  // Expected value after dt using the Euler discretization
+  expectation(x0, dt, t = 0) {
+    return this.apply(x0, this.drift(x0, t) * dt);
+  }
+
+  // Standard deviation after dt using the Euler discretization
+  standardDeviation(x0, dt, t = 0) {
+    return this.diffusion(x0, t) * Math.sqrt(dt);
+  }
+
+  // Move x0 one step of length dt forward; `random` returns standard normal draws
+  step(x0, dt, random = standardNormal, t = 0) {
+    const dx = random() * this.standardDeviation(x0, dt, t);
+    return this.apply(this.expectation(x0, dt, t), dx);
+  }
+
+  // nScenarios paths of nSteps steps each, every path starting at x0
+  scenarios(x0, dt, nScenarios, nSteps, random = standardNormal) {
+    const samples = [];
+    for (let s = 0; s < nScenarios; s++) {
+      const path = new Array(nSteps + 1);
+      path[0] = x0;
+      for (let i = 0; i < nSteps; i++) {
+        path[i + 1] = this.step(path[i], dt, random, i * dt);
+      }
+      samples.push(path);
+    }
+    return samples;
+  }
+
+  toString() {
+    const params = Object.entries(this.coefs()).map(([key, value]) => `${key}=${value}`);
+    return `<${this.constructor.name}(${params.join(', ')})>`;
+  }
+}
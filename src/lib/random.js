@@ -0,0 +1,72 @@
+// ============================================================================
+// Random Number Generation
+// ============================================================================
+// Every simulation draws from a seeded xoshiro128** generator, so the same seed gives the
+// same numbers on every machine. Seeds are strings or numbers; the seed text is hashed into
+// the generator's 128-bit state with splitmix32.
+
+// FNV-1a hash of the seed text
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function splitmix32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x9e3779b9) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+}
+
+// Generator with uniform() in [0, 1) and normal(mean, stdDev)
+export function createRandom(seed) {
+  const mix = splitmix32(hashSeed(seed));
+  const s = Uint32Array.from([mix(), mix(), mix(), mix()]);
+  const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+  const nextUint32 = () => {
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+    return result;
+  };
+
+  const uniform = () => nextUint32() / 4294967296;
+
+  // Box-Muller transform for normally distributed numbers
+  const normal = (mean = 0, stdDev = 1) => {
+    let u1 = 0, u2 = 0;
+    while (u1 === 0) u1 = uniform();
+    while (u2 === 0) u2 = uniform();
+    const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+    return z0 * stdDev + mean;
+  };
+
+  return { seed: String(seed), uniform, normal };
+}
+
+// A fresh seed for a new run, as a short number that is easy to share
+export function newSeed() {
+  return String(Math.floor(Math.random() * 1e9));
+}
+
+// Draws for callers that are not given a generator
+const defaultRandom = createRandom(newSeed());
+
+export function randomNormal(mean, stdDev, random = defaultRandom) {
+  return random.normal(mean, stdDev);
+}
@@ -0,0 +1,137 @@
+// ============================================================================
+// Rate Sensitivity (bump-and-reprice)
+// ============================================================================
+// Cash flows use the { period, time, amount } shape from bondPricing.js. A curve is
+// { tenors, rates }: zero rates at key tenors in years, interpolated linearly and held
+// flat beyond the first and last tenor.
+
+export const KEY_RATE_TENORS = [1, 2, 5, 7, 10];
+
+const BASIS_POINT = 0.0001;
+
+// Curve with the same rate at every key tenor
+export function flatCurve(rate, tenors = KEY_RATE_TENORS) {
+  return { tenors: [...tenors], rates: tenors.map(() => rate) };
+}
+
+// Zero rate at any maturity
+export function curveRate(curve, time) {
+  const { tenors, rates } = curve;
+  if (time <= tenors[0]) return rates[0];
+  if (time >= tenors[tenors.length - 1]) return rates[rates.length - 1];
+
+  let i = 1;
+  while (tenors[i] < time) i++;
+  const weight = (time - tenors[i - 1]) / (tenors[i] - tenors[i - 1]);
+  return rates[i - 1] + weight * (rates[i] - rates[i - 1]);
+}
+
+// Shift every key rate by the same amount
+export function shiftCurve(curve, shift) {
+  return { tenors: curve.tenors, rates: curve.rates.map((r) => r + shift) };
+}
+
+// Triangular key-rate bump: full size at one tenor, fading linearly to zero at its neighbours.
+// The bumps of all key tenors add up to a parallel shift.
+export function bumpKeyRate(curve, keyIndex, shift) {
+  return {
+    tenors: curve.tenors,
+    rates: curve.rates.map((r, i) => r + (i === keyIndex ? shift : 0)),
+  };
+}
+
+// Dirty price of cash flows discounted off a curve, compounding at the bond's coupon frequency
+export function priceOffCurve(cashFlows, curve, frequency = 1, spread = 0) {
+  return cashFlows.reduce((sum, cf) => {
+    const rate = curveRate(curve, cf.time) + spread;
+    return sum + cf.amount / Math.pow(1 + rate / frequency, cf.period);
+  }, 0);
+}
+
+// Forward rate between two times implied by the curve, compounded at `frequency`
+export function curveForwardRate(curve, start, end, frequency = 1) {
+  const discountFactor = (t) => Math.pow(1 + curveRate(curve, t) / frequency, -t * frequency);
+  const growth = discountFactor(start) / discountFactor(end);
+  return (Math.pow(growth, 1 / ((end - start) * frequency)) - 1) * frequency;
+}
+
+// Constant spread over the curve that reprices cash flows to a target dirty price.
+// Price falls as the spread rises, so bisection always converges.
+export function solveCurveSpread(cashFlows, curve, frequency, price) {
+  if (!(price > 0)) {
+    throw new Error(`Bond price must be positive, got ${price}`);
+  }
+  let low = -Math.min(...curve.rates) - frequency + 1e-6;
+  let high = 1;
+  while (priceOffCurve(cashFlows, curve, frequency, high) > price) high *= 2;
+  for (let i = 0; i < 200 && high - low > 1e-12; i++) {
+    const mid = (low + high) / 2;
+    if (priceOffCurve(cashFlows, curve, frequency, mid) > price) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Effective duration and convexity from a symmetric parallel shock, key-rate durations
+// from triangular bumps, and DV01 as the price fall for a 1bp parallel rise (per 100 face).
+// Cash flows that depend on rates, like floating coupons, are re-projected from each bumped
+// curve by `projectCashFlows(curve)`.
+export function analyzeRateSensitivity(cashFlows, curve, frequency = 1, { shock = 10 * BASIS_POINT, spread = 0, projectCashFlows } = {}) {
+  const reprice = (shiftedCurve) => priceOffCurve(
+    projectCashFlows ? projectCashFlows(shiftedCurve) : cashFlows,
+    shiftedCurve,
+    frequency,
+    spread
+  );
+  const basePrice = reprice(curve);
+  const priceDown = reprice(shiftCurve(curve, -shock));
+  const priceUp = reprice(shiftCurve(curve, shock));
+
+  const keyRateDurations = curve.tenors.map((tenor, i) => ({
+    tenor,
+    duration: (reprice(bumpKeyRate(curve, i, -shock)) - reprice(bumpKeyRate(curve, i, shock))) / (2 * basePrice * shock),
+  }));
+
+  return {
+    price: basePrice,
+    effectiveDuration: (priceDown - priceUp) / (2 * basePrice * shock),
+    effectiveConvexity: (priceDown + priceUp - 2 * basePrice) / (basePrice * shock * shock),
+    keyRateDurations,
+    dv01: (reprice(shiftCurve(curve, -BASIS_POINT)) - reprice(shiftCurve(curve, BASIS_POINT))) / 2,
+  };
+}
+
+// Scale a sensitivity profile to a holding: durations are weighted by how much of the
+// holding is rate sensitive, and DV01 is converted from per-100-face to VND.
+export function scaleSensitivity(sensitivity, marketValue, rateSensitiveShare = 1) {
+  return {
+    marketValue,
+    effectiveDuration: sensitivity.effectiveDuration * rateSensitiveShare,
+    effectiveConvexity: sensitivity.effectiveConvexity * rateSensitiveShare,
+    keyRateDurations: sensitivity.keyRateDurations.map((krd) => ({
+      tenor: krd.tenor,
+      duration: krd.duration * rateSensitiveShare,
+    })),
+    dv01: (sensitivity.dv01 / sensitivity.price) * marketValue * rateSensitiveShare,
+  };
+}
+
+// Value-weighted portfolio sensitivity; DV01s simply add up
+export function combineSensitivities(holdings) {
+  const totalValue = holdings.reduce((sum, h) => sum + h.marketValue, 0);
+  const weighted = (pick) => holdings.reduce((sum, h) => sum + pick(h) * h.marketValue, 0) / totalValue;
+
+  return {
+    marketValue: totalValue,
+    effectiveDuration: weighted((h) => h.effectiveDuration),
+    effectiveConvexity: weighted((h) => h.effectiveConvexity),
+    keyRateDurations: holdings[0].keyRateDurations.map((krd, i) => ({
+      tenor: krd.tenor,
+      duration: weighted((h) => h.keyRateDurations[i].duration),
+    })),
+    dv01: holdings.reduce((sum, h) => sum + h.dv01, 0),
+  };
+}
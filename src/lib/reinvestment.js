@@ -0,0 +1,53 @@
+// ============================================================================
+// Reinvestment to a Horizon
+// ============================================================================
+// A bond held to a horizon past its maturity: coupons (and any principal repaid early) are
+// reinvested until maturity, then everything rolls over to the horizon. Rates are decimals
+// compounded at the bond's coupon frequency; rateAt(t) gives the rate for the period
+// starting t years from settlement.
+
+// Value at the horizon of cash flows rolled forward period by period at rateAt(t),
+// compounding at `frequency`; a final stub period earns simple interest
+export function reinvestedValue(cashFlows, horizon, frequency, rateAt) {
+  return cashFlows
+    .filter((cf) => cf.time <= horizon)
+    .reduce((total, cf) => {
+      let value = cf.amount;
+      for (let t = cf.time; t < horizon - 1e-9; t += 1 / frequency) {
+        value *= 1 + rateAt(t) * Math.min(1 / frequency, horizon - t);
+      }
+      return total + value;
+    }, 0);
+}
+
+// Horizon value split into the coupons received, the principal repaid, interest earned by
+// reinvesting them until maturity, and interest from rolling everything over after maturity.
+// Cash flows need `coupon` and `principal`; amounts are per 100 of face like the cash flows.
+export function reinvestmentWaterfall(cashFlows, { horizon, frequency, reinvestmentRateAt, rolloverRateAt }) {
+  const maturity = cashFlows[cashFlows.length - 1].time;
+  if (horizon < maturity) {
+    throw new Error(`Horizon of ${horizon} years ends before the bond matures in ${maturity.toFixed(2)} years`);
+  }
+  const coupons = cashFlows.reduce((sum, cf) => sum + cf.coupon, 0);
+  const principal = cashFlows.reduce((sum, cf) => sum + cf.principal, 0);
+  const atMaturity = reinvestedValue(cashFlows, maturity, frequency, reinvestmentRateAt);
+  const total = reinvestedValue([{ time: maturity, amount: atMaturity }], horizon, frequency, rolloverRateAt);
+
+  return {
+    coupons,
+    principal,
+    interestOnInterest: atMaturity - coupons - principal,
+    rolloverInterest: total - atMaturity,
+    atMaturity,
+    total,
+  };
+}
+
+// Component-by-component average of several waterfalls, e.g. one per simulated rate path
+export function averageWaterfall(waterfalls) {
+  const keys = ['coupons', 'principal', 'interestOnInterest', 'rolloverInterest', 'atMaturity', 'total'];
+  return Object.fromEntries(keys.map((key) => [
+    key,
+    waterfalls.reduce((sum, waterfall) => sum + waterfall[key], 0) / waterfalls.length,
+  ]));
+}
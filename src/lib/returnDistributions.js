@@ -0,0 +1,118 @@
+// ============================================================================
+// Return Shock Distributions
+// ============================================================================
+// Shapes for the shocks that the return models turn into returns. Every shape keeps the shocks'
+// mean 0 and variance 1 over a year, so under the arithmetic normal model each holding keeps
+// its μ and σ and only the tails and the skew change (the skewed t's common skew term also
+// pulls the holdings' correlations up a little). The GBM models keep σ of the log returns, but
+// their drift correction assumes normal shocks: E[exp(σZ)] is e^(σ²/2) only for a normal Z, and
+// under the t shapes it is not even finite, so the mean final value moves with the shape and
+// the sample rather than staying at μ:
+//   Student's t : multivariate t, √(W·(ν − 2)/ν)·ε with W = ν / χ²(ν)
+//   Skewed t    : multivariate generalized hyperbolic skewed t (Demarta and McNeil),
+//                 (γ·(W − E[W]) + √W·ε) / sd, so γ below 0 puts the extra weight on losses
+//   Bootstrap   : a standardized history of monthly returns resampled in circular blocks, so
+//                 runs of bad months carry over; each holding draws its own blocks and the
+//                 correlations still come from the risk assumptions
+// The t shapes work on the correlated standard shocks ε and draw one mixing variable W a year,
+// shared by every holding and every step of that year: in a bad year every holding is hit at
+// once, and each year's return has t tails rather than the thinner tails of a sum of
+// independent monthly t draws. Their normal draws are the baseline's, so the tail comparison is
+// on common draws; W comes from a generator of its own.
+
+export const SHOCK_DISTRIBUTIONS = [
+  { id: 'normal', label: 'Normal' },
+  { id: 'student', label: "Student's t" },
+  { id: 'skewed', label: 'Skewed t' },
+  { id: 'bootstrap', label: 'Block bootstrap from history' },
+];
+
+// Gamma(shape, 1) draw by Marsaglia and Tsang's method, for shape ≥ 1
+function randomGamma(shape, random) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = random.normal();
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random.uniform();
+    if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+      return d * v;
+    }
+  }
+}
+
+// Mean and variance of the mixing variable W = ν / χ²(ν), an inverse gamma(ν/2, ν/2); the
+// variance is finite for ν > 4
+export function mixingMoments(degreesOfFreedom) {
+  const nu = degreesOfFreedom;
+  return {
+    mean: nu / (nu - 2),
+    variance: (2 * nu * nu) / ((nu - 2) * (nu - 2) * (nu - 4)),
+  };
+}
+
+// A history of returns standardized to mean 0 and variance 1
+export function standardizeHistory(returns) {
+  if (returns.length < 24) {
+    throw new Error('The return history needs at least 24 observations');
+  }
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+  if (!(variance > 0)) {
+    throw new Error('The return history has no variation');
+  }
+  const stdDev = Math.sqrt(variance);
+  return Float64Array.from(returns, (value) => (value - mean) / stdDev);
+}
+
+// Shock source (as from createShockSource) that fills one trial's independent draws, laid out
+// [step][holding], from circular blocks of a standardized history; `blockLength` is in steps
+export function createHistorySource({ history, blockLength = 12, holdings, random }) {
+  const length = history.length;
+  return (out) => {
+    const steps = out.length / holdings;
+    for (let i = 0; i < holdings; i++) {
+      let position = 0;
+      for (let step = 0; step < steps; step++) {
+        if (step % blockLength === 0) position = Math.floor(random.uniform() * length);
+        out[step * holdings + i] = history[(position + (step % blockLength)) % length];
+      }
+    }
+  };
+}
+
+// Reshapes one trial's correlated standard shocks in place, laid out [step][holding], with one
+// mixing variable per year of `stepsPerYear` steps. Null for shapes that leave them normal.
+// The skew term is spread evenly over the year's steps, so a year's shocks add up to
+// √stepsPerYear times a standardized skewed t.
+export function createShockMixer({ distribution, degreesOfFreedom = 5, skew = 0, holdings, stepsPerYear = 1, random }) {
+  if (distribution !== 'student' && distribution !== 'skewed') return null;
+  const nu = degreesOfFreedom;
+  const mixing = () => nu / (2 * randomGamma(nu / 2, random));
+  const block = stepsPerYear * holdings;
+
+  if (distribution === 'student') {
+    return (shocks) => {
+      for (let start = 0; start < shocks.length; start += block) {
+        const scale = Math.sqrt((mixing() * (nu - 2)) / nu);
+        for (let j = start; j < start + block; j++) shocks[j] *= scale;
+      }
+    };
+  }
+
+  const { mean, variance } = mixingMoments(nu);
+  const stdDev = Math.sqrt(skew * skew * variance + mean);
+  return (shocks) => {
+    for (let start = 0; start < shocks.length; start += block) {
+      const w = mixing();
+      const shift = (skew * (w - mean)) / Math.sqrt(stepsPerYear);
+      const scale = Math.sqrt(w);
+      for (let j = start; j < start + block; j++) shocks[j] = (shift + scale * shocks[j]) / stdDev;
+    }
+  };
+}
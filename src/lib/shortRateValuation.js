@@ -0,0 +1,56 @@
+// ============================================================================
+// Bond Valuation Along Short-Rate Paths
+// ============================================================================
+// Paths are arrays of short rates sampled every dt years from time 0. Cash flows use the
+// { time, amount } shape from bondPricing.js.
+
+// Running integral of the short rate, ∫r ds, at every grid point (trapezoid rule)
+export function cumulativeRateIntegral(path, dt) {
+  const integral = new Array(path.length);
+  integral[0] = 0;
+  for (let i = 1; i < path.length; i++) {
+    integral[i] = integral[i - 1] + 0.5 * (path[i - 1] + path[i]) * dt;
+  }
+  return integral;
+}
+
+// ∫r ds from 0 to t, interpolating between grid points and holding the last rate beyond the path
+function integralAt(integral, path, dt, t) {
+  const lastIndex = integral.length - 1;
+  const position = t / dt;
+  if (position >= lastIndex) {
+    return integral[lastIndex] + path[lastIndex] * (t - lastIndex * dt);
+  }
+  const i = Math.floor(position);
+  const weight = position - i;
+  return integral[i] + weight * (integral[i + 1] - integral[i]);
+}
+
+// Model price: the average over paths of cash flows discounted at exp(-∫r ds).
+// cashFlows may be a function of the path, for coupons that reset off the simulated rate.
+export function monteCarloBondPrice(cashFlows, paths, dt) {
+  const total = paths.reduce((sum, path) => {
+    const integral = cumulativeRateIntegral(path, dt);
+    const pathCashFlows = typeof cashFlows === 'function' ? cashFlows(path) : cashFlows;
+    return sum + pathCashFlows.reduce(
+      (pv, cf) => pv + cf.amount * Math.exp(-integralAt(integral, path, dt, cf.time)),
+      0
+    );
+  }, 0);
+  return total / paths.length;
+}
+
+// Simulated short rate at time t on a path sampled every dt years
+export function pathRateAt(path, dt, t) {
+  return path[Math.min(path.length - 1, Math.round(t / dt))];
+}
+
+// Value at the horizon of every cash flow received before it, each rolled forward at the
+// simulated short rate. Principal repaid before the horizon is reinvested the same way.
+export function reinvestedHorizonValue(cashFlows, path, dt, horizon) {
+  const integral = cumulativeRateIntegral(path, dt);
+  const horizonIntegral = integralAt(integral, path, dt, horizon);
+  return cashFlows
+    .filter((cf) => cf.time <= horizon)
+    .reduce((value, cf) => value + cf.amount * Math.exp(horizonIntegral - integralAt(integral, path, dt, cf.time)), 0);
+}
@@ -0,0 +1,123 @@
+// ============================================================================
+// Sobol Sequences
+// ============================================================================
+// Quasi-random points in [0, 1)^d that fill the cube more evenly than independent draws, for
+// quasi-Monte Carlo. Dimension 1 is the van der Corput sequence; dimension j > 1 comes from
+// the j-th primitive polynomial over GF(2), taken in order of degree, with odd initial
+// direction numbers m_k < 2^k drawn once from a fixed seed (Bratley and Fox's construction;
+// any such choice gives a valid Sobol sequence). Points are generated in Gray-code order with
+// 32-bit direction numbers.
+//
+// A random digital shift (XOR with a random word per dimension) randomizes the sequence
+// without spoiling its structure, so independent shifts give independent estimates from
+// which a standard error can be measured.
+
+import { createRandom } from './random.js';
+
+const BITS = 32;
+
+// x^e mod the polynomial p of degree `degree`, with polynomials as bit masks
+function powerMod(e, p, degree) {
+  const multiply = (a, b) => {
+    let result = 0;
+    while (b) {
+      if (b & 1) result ^= a;
+      b >>>= 1;
+      a <<= 1;
+      if (a & (1 << degree)) a ^= p;
+    }
+    return result;
+  };
+  let result = 1;
+  let base = 2; // x
+  while (e > 0) {
+    if (e % 2 === 1) result = multiply(result, base);
+    base = multiply(base, base);
+    e = Math.floor(e / 2);
+  }
+  return result;
+}
+
+function primeFactors(n) {
+  const factors = [];
+  for (let q = 2; q * q <= n; q++) {
+    if (n % q === 0) {
+      factors.push(q);
+      while (n % q === 0) n /= q;
+    }
+  }
+  if (n > 1) factors.push(n);
+  return factors;
+}
+
+// The first `count` primitive polynomials of degree 1 and up, as { degree, mask }
+function primitivePolynomials(count) {
+  const found = [];
+  for (let degree = 1; found.length < count; degree++) {
+    const order = 2 ** degree - 1;
+    const factors = primeFactors(order);
+    for (let middle = 0; middle < 2 ** (degree - 1) && found.length < count; middle++) {
+      const mask = (1 << degree) | (middle << 1) | 1;
+      const primitive = powerMod(order, mask, degree) === 1
+        && factors.every((q) => q === order || powerMod(order / q, mask, degree) !== 1);
+      if (primitive) found.push({ degree, mask });
+    }
+  }
+  return found;
+}
+
+// Direction numbers V[j][k] (k = 0 … 31) for `dimensions` dimensions
+export function sobolDirections(dimensions) {
+  const random = createRandom('sobol-directions');
+  const polynomials = primitivePolynomials(Math.max(0, dimensions - 1));
+  const directions = [Uint32Array.from({ length: BITS }, (_, k) => (1 << (BITS - 1 - k)) >>> 0)];
+
+  polynomials.forEach(({ degree, mask }) => {
+    const m = new Array(BITS);
+    for (let k = 0; k < Math.min(degree, BITS); k++) {
+      // Odd and below 2^(k+1)
+      m[k] = 2 * Math.floor(random.uniform() * 2 ** k) + 1;
+    }
+    for (let k = degree; k < BITS; k++) {
+      let value = m[k - degree] ^ (m[k - degree] << degree);
+      for (let i = 1; i < degree; i++) {
+        if ((mask >>> (degree - i)) & 1) value ^= m[k - i] << i;
+      }
+      m[k] = value >>> 0;
+    }
+    directions.push(Uint32Array.from(m, (value, k) => (value << (BITS - 1 - k)) >>> 0));
+  });
+  return directions;
+}
+
+// Sequence over precomputed directions. next(out) writes the next point's coordinates in
+// (0, 1) to `out`; restart(random) goes back to the first point under a new digital shift
+// drawn from `random` (no shift without one).
+export function createSobolSequence(directions, random = null) {
+  const dimensions = directions.length;
+  const state = new Uint32Array(dimensions);
+  const shift = new Uint32Array(dimensions);
+  let index = 0;
+
+  const restart = (shiftRandom = null) => {
+    state.fill(0);
+    index = 0;
+    for (let j = 0; j < dimensions; j++) {
+      shift[j] = shiftRandom ? Math.floor(shiftRandom.uniform() * 4294967296) >>> 0 : 0;
+    }
+  };
+
+  const next = (out) => {
+    for (let j = 0; j < dimensions; j++) {
+      out[j] = (((state[j] ^ shift[j]) >>> 0) + 0.5) / 4294967296;
+    }
+    // Gray code: flip the direction of the lowest zero bit of the index
+    let bit = 0;
+    while ((index >>> bit) & 1) bit++;
+    for (let j = 0; j < dimensions; j++) state[j] ^= directions[j][bit];
+    index += 1;
+  };
+
+  restart(random);
+  return { next, restart };
+}
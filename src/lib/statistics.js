@@ -0,0 +1,107 @@
+// ============================================================================
+// Sample Statistics
+// ============================================================================
+
+export function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Percentile of an ascending-sorted array
+export function percentileOfSorted(sorted, percentile) {
+  const index = Math.min(sorted.length - 1, Math.floor(sorted.length * percentile));
+  return sorted[index];
+}
+
+// Cross-sectional percentiles and mean of simulated paths at every time step
+export function ratePathPercentiles(times, paths, percentiles = [0.05, 0.25, 0.5, 0.75, 0.95]) {
+  return times.map((time, i) => {
+    const values = paths.map((path) => path[i]);
+    const sorted = [...values].sort((x, y) => x - y);
+    const row = { time, mean: mean(values) };
+    percentiles.forEach((p) => {
+      row[`p${Math.round(p * 100)}`] = percentileOfSorted(sorted, p);
+    });
+    return row;
+  });
+}
+
+// Natural log of the gamma function (Lanczos approximation)
+export function logGamma(x) {
+  const g = 7;
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7,
+  ];
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < g + 2; i++) sum += coefficients[i] / (z + i);
+  const t = z + g + 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Inverse of the standard normal CDF (Acklam's rational approximation, relative error below
+// 1.2e-9), for p in (0, 1)
+export function inverseNormalCdf(p) {
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Standard error of a statistic from independent batches of trials, as the spread of its
+// value across batches over √(batches). `values` are in trial order and batch b holds trials
+// b·batchSize up to the next batch. Works for any sampling scheme whose batches are
+// independent, such as antithetic pairs kept within a batch or separately shifted Sobol points.
+export function batchStandardError(values, batchSize, statistic) {
+  const estimates = [];
+  for (let start = 0; start < values.length; start += batchSize) {
+    estimates.push(statistic(values.slice(start, start + batchSize)));
+  }
+  if (estimates.length < 2) return NaN;
+  const average = mean(estimates);
+  const variance = estimates.reduce((sum, value) => sum + (value - average) ** 2, 0) / (estimates.length - 1);
+  return Math.sqrt(variance / estimates.length);
+}
+
+// Control variate: y − β·(x − E[x]) trial by trial, with β = Cov(y, x) / Var(x) estimated from
+// the sample. The adjusted values have the same mean as y and less variance when x tracks y.
+export function controlVariateValues(y, x, expectedX) {
+  const meanX = mean(x);
+  const meanY = mean(y);
+  let covariance = 0;
+  let varianceX = 0;
+  for (let i = 0; i < y.length; i++) {
+    covariance += (y[i] - meanY) * (x[i] - meanX);
+    varianceX += (x[i] - meanX) ** 2;
+  }
+  const beta = varianceX > 0 ? covariance / varianceX : 0;
+  return { beta, values: y.map((value, i) => value - beta * (x[i] - expectedX)) };
+}
+
+// Statistics of the first n trials for each n in `counts`, to show how estimates settle
+export function convergence(values, counts, statistics) {
+  return counts.map((count) => {
+    const sorted = Float64Array.from(values.slice(0, count)).sort();
+    const row = { trials: count };
+    Object.entries(statistics).forEach(([key, statistic]) => {
+      row[key] = statistic(sorted);
+    });
+    return row;
+  });
+}
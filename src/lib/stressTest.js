@@ -0,0 +1,100 @@
+// ============================================================================
+// Interest-Rate Stress Testing
+// ============================================================================
+// Curve shocks are expressed per key tenor as multiples of the shock size, so a
+// 100bp steepener moves the 1y rate by -50bp and the 10y rate by +50bp.
+
+import { priceChangeWithConvexity } from './bondPricing.js';
+import { priceOffCurve } from './rateSensitivity.js';
+
+export const RATE_SHOCK_SCENARIOS = [
+  {
+    id: 'parallel',
+    label: 'Parallel',
+    description: 'Every tenor moves by the full shock',
+    weights: { 1: 1, 2: 1, 5: 1, 7: 1, 10: 1 },
+  },
+  {
+    id: 'steepener',
+    label: 'Steepener',
+    description: 'Short end falls by half the shock, long end rises by half',
+    weights: { 1: -0.5, 2: -0.39, 5: -0.06, 7: 0.17, 10: 0.5 },
+  },
+  {
+    id: 'flattener',
+    label: 'Flattener',
+    description: 'Short end rises by half the shock, long end falls by half',
+    weights: { 1: 0.5, 2: 0.39, 5: 0.06, 7: -0.17, 10: -0.5 },
+  },
+  {
+    id: 'butterfly',
+    label: 'Butterfly',
+    description: 'Wings (1y, 10y) rise by the shock while the 5y belly falls by it',
+    weights: { 1: 1, 2: 0.5, 5: -1, 7: -0.2, 10: 1 },
+  },
+];
+
+const BASIS_POINT = 0.0001;
+
+// Apply a scenario to a curve; tenors missing from the scenario are left unchanged
+export function shockCurve(curve, scenario, shockBps) {
+  return {
+    tenors: curve.tenors,
+    rates: curve.rates.map((rate, i) => rate + (scenario.weights[curve.tenors[i]] ?? 0) * shockBps * BASIS_POINT),
+  };
+}
+
+// Single yield change with the same first-order effect as a non-parallel shock:
+// the key-rate-duration-weighted average of the tenor moves
+export function equivalentYieldChange(keyRateDurations, scenario, shockBps) {
+  const totalDuration = keyRateDurations.reduce((sum, krd) => sum + krd.duration, 0);
+  if (totalDuration === 0) return 0;
+
+  const weightedShift = keyRateDurations.reduce(
+    (sum, krd) => sum + krd.duration * (scenario.weights[krd.tenor] ?? 0),
+    0
+  );
+  return (weightedShift / totalDuration) * shockBps * BASIS_POINT;
+}
+
+// Value change of one holding under a scenario three ways: duration only,
+// duration plus convexity, and a full reprice off the shocked curve.
+// holding: { cashFlows, frequency, curve, modifiedDuration, convexity, keyRateDurations,
+//            marketValue, rateSensitiveShare, projectCashFlows }
+// projectCashFlows(curve), if given, re-projects rate-dependent cash flows off the shocked curve.
+export function stressHolding(holding, scenario, shockBps) {
+  const { cashFlows, frequency, curve, modifiedDuration, convexity, keyRateDurations, marketValue, rateSensitiveShare = 1, projectCashFlows } = holding;
+  const yieldChange = equivalentYieldChange(keyRateDurations, scenario, shockBps);
+
+  const shocked = shockCurve(curve, scenario, shockBps);
+  const basePrice = priceOffCurve(cashFlows, curve, frequency);
+  const shockedPrice = priceOffCurve(projectCashFlows ? projectCashFlows(shocked) : cashFlows, shocked, frequency);
+
+  const durationOnlyReturn = priceChangeWithConvexity(1, modifiedDuration, 0, yieldChange);
+  const withConvexityReturn = priceChangeWithConvexity(1, modifiedDuration, convexity, yieldChange);
+  const fullRepriceReturn = (shockedPrice / basePrice - 1) * rateSensitiveShare;
+
+  const asResult = (valueReturn) => ({ valueReturn, valueChange: valueReturn * marketValue });
+  return {
+    yieldChange,
+    durationOnly: asResult(durationOnlyReturn),
+    withConvexity: asResult(withConvexityReturn),
+    fullReprice: asResult(fullRepriceReturn),
+  };
+}
+
+// Run a scenario across holdings and add up the portfolio value change for each method
+export function stressPortfolio(holdings, scenario, shockBps) {
+  const results = {};
+  const portfolio = { durationOnly: 0, withConvexity: 0, fullReprice: 0 };
+
+  Object.entries(holdings).forEach(([key, holding]) => {
+    const result = stressHolding(holding, scenario, shockBps);
+    results[key] = result;
+    portfolio.durationOnly += result.durationOnly.valueChange;
+    portfolio.withConvexity += result.withConvexity.valueChange;
+    portfolio.fullReprice += result.fullReprice.valueChange;
+  });
+
+  return { holdings: results, portfolio };
+}
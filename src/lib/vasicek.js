@@ -0,0 +1,52 @@
+// ============================================================================
+// Vasicek Short-Rate Model
+// ============================================================================
+// dr(t) = a(b - r(t))dt + σdW(t)
+// a: speed of mean reversion, b: long-run mean, σ: volatility. Rates are decimals.
+// Paths are simulated with OrnsteinUhlenbeckProcess in ./processes; this module holds the
+// stationary distribution and the calibration.
+
+// Distribution the rate settles into as t -> ∞: Normal(b, σ²/2a)
+export function vasicekStationaryDistribution(a, b, sigma) {
+  return { mean: b, stdDev: sigma / Math.sqrt(2 * a) };
+}
+
+// Maximum likelihood fit of a, b and σ to rates observed every dt years.
+// The exact Vasicek transition is an AR(1), r[t+1] = c + φ·r[t] + ε, so the MLE is the
+// least-squares regression of each rate on the previous one.
+export function calibrateVasicek(rates, dt) {
+  const n = rates.length - 1;
+  if (n < 3) {
+    throw new Error('At least four observations are needed to calibrate the Vasicek model');
+  }
+
+  let sumX = 0, sumY = 0, sumXX = 0, sumXY = 0;
+  for (let i = 0; i < n; i++) {
+    const x = rates[i];
+    const y = rates[i + 1];
+    sumX += x;
+    sumY += y;
+    sumXX += x * x;
+    sumXY += x * y;
+  }
+
+  const phi = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+  const c = (sumY - phi * sumX) / n;
+  if (!(phi > 0 && phi < 1)) {
+    throw new Error(`Series is not mean-reverting (AR coefficient ${phi.toFixed(4)}), so a Vasicek fit is not meaningful`);
+  }
+
+  let sumSquaredResiduals = 0;
+  for (let i = 0; i < n; i++) {
+    const residual = rates[i + 1] - c - phi * rates[i];
+    sumSquaredResiduals += residual * residual;
+  }
+  const residualVariance = sumSquaredResiduals / n;
+
+  const a = -Math.log(phi) / dt;
+  const b = c / (1 - phi);
+  const sigma = Math.sqrt(residualVariance * 2 * a / (1 - phi * phi));
+  const logLikelihood = -0.5 * n * (Math.log(2 * Math.PI * residualVariance) + 1);
+
+  return { a, b, sigma, logLikelihood, observations: rates.length };
+}
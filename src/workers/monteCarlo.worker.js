@@ -0,0 +1,16 @@
+// ============================================================================
+// Monte Carlo Worker
+// ============================================================================
+// Runs the portfolio simulation off the main thread and streams it back chunk by chunk. The
+// page cancels a run by terminating the worker.
+
+import { runSimulationChunks } from '../lib/portfolioSimulation.js';
+
+self.onmessage = (event) => {
+  try {
+    runSimulationChunks(event.data, (message, transfer) => self.postMessage(message, transfer));
+    self.postMessage({ type: 'done' });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};